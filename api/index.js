@@ -39,12 +39,83 @@ const authenticate = async (req, res, next) => {
     const token = authorization.split('Bearer ')[1];
     try {
         const decodedToken = await admin.auth().verifyIdToken(token);
-        req.user = decodedToken; // Add user info (UID) to the request object
-        next();
+        req.user = decodedToken; // Add user info (UID) and custom claims such as `moderator` to the request object
     } catch (error) {
         // This handles expired, malformed, or invalid tokens
         return res.status(401).send({ success: false, message: 'Unauthorized: Invalid token.' });
     }
+
+    // Suspended accounts keep valid tokens, so they are refused here on every request
+    if (db) {
+        try {
+            const userDoc = await db.collection('users').doc(req.user.uid).get();
+            const suspension = userDoc.exists ? userDoc.data().suspension : null;
+            if (isSuspensionActive(suspension)) {
+                return res.status(403).send({
+                    success: false,
+                    message: 'Forbidden: Your account is suspended.',
+                    suspendedUntil: suspension.until ? suspension.until.toDate().toISOString() : null
+                });
+            }
+        } catch (error) {
+            console.error("Error checking account suspension:", error);
+            return res.status(500).send({ success: false, message: error.message });
+        }
+    }
+    next();
+};
+
+/**
+ * Moderators are identified by the `moderator` Firebase custom claim on their ID token.
+ */
+function isModerator(user) {
+    return user.moderator === true;
+}
+
+/**
+ * Restricts a route to moderators. Use after `authenticate`.
+ */
+const requireModerator = (req, res, next) => {
+    if (!isModerator(req.user)) {
+        return res.status(403).send({ success: false, message: 'Forbidden: Moderator access required.' });
+    }
+    next();
+};
+
+/**
+ * App administrators (e.g. music catalog curators) carry the `admin` Firebase custom claim.
+ */
+function isAdmin(user) {
+    return user.admin === true;
+}
+
+/**
+ * Restricts a route to app administrators. Use after `authenticate`.
+ */
+const requireAdmin = (req, res, next) => {
+    if (!isAdmin(req.user)) {
+        return res.status(403).send({ success: false, message: 'Forbidden: Admin access required.' });
+    }
+    next();
+};
+
+/**
+ * A suspension without an `until` date lasts until a moderator lifts it.
+ */
+function isSuspensionActive(suspension) {
+    if (!suspension) return false;
+    return !suspension.until || suspension.until.toMillis() > Date.now();
+}
+
+/**
+ * Guards scheduled jobs. Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`.
+ */
+const authenticateCron = (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+        return res.status(401).send({ success: false, message: 'Unauthorized: Invalid cron secret.' });
+    }
+    next();
 };
 
 
@@ -52,22 +123,26 @@ const authenticate = async (req, res, next) => {
 // UTILITIES
 // =========================================================================
 
+const MAX_USER_NAME_LENGTH = 100;
+const MAX_EMAIL_LENGTH = 254;
+const MAX_PHONE_LENGTH = 20;
+const MAX_COUNTRY_LENGTH = 100;
+const MAX_AGE = 120;
+
 /**
- * Utility function for validating required user profile data fields (used by POST /signup-profile).
+ * Checks the profile rules that go beyond the route schemas (used by POST /signup-profile and
+ * PUT /profile). Returns errors in the shape sendValidationError() expects.
  */
 function validateProfileData(data) {
-    const { userId, name, email, phone, age, country, photoUrl } = data;
+    const { name, email, phone, age, country } = data;
     const errors = [];
+    const fail = (field, message) => errors.push({ location: 'body', field, message });
 
-    // Basic required field checks
-    if (!userId) errors.push('userId (Firebase UID) is required.');
-    if (!name || name.trim().length < 2) errors.push('Name is required and must be at least 2 characters.');
-    if (!email || !email.includes('@')) errors.push('A valid Email is required.');
-    if (!phone || phone.trim().length < 10) errors.push('Phone Number must be at least 10 digits.');
-    if (!age || isNaN(parseInt(age)) || parseInt(age) < 18) errors.push('Age is required and must be 18 or older.');
-    if (!country || country.trim().length < 2) errors.push('Country is required.');
-    
-    if (photoUrl && typeof photoUrl !== 'string') errors.push('Photo URL must be a string.');
+    if (!name || name.trim().length < 2) fail('name', 'Name is required and must be at least 2 characters.');
+    if (email !== undefined && !email.includes('@')) fail('email', 'A valid Email is required.');
+    if (!phone || phone.trim().length < 10) fail('phone', 'Phone Number must be at least 10 digits.');
+    if (!age || age < 18) fail('age', 'Age is required and must be 18 or older.');
+    if (!country || country.trim().length < 2) fail('country', 'Country is required.');
 
     return errors;
 }
@@ -86,13 +161,682 @@ function checkDbConnection(res) {
     return true;
 }
 
+/**
+ * Creates an Error carrying an HTTP status code. Thrown from inside transactions
+ * so the route's catch block can respond with the right status instead of a 500.
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Converts a Firestore Timestamp to the { _seconds, _nanoseconds } format
+ * expected by the Android client.
+ */
+function formatTimestamp(timestamp) {
+    return timestamp ? {
+        _seconds: timestamp.seconds,
+        _nanoseconds: timestamp.nanoseconds
+    } : null;
+}
+
+/**
+ * Fetches lightweight { id, name, photoUrl } summaries for a list of user IDs.
+ * Returns a map keyed by user ID; unknown users are omitted.
+ */
+async function fetchUserSummaries(userIds) {
+    const uniqueIds = [...new Set(userIds)].filter(Boolean);
+    if (uniqueIds.length === 0) return {};
+    const docs = await db.getAll(...uniqueIds.map(id => db.collection('users').doc(id)));
+    const summaries = {};
+    docs.forEach(doc => {
+        if (!doc.exists) return;
+        summaries[doc.id] = {
+            id: doc.id,
+            name: doc.data().name,
+            photoUrl: doc.data().photoUrl || null
+        };
+    });
+    return summaries;
+}
+
+/**
+ * Returns true if the value is an absolute http(s) URL.
+ */
+function isHttpUrl(value) {
+    if (typeof value !== 'string') return false;
+    try {
+        const { protocol } = new URL(value);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Applies the default and the MAX_PAGE_SIZE cap to the `?limit=` query parameter of a list
+ * route, which PAGE_QUERY has already checked is a positive integer.
+ */
+function parsePageLimit(value, defaultLimit = DEFAULT_PAGE_SIZE) {
+    return value === undefined ? defaultLimit : Math.min(value, MAX_PAGE_SIZE);
+}
+
+/**
+ * Encodes the ordering values of the last document on a page into an opaque cursor string.
+ */
+function encodeCursor(values) {
+    const serializable = values.map(value => (
+        value instanceof admin.firestore.Timestamp ? { _ts: [value.seconds, value.nanoseconds] } : value
+    ));
+    return Buffer.from(JSON.stringify(serializable)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor back into Firestore startAfter() values.
+ */
+function decodeCursor(cursor) {
+    try {
+        const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!Array.isArray(values)) throw new Error('Cursor is not an array.');
+        return values.map(value => (
+            value && Array.isArray(value._ts) ? new admin.firestore.Timestamp(value._ts[0], value._ts[1]) : value
+        ));
+    } catch (error) {
+        throw httpError(400, 'Invalid cursor.');
+    }
+}
+
+/**
+ * Runs one page of a cursor-paginated query.
+ * `orderFields` is a list of [field, direction] pairs; the document ID is appended as a
+ * tie-breaker so pages stay stable when several documents share the same sort value.
+ * Resolves to { docs, nextCursor }, where nextCursor is null on the last page.
+ */
+async function paginate(query, orderFields, { cursor, limit }) {
+    let pageQuery = query;
+    orderFields.forEach(([field, direction]) => {
+        pageQuery = pageQuery.orderBy(field, direction);
+    });
+    const tieBreakDirection = orderFields.length > 0 ? orderFields[orderFields.length - 1][1] : 'asc';
+    pageQuery = pageQuery.orderBy(admin.firestore.FieldPath.documentId(), tieBreakDirection);
+
+    if (cursor) {
+        const values = decodeCursor(cursor);
+        try {
+            pageQuery = pageQuery.startAfter(...values);
+        } catch (error) {
+            // Well-formed JSON that Firestore still rejects, e.g. an invalid document ID
+            throw httpError(400, 'Invalid cursor.');
+        }
+    }
+
+    // Fetch one extra document to know whether another page exists
+    const snapshot = await pageQuery.limit(limit + 1).get();
+    const docs = snapshot.docs.slice(0, limit);
+    const lastDoc = docs[docs.length - 1];
+    const nextCursor = snapshot.docs.length > limit
+        ? encodeCursor([...orderFields.map(([field]) => lastDoc.get(field)), lastDoc.id])
+        : null;
+
+    return { docs, nextCursor };
+}
+
+/**
+ * Orders two Firestore field values (Timestamps, numbers or strings) for in-memory sorting.
+ */
+function compareFieldValues(a, b) {
+    if (a instanceof admin.firestore.Timestamp && b instanceof admin.firestore.Timestamp) {
+        return a.seconds - b.seconds || a.nanoseconds - b.nanoseconds;
+    }
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    return a < b ? -1 : 1;
+}
+
+/**
+ * Paginates the union of several queries that share the same ordering, e.g. one query per
+ * chunk of an `in` filter. Each query is read with the same cursor, then the results are
+ * de-duplicated, merged and trimmed to one page, so the combined cursor stays stable.
+ */
+async function paginateMerged(queries, orderFields, { cursor, limit }) {
+    if (queries.length === 0) return { docs: [], nextCursor: null };
+    if (queries.length === 1) return paginate(queries[0], orderFields, { cursor, limit });
+
+    const pages = await Promise.all(queries.map(query => paginate(query, orderFields, { cursor, limit })));
+    const docsById = new Map();
+    pages.forEach(page => page.docs.forEach(doc => docsById.set(doc.id, doc)));
+
+    const tieBreakDirection = orderFields.length > 0 ? orderFields[orderFields.length - 1][1] : 'asc';
+    const merged = [...docsById.values()].sort((a, b) => {
+        for (const [field, direction] of orderFields) {
+            const result = compareFieldValues(a.get(field), b.get(field));
+            if (result !== 0) return direction === 'desc' ? -result : result;
+        }
+        const result = compareFieldValues(a.id, b.id);
+        return tieBreakDirection === 'desc' ? -result : result;
+    });
+
+    const docs = merged.slice(0, limit);
+    const hasMore = merged.length > limit || pages.some(page => page.nextCursor);
+    const lastDoc = docs[docs.length - 1];
+    const nextCursor = hasMore && lastDoc
+        ? encodeCursor([...orderFields.map(([field]) => lastDoc.get(field)), lastDoc.id])
+        : null;
+
+    return { docs, nextCursor };
+}
+
+/**
+ * Splits an array into chunks of at most `size` items (e.g. for Firestore `in` filters).
+ */
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Returns the set of users hidden from the given user because either of them blocked the other.
+ * Blocks are stored as `blocks/{blockerId}_{blockedId}` documents.
+ */
+async function fetchBlockedUserIds(userId) {
+    const [blockedByMe, blockingMe] = await Promise.all([
+        db.collection('blocks').where('blockerId', '==', userId).get(),
+        db.collection('blocks').where('blockedId', '==', userId).get()
+    ]);
+    return new Set([
+        ...blockedByMe.docs.map(doc => doc.data().blockedId),
+        ...blockingMe.docs.map(doc => doc.data().blockerId)
+    ]);
+}
+
+/**
+ * Throws a 403 httpError if either user has blocked the other. Pass a transaction to do the
+ * read inside it (before any of its writes).
+ */
+async function assertNotBlocked(userId, otherUserId, transaction) {
+    const refs = [
+        db.collection('blocks').doc(`${userId}_${otherUserId}`),
+        db.collection('blocks').doc(`${otherUserId}_${userId}`)
+    ];
+    const docs = transaction ? await transaction.getAll(...refs) : await db.getAll(...refs);
+    if (docs.some(doc => doc.exists)) {
+        throw httpError(403, 'Forbidden: You cannot interact with this user.');
+    }
+}
+
+const BATCH_WRITE_LIMIT = 500;
+
+/**
+ * Applies writes for each item using as many batches as needed to stay within
+ * Firestore's 500-writes-per-batch limit. `applyWrite(batch, item)` performs the item's
+ * writes; pass `writesPerItem` when it makes more than one.
+ */
+async function commitInBatches(items, applyWrite, writesPerItem = 1) {
+    const itemsPerBatch = Math.max(1, Math.floor(BATCH_WRITE_LIMIT / writesPerItem));
+    for (let i = 0; i < items.length; i += itemsPerBatch) {
+        const batch = db.batch();
+        items.slice(i, i + itemsPerBatch).forEach(item => applyWrite(batch, item));
+        await batch.commit();
+    }
+}
+
+const NOTIFICATION_TYPES = [
+    'friend_request', 'friend_request_accepted', 'reaction', 'chat_message',
+    'church_event', 'event_reminder', 'livestream_live', 'prayer_commitment',
+    'prayer_encouragement', 'prayer_answered', 'moderation_warning', 'new_follower'
+];
+// Users can't opt out of these
+const MANDATORY_NOTIFICATION_TYPES = ['moderation_warning'];
+// Larger audiences are finished by GET /cron/notifications, NOTIFICATION_JOB_PAGE_SIZE users at a time
+const NOTIFICATION_INLINE_RECIPIENTS = 100;
+const NOTIFICATION_JOB_PAGE_SIZE = 500;
+const NOTIFICATION_JOB_PAGES_PER_RUN = 10;
+const INVALID_FCM_TOKEN_CODES = ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'];
+
+/**
+ * Push transports deliver a notification to device tokens. `send(tokens, { title, body, data })`
+ * resolves to { invalidTokens } so tokens that will never work again can be forgotten.
+ */
+function createFcmPushTransport() {
+    return {
+        name: 'fcm',
+        async send(tokens, { title, body, data }) {
+            const results = await Promise.allSettled(tokens.map(token => admin.messaging().send({
+                token,
+                notification: { title, body },
+                data
+            })));
+            const invalidTokens = [];
+            results.forEach((result, index) => {
+                if (result.status === 'fulfilled') return;
+                if (INVALID_FCM_TOKEN_CODES.includes(result.reason.code)) {
+                    invalidTokens.push(tokens[index]);
+                } else {
+                    console.error("Error sending push notification:", result.reason);
+                }
+            });
+            return { invalidTokens };
+        }
+    };
+}
+
+/**
+ * Keeps pushes in memory instead of sending them, for local development and tests.
+ */
+function createMemoryPushTransport() {
+    const sent = [];
+    return {
+        name: 'memory',
+        sent,
+        async send(tokens, message) {
+            tokens.forEach(token => sent.push({ token, ...message }));
+            return { invalidTokens: [] };
+        }
+    };
+}
+
+// Set PUSH_TRANSPORT=memory to run without FCM; tests can also swap it with app.set('pushTransport', ...)
+app.set('pushTransport', process.env.PUSH_TRANSPORT === 'memory' ? createMemoryPushTransport() : createFcmPushTransport());
+
+/**
+ * Resolves a user's { inApp, push } settings for one notification type. Every type is on
+ * by default; `notificationPreferences` on the user doc overrides that per type.
+ */
+function notificationSettings(userData, type) {
+    if (MANDATORY_NOTIFICATION_TYPES.includes(type)) return { inApp: true, push: true };
+    const preference = (userData.notificationPreferences || {})[type] || {};
+    return {
+        inApp: preference.inApp !== false,
+        push: preference.push !== false
+    };
+}
+
+/**
+ * Sends a push to every device the user registered, forgetting tokens the transport reports invalid.
+ */
+async function pushToDevices(userId, message) {
+    const devicesRef = db.collection('users').doc(userId).collection('devices');
+    const devicesSnapshot = await devicesRef.get();
+    if (devicesSnapshot.empty) return;
+
+    const tokens = devicesSnapshot.docs.map(doc => doc.data().token);
+    const { invalidTokens } = await app.get('pushTransport').send(tokens, message);
+    await Promise.all(invalidTokens.map(token => devicesRef.doc(token).delete()));
+}
+
+/**
+ * Notifies users of something that happened, honouring each user's preferences: writes an
+ * in-app notification to `notifications` and pushes it to their devices. `actorId`, the user
+ * who caused it, is never notified. `title` and `body` may also be functions of the actor's
+ * display name, which is then looked up here. Notifications are best-effort, so failures
+ * (including that lookup) are logged rather than thrown and can't fail the action that
+ * triggered them.
+ */
+async function notifyUsers(userIds, { type, title, body, data = {}, actorId = null }) {
+    const recipientIds = [...new Set(userIds)].filter(id => id && id !== actorId);
+    if (recipientIds.length === 0) return;
+
+    try {
+        if (typeof title === 'function' || typeof body === 'function') {
+            const actorName = await fetchDisplayName(actorId);
+            if (typeof title === 'function') title = title(actorName);
+            if (typeof body === 'function') body = body(actorName);
+        }
+        const userDocs = [];
+        for (const ids of chunk(recipientIds, MAX_PAGE_SIZE)) {
+            userDocs.push(...await db.getAll(...ids.map(id => db.collection('users').doc(id))));
+        }
+        const recipients = userDocs
+            .filter(doc => doc.exists)
+            .map(doc => ({ userId: doc.id, ...notificationSettings(doc.data(), type) }));
+
+        await commitInBatches(recipients.filter(recipient => recipient.inApp), (batch, { userId }) => {
+            batch.set(db.collection('notifications').doc(), {
+                userId,
+                type,
+                title,
+                body,
+                data,
+                actorId,
+                read: false,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+
+        // FCM data payloads only carry string values
+        const pushData = { type };
+        Object.entries(data).forEach(([key, value]) => { pushData[key] = String(value); });
+        await Promise.all(recipients
+            .filter(recipient => recipient.push)
+            .map(({ userId }) => pushToDevices(userId, { title, body, data: pushData })));
+    } catch (error) {
+        console.error(`Error sending ${type} notifications:`, error);
+    }
+}
+
+/**
+ * Returns a user's display name for notification text.
+ */
+async function fetchDisplayName(userId) {
+    const summaries = await fetchUserSummaries([userId]);
+    return (summaries[userId] && summaries[userId].name) || 'Someone';
+}
+
+/**
+ * Notifies a potentially large audience, such as a church's members. The first
+ * NOTIFICATION_INLINE_RECIPIENTS are notified right away; the rest are queued in
+ * `notification_jobs` for GET /cron/notifications so the request doesn't wait on them.
+ */
+async function fanOutNotification(userIds, notification) {
+    const recipientIds = [...new Set(userIds)].filter(id => id && id !== notification.actorId);
+    await notifyUsers(recipientIds.slice(0, NOTIFICATION_INLINE_RECIPIENTS), notification);
+    if (recipientIds.length <= NOTIFICATION_INLINE_RECIPIENTS) return;
+    try {
+        await db.collection('notification_jobs').add({
+            recipientIds: recipientIds.slice(NOTIFICATION_INLINE_RECIPIENTS),
+            nextIndex: 0,
+            notification: { data: {}, ...notification, actorId: notification.actorId || null },
+            actorId: notification.actorId || null,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (error) {
+        console.error(`Error queueing ${notification.type} notifications:`, error);
+    }
+}
+
+const SEARCH_TYPES = ['user', 'church', 'post', 'media', 'song'];
+const MIN_SEARCH_PREFIX_LENGTH = 2;
+const MAX_SEARCH_PREFIX_LENGTH = 15;
+const MAX_SEARCH_TOKENS = 300;
+const MAX_SEARCH_ROUNDS = 5;
+const MAX_SEARCH_QUERY_LENGTH = 200;
+
+/**
+ * Normalizes text for search: strips accents, lowercases and splits into word tokens,
+ * so "Okéllo-John" becomes ['okello', 'john'].
+ */
+function tokenizeSearchText(text) {
+    if (!text || typeof text !== 'string') return [];
+    return text
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+/**
+ * Builds the `tokens` array stored on a search index entry. Words in `prefixText`
+ * (names and titles) are indexed with all their prefixes so partial input matches as you
+ * type; words in `wordText` (descriptions and post bodies) are indexed as whole words.
+ */
+function buildSearchTokens(prefixText, wordText) {
+    const tokens = new Set();
+    tokenizeSearchText(prefixText).forEach(word => {
+        const maxLength = Math.min(word.length, MAX_SEARCH_PREFIX_LENGTH);
+        for (let length = Math.min(MIN_SEARCH_PREFIX_LENGTH, word.length); length <= maxLength; length++) {
+            tokens.add(word.slice(0, length));
+        }
+        tokens.add(word);
+    });
+    tokenizeSearchText(wordText).forEach(word => tokens.add(word));
+    return [...tokens].slice(0, MAX_SEARCH_TOKENS);
+}
+
+/**
+ * Describes how each searchable collection maps onto `search_index` entries.
+ */
+const SEARCH_SOURCES = {
+    user: {
+        collection: 'users',
+        toEntry: (data, id) => ({ ownerId: id, title: data.name, subtitle: null, photoUrl: data.photoUrl, country: data.country, prefixText: data.name })
+    },
+    church: {
+        collection: 'churches',
+        toEntry: data => ({ ownerId: data.createdBy, title: data.name, subtitle: data.description, country: data.country, prefixText: data.name, wordText: data.description })
+    },
+    post: {
+        collection: 'posts',
+        toEntry: data => ({
+            ownerId: data.authorId,
+            title: (data.content || '').slice(0, 120),
+            subtitle: data.authorName,
+            photoUrl: data.authorPhotoUrl,
+            country: data.country,
+            wordText: data.content
+        }),
+        // Ephemeral statuses stored as posts by older clients are not searchable
+        skip: data => data.type === 'status'
+    },
+    media: {
+        collection: 'media',
+        toEntry: data => ({ ownerId: data.uploaderId, title: data.title, subtitle: data.description, country: data.country, prefixText: data.title, wordText: data.description })
+    },
+    song: {
+        collection: 'songs',
+        toEntry: data => ({ title: data.title, subtitle: data.artist, photoUrl: data.artworkUrl, prefixText: `${data.title} ${data.artist} ${data.album || ''}` }),
+        // Unpublished catalog entries are only visible to admins
+        skip: data => data.published === false
+    }
+};
+
+/**
+ * Creates, refreshes or (when `data` is null) removes the search index entry for a document.
+ * Called from every route that writes a searchable field. Content hidden by a moderator
+ * is left out of the index until it is restored.
+ */
+async function syncSearchIndex(type, id, data) {
+    const source = SEARCH_SOURCES[type];
+    const entryRef = db.collection('search_index').doc(`${type}_${id}`);
+    if (!data || data.hidden || (source.skip && source.skip(data))) {
+        await entryRef.delete();
+        return;
+    }
+
+    const entry = source.toEntry(data, id);
+    await entryRef.set({
+        type,
+        refId: id,
+        // The user behind the entry, so searches can leave out people the caller blocked
+        ownerId: entry.ownerId || null,
+        title: entry.title || '',
+        subtitle: entry.subtitle || null,
+        photoUrl: entry.photoUrl || null,
+        country: entry.country || null,
+        countryKey: tokenizeSearchText(entry.country).join(' ') || null,
+        sortKey: tokenizeSearchText(entry.title).join(' '),
+        tokens: buildSearchTokens(entry.prefixText, entry.wordText),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+/**
+ * Returns the canonical friendship document ID for two users (sorted, like chat IDs).
+ */
+function friendshipId(userA, userB) {
+    return [userA, userB].sort().join('_');
+}
+
+// =========================================================================
+// REQUEST VALIDATION
+// =========================================================================
+
+const MAX_ID_LENGTH = 128;
+const MAX_URL_LENGTH = 2048;
+const MAX_CURSOR_LENGTH = 1000;
+
+/**
+ * Rule builders for `validate()` schemas. Every rule accepts `required` and `nullable`
+ * (whether an explicit null is allowed); the other options are listed per type.
+ * Numbers and booleans sent as strings (always the case in query strings) are coerced.
+ */
+const schema = {
+    // min (length, ignoring surrounding whitespace), max (length), oneOf, pattern
+    string: (options = {}) => ({ type: 'string', ...options }),
+    // A Firestore document ID: no slashes, not "." or "..", at most MAX_ID_LENGTH characters
+    id: (options = {}) => ({ type: 'id', max: MAX_ID_LENGTH, ...options }),
+    url: (options = {}) => ({ type: 'url', ...options }),
+    // min, max
+    integer: (options = {}) => ({ type: 'integer', ...options }),
+    number: (options = {}) => ({ type: 'number', ...options }),
+    boolean: (options = {}) => ({ type: 'boolean', ...options }),
+    // A string (e.g. ISO 8601) or epoch milliseconds that Date can parse
+    date: (options = {}) => ({ type: 'date', ...options }),
+    // A calendar day formatted YYYY-MM-DD, e.g. the client's local date
+    day: (options = {}) => ({ type: 'day', ...options }),
+    // min, max (items)
+    array: (items, options = {}) => ({ type: 'array', items, ...options }),
+    // Nested fields; unknown fields are rejected
+    object: (fields, options = {}) => ({ type: 'object', fields, ...options }),
+    // Checked by the route itself
+    any: (options = {}) => ({ type: 'any', ...options })
+};
+
+// The `?cursor=&limit=` parameters shared by every paginated list route
+const PAGE_QUERY = {
+    cursor: schema.string({ max: MAX_CURSOR_LENGTH }),
+    limit: schema.integer({ min: 1 })
+};
+
+/**
+ * Checks one value against a rule, pushing { location, field, message } entries onto `errors`.
+ * Returns the (coerced) value.
+ */
+function checkValue(value, rule, location, field, errors) {
+    const fail = message => {
+        errors.push({ location, field, message: `${field} ${message}` });
+        return value;
+    };
+    if (value === undefined || (value === '' && location === 'query')) {
+        return rule.required ? fail('is required.') : undefined;
+    }
+    if (value === null) {
+        return rule.nullable ? null : fail(rule.required ? 'is required.' : 'must not be null.');
+    }
+
+    switch (rule.type) {
+        case 'string':
+        case 'id': {
+            if (typeof value !== 'string') return fail('must be a string.');
+            if (rule.required && !value.trim()) return fail('is required.');
+            if (rule.min !== undefined && value.trim().length < rule.min) return fail(`must be at least ${rule.min} characters.`);
+            if (rule.max !== undefined && value.length > rule.max) return fail(`must be at most ${rule.max} characters.`);
+            if (rule.oneOf && !rule.oneOf.includes(value)) return fail(`must be one of: ${rule.oneOf.join(', ')}.`);
+            if (rule.pattern && !rule.pattern.test(value)) return fail('has an invalid format.');
+            if (rule.type === 'id' && (value.includes('/') || value === '.' || value === '..')) return fail('is not a valid ID.');
+            return value;
+        }
+        case 'url':
+            if (typeof value !== 'string' || value.length > MAX_URL_LENGTH || !isHttpUrl(value)) {
+                return fail('must be an http(s) URL.');
+            }
+            return value;
+        case 'integer':
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) return fail('must be a number.');
+            if (rule.type === 'integer' && !Number.isInteger(number)) return fail('must be an integer.');
+            if (rule.min !== undefined && number < rule.min) return fail(`must be at least ${rule.min}.`);
+            if (rule.max !== undefined && number > rule.max) return fail(`must be at most ${rule.max}.`);
+            return number;
+        }
+        case 'boolean':
+            if (value === 'true') return true;
+            if (value === 'false') return false;
+            return typeof value === 'boolean' ? value : fail('must be true or false.');
+        case 'date':
+            if (!['string', 'number'].includes(typeof value) || String(value).length > 64 || isNaN(new Date(value).getTime())) {
+                return fail('must be a valid date (ISO 8601 recommended).');
+            }
+            return value;
+        case 'day': {
+            const day = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+            // Out-of-range days such as 2024-02-30 parse by rolling over into the next month
+            if (!day || isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== value) {
+                return fail('must be a valid date formatted as YYYY-MM-DD.');
+            }
+            return value;
+        }
+        case 'array': {
+            if (!Array.isArray(value)) return fail('must be an array.');
+            if (rule.min !== undefined && value.length < rule.min) return fail(`must have at least ${rule.min} item(s).`);
+            if (rule.max !== undefined && value.length > rule.max) return fail(`must have at most ${rule.max} items.`);
+            return value.map((item, index) => checkValue(item, rule.items, location, `${field}[${index}]`, errors));
+        }
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object.');
+            return checkFields(value, rule.fields, location, `${field}.`, errors);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Checks an object's fields against a map of rules, rejecting fields the map doesn't list.
+ * Returns a copy holding the coerced values of the fields that were present.
+ */
+function checkFields(input, fields, location, prefix, errors) {
+    const output = {};
+    Object.keys(input).forEach(key => {
+        if (!fields[key]) {
+            errors.push({ location, field: `${prefix}${key}`, message: `${prefix}${key} is not allowed.` });
+        }
+    });
+    Object.entries(fields).forEach(([key, rule]) => {
+        const value = checkValue(input[key], rule, location, `${prefix}${key}`, errors);
+        if (value !== undefined) output[key] = value;
+    });
+    return output;
+}
+
+/**
+ * Responds with the error envelope shared by every validation failure:
+ * { success: false, message, errors: [{ location, field, message }] }.
+ */
+function sendValidationError(res, errors) {
+    return res.status(400).json({ success: false, message: `Validation failed: ${errors[0].message}`, errors });
+}
+
+/**
+ * Route middleware validating `req.params`, `req.query` and `req.body` against a schema of
+ * the form { params?, query?, body? }, each a map of field name to rule. Route parameters
+ * default to `schema.id()`. Query and body fields the schema doesn't list are rejected, and
+ * `req.params`, `req.query` and `req.body` get their coerced values. Use after `authenticate`.
+ */
+function validate({ params = {}, query = {}, body = {} } = {}) {
+    return (req, res, next) => {
+        const errors = [];
+        Object.entries(req.params).forEach(([key, value]) => {
+            req.params[key] = checkValue(value, params[key] || schema.id({ required: true }), 'params', key, errors);
+        });
+        req.query = checkFields(req.query, query, 'query', '', errors);
+        const requestBody = req.body === undefined ? {} : req.body;
+        if (typeof requestBody !== 'object' || requestBody === null || Array.isArray(requestBody)) {
+            errors.push({ location: 'body', field: '', message: 'The request body must be a JSON object.' });
+        } else {
+            req.body = checkFields(requestBody, body, 'body', '', errors);
+        }
+        if (errors.length > 0) return sendValidationError(res, errors);
+        next();
+    };
+}
+
 
 // =========================================================================
 // 🌐 API ROUTES 🌐
 // =========================================================================
 
 // --- Health Check ---
-app.get('/', (req, res) => {
+app.get('/', validate(), (req, res) => {
     res.status(200).send('LonyiChat Backend API is running.');
 });
 
@@ -101,49 +845,83 @@ app.get('/', (req, res) => {
 // AUTH & USER PROFILE ROUTES
 // -------------------------------------------------------------------------
 
+// Profile fields users can set themselves; signup additionally takes `email`
+const PROFILE_FIELDS = {
+    name: schema.string({ required: true, max: MAX_USER_NAME_LENGTH }),
+    phone: schema.string({ required: true, max: MAX_PHONE_LENGTH }),
+    age: schema.integer({ required: true, max: MAX_AGE }),
+    country: schema.string({ required: true, max: MAX_COUNTRY_LENGTH }),
+    photoUrl: schema.url({ nullable: true })
+};
+
 /**
  * POST /signup-profile
  * Endpoint to store extended user profile information (Name, Phone, Age, Country) in Firestore.
+ * The profile always belongs to the authenticated user; older clients may still send `userId`,
+ * which must match. Signing up again only refreshes these fields and never resets social data
+ * such as `churches` or the follow counters.
  */
-app.post('/signup-profile', async (req, res) => {
+app.post('/signup-profile', authenticate, validate({
+    body: {
+        ...PROFILE_FIELDS,
+        userId: schema.id(),
+        email: schema.string({ required: true, max: MAX_EMAIL_LENGTH })
+    }
+}), async (req, res) => {
     if (!checkDbConnection(res)) return;
 
+    const userId = req.user.uid;
     const data = req.body;
-    
+    if (data.userId !== undefined && data.userId !== userId) {
+        return res.status(403).json({ success: false, message: 'Forbidden: You can only create your own profile.' });
+    }
+
     const validationErrors = validateProfileData(data);
     if (validationErrors.length > 0) {
-        return res.status(400).json({ 
-            success: false, 
-            message: 'Validation failed.', 
-            errors: validationErrors 
-        });
+        return sendValidationError(res, validationErrors);
     }
 
     // --- Actual Firebase interaction: Save profile data to Firestore ---
     try {
-        const userRef = db.collection('users').doc(data.userId);
-        
-        await userRef.set({
+        const userRef = db.collection('users').doc(userId);
+        const profileFields = {
             name: data.name,
             email: data.email,
             phone: data.phone,
-            age: parseInt(data.age),
+            age: data.age,
             country: data.country,
-            photoUrl: data.photoUrl || null,
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            // Initialize social fields for later use
-            following: [], 
-            followers: [],
-            churches: []
-        }, { merge: true });
+            photoUrl: data.photoUrl || null
+        };
+
+        let previousUser = null;
+        const savedUser = await db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+            if (userDoc.exists) {
+                previousUser = userDoc.data();
+                transaction.update(userRef, profileFields);
+                return { ...previousUser, ...profileFields };
+            }
+            const newUser = {
+                ...profileFields,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                // Initialize social fields for later use
+                followerCount: 0,
+                followingCount: 0,
+                churches: []
+            };
+            transaction.set(userRef, newUser);
+            return newUser;
+        });
+        await syncSearchIndex('user', userId, savedUser);
+        if (previousUser) await queueProfileSync(userId, previousUser, savedUser);
 
-        console.log(`[Backend Log] Successfully stored profile data for user: ${data.userId}`);
+        console.log(`[Backend Log] Successfully stored profile data for user: ${userId}`);
 
         res.status(201).json({ 
             success: true, 
             message: 'Profile data saved successfully to Firestore.',
             profile: { 
-                id: data.userId, 
+                id: userId, 
                 name: data.name, 
                 country: data.country 
             }
@@ -163,7 +941,7 @@ app.post('/signup-profile', async (req, res) => {
  * GET /profile
  * Fetches the currently authenticated user's full profile.
  */
-app.get('/profile', authenticate, async (req, res) => {
+app.get('/profile', authenticate, validate(), async (req, res) => {
     if (!checkDbConnection(res)) return;
     try {
         const userId = req.user.uid;
@@ -182,10 +960,11 @@ app.get('/profile', authenticate, async (req, res) => {
             age: userData.age || null,
             country: userData.country || null,
             photoUrl: userData.photoUrl || null,
-            // Calculate mock stats from array lengths
-            followingCount: userData.following ? userData.following.length : 0,
-            followerCount: userData.followers ? userData.followers.length : 0,
+            followingCount: userData.followingCount || 0,
+            followerCount: userData.followerCount || 0,
             churchCount: userData.churches ? userData.churches.length : 0,
+            // Set while a requested account deletion is in its grace period
+            deletionScheduledFor: userData.deletion ? formatTimestamp(userData.deletion.scheduledFor) : null,
             // Format timestamp for Kotlin client
             createdAt: userData.createdAt ? {
                 _seconds: userData.createdAt.seconds,
@@ -205,26 +984,35 @@ app.get('/profile', authenticate, async (req, res) => {
  * PUT /profile
  * Updates the currently authenticated user's profile details.
  */
-app.put('/profile', authenticate, async (req, res) => {
+app.put('/profile', authenticate, validate({ body: PROFILE_FIELDS }), async (req, res) => {
     if (!checkDbConnection(res)) return;
     const { name, phone, age, country, photoUrl } = req.body;
     const userId = req.user.uid;
 
-    if (!name || !phone || !age || !country) {
-        return res.status(400).json({ success: false, message: 'Missing required fields for update: name, phone, age, country.' });
+    const validationErrors = validateProfileData(req.body);
+    if (validationErrors.length > 0) {
+        return sendValidationError(res, validationErrors);
     }
     
     try {
         const userRef = db.collection('users').doc(userId);
-        
+        const previousDoc = await userRef.get();
+        if (!previousDoc.exists) {
+            return res.status(404).json({ success: false, message: 'User profile not found.' });
+        }
+
         await userRef.update({
             name: name,
             phone: phone,
-            age: parseInt(age),
+            age: age,
             country: country,
             // Only update photoUrl if provided, otherwise preserve existing or ignore
             ...(photoUrl !== undefined && { photoUrl: photoUrl || null }) 
         });
+        const updatedDoc = await userRef.get();
+        await syncSearchIndex('user', userId, updatedDoc.data());
+        // Posts, comments and chats keep copies of the name and photo; a cron job updates them
+        await queueProfileSync(userId, previousDoc.data(), updatedDoc.data());
 
         res.status(200).json({ success: true, message: 'Profile updated successfully.' });
     } catch (error) {
@@ -233,28 +1021,251 @@ app.put('/profile', authenticate, async (req, res) => {
     }
 });
 
+const PROFILE_SYNC_PAGE_SIZE = 200;
+const PROFILE_SYNC_PAGES_PER_RUN = 25;
+
+/**
+ * Documents that keep a copy of a user's name or photo, and the fields to write when the
+ * profile changes. Posts also carry the author's name into their search index entries.
+ */
+const PROFILE_COPIES = [
+    {
+        query: userId => db.collection('posts').where('authorId', '==', userId),
+        updates: ({ name, photoUrl }) => ({ authorName: name, authorPhotoUrl: photoUrl }),
+        searchType: 'post'
+    },
+    {
+        query: userId => db.collection('statuses').where('authorId', '==', userId),
+        updates: ({ name, photoUrl }) => ({ authorName: name, authorPhotoUrl: photoUrl })
+    },
+    {
+        query: userId => db.collectionGroup('comments').where('authorId', '==', userId),
+        updates: ({ name, photoUrl }) => ({ authorName: name, authorPhotoUrl: photoUrl })
+    },
+    {
+        query: userId => db.collection('chats').where('participants', 'array-contains', userId),
+        updates: ({ name }, userId) => ({ [`participantNames.${userId}`]: name })
+    }
+];
+
+/**
+ * Queues a profile sync job when a profile update changed the user's name or photo. There is
+ * one job per user (`profile_sync_jobs/{userId}`); a newer change replaces a job still in
+ * progress, which then starts over with the latest values.
+ */
+async function queueProfileSync(userId, previous, current) {
+    const name = current.name;
+    const photoUrl = current.photoUrl || null;
+    if (previous && previous.name === name && (previous.photoUrl || null) === photoUrl) return;
+
+    await db.collection('profile_sync_jobs').doc(userId).set({
+        userId,
+        name,
+        photoUrl,
+        copyIndex: 0,
+        cursor: null,
+        version: Date.now(),
+        requestedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+/**
+ * Works through up to `pageBudget` pages of a profile sync job, one PROFILE_COPIES entry at a
+ * time, committing each page with commitInBatches. Progress is saved unless the job was
+ * replaced in the meantime, and the job is removed once every copy is up to date.
+ * Resolves to { pageCount, completed }.
+ */
+async function runProfileSyncJob(jobDoc, pageBudget) {
+    const { userId, name, photoUrl, version } = jobDoc.data();
+    let { copyIndex, cursor } = jobDoc.data();
+    let pages = 0;
+
+    while (copyIndex < PROFILE_COPIES.length && pages < pageBudget) {
+        const copy = PROFILE_COPIES[copyIndex];
+        let query = copy.query(userId).orderBy(admin.firestore.FieldPath.documentId());
+        // Cursors are document paths so the same code pages collection-group queries
+        if (cursor) query = query.startAfter(db.doc(cursor));
+        const snapshot = await query.limit(PROFILE_SYNC_PAGE_SIZE).get();
+
+        const updates = copy.updates({ name, photoUrl }, userId);
+        await commitInBatches(snapshot.docs, (batch, doc) => batch.update(doc.ref, updates));
+        if (copy.searchType) {
+            await Promise.all(snapshot.docs.map(doc => syncSearchIndex(copy.searchType, doc.id, { ...doc.data(), ...updates })));
+        }
+        pages++;
+
+        if (snapshot.docs.length < PROFILE_SYNC_PAGE_SIZE) {
+            copyIndex++;
+            cursor = null;
+        } else {
+            cursor = snapshot.docs[snapshot.docs.length - 1].ref.path;
+        }
+    }
+
+    const completed = copyIndex >= PROFILE_COPIES.length;
+    await db.runTransaction(async (transaction) => {
+        const currentDoc = await transaction.get(jobDoc.ref);
+        if (!currentDoc.exists || currentDoc.data().version !== version) return;
+        if (completed) {
+            transaction.delete(jobDoc.ref);
+        } else {
+            transaction.update(jobDoc.ref, { copyIndex, cursor });
+        }
+    });
+    return { pageCount: pages, completed };
+}
+
+/**
+ * GET /cron/profile-sync
+ * Scheduled job (see `crons` in vercel.json) that copies changed names and photos onto the
+ * user's posts, statuses, comments and chats. Each run handles at most
+ * PROFILE_SYNC_PAGES_PER_RUN pages across all queued jobs, oldest first; the rest waits for the next run.
+ */
+app.get('/cron/profile-sync', authenticateCron, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const jobsSnapshot = await db.collection('profile_sync_jobs')
+            .orderBy('requestedAt', 'asc')
+            .limit(PROFILE_SYNC_PAGES_PER_RUN)
+            .get();
+
+        let pageCount = 0;
+        let completedCount = 0;
+        for (const jobDoc of jobsSnapshot.docs) {
+            if (pageCount >= PROFILE_SYNC_PAGES_PER_RUN) break;
+            const result = await runProfileSyncJob(jobDoc, PROFILE_SYNC_PAGES_PER_RUN - pageCount);
+            pageCount += result.pageCount;
+            if (result.completed) completedCount++;
+        }
+        res.status(200).json({ success: true, pageCount, completedCount });
+    } catch (error) {
+        console.error("Error syncing profile copies:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * Runs one page of a search over `search_index`. Firestore can only match one array token
+ * per query, so the longest query word is matched in the query and the others are checked
+ * in memory, along with entries owned by `excludedOwnerIds`, fetching a few extra rounds
+ * when that filters out part of a page. Resolves to { results, nextCursor }.
+ */
+async function runSearch({ q, type, country, cursor, limit, excludedOwnerIds = new Set() }) {
+    const words = [...new Set(tokenizeSearchText(q))];
+    if (words.length === 0) throw httpError(400, 'A search query is required.');
+    // The longest word is the most selective one to match in Firestore
+    const [primary, ...others] = [...words].sort((a, b) => b.length - a.length);
+
+    let query = db.collection('search_index').where('tokens', 'array-contains', primary);
+    if (type) query = query.where('type', '==', type);
+    if (country) query = query.where('countryKey', '==', tokenizeSearchText(country).join(' '));
+
+    const matches = [];
+    let nextCursor = cursor;
+    for (let round = 0; round < MAX_SEARCH_ROUNDS && matches.length < limit; round++) {
+        const page = await paginate(query, [['sortKey', 'asc']], { cursor: nextCursor, limit: limit - matches.length });
+        page.docs
+            .filter(doc => others.every(word => doc.data().tokens.includes(word)) && !excludedOwnerIds.has(doc.data().ownerId))
+            .forEach(doc => matches.push(doc));
+        nextCursor = page.nextCursor;
+        if (!nextCursor) break;
+    }
+
+    const results = matches.map(doc => {
+        const data = doc.data();
+        return {
+            type: data.type,
+            id: data.refId,
+            title: data.title,
+            subtitle: data.subtitle || null,
+            photoUrl: data.photoUrl || null,
+            country: data.country || null
+        };
+    });
+    return { results, nextCursor: nextCursor || null };
+}
+
 /**
- * GET /users/search
- * Finds other Christians by searching for their name.
+ * GET /search?q=&type=user|church|post|media|song&country=&cursor=&limit=
+ * Case- and accent-insensitive search across users, churches, posts, media and songs.
+ * Every word in `q` must match; names and titles also match by prefix ("oke" finds "Okello").
+ * Users blocked in either direction, and their content, are left out.
  */
-app.get('/users/search', authenticate, async (req, res) => {
+app.get('/search', authenticate, validate({
+    query: {
+        q: schema.string({ required: true, max: MAX_SEARCH_QUERY_LENGTH }),
+        type: schema.string({ oneOf: SEARCH_TYPES }),
+        country: schema.string({ max: MAX_COUNTRY_LENGTH }),
+        ...PAGE_QUERY
+    }
+}), async (req, res) => {
     if (!checkDbConnection(res)) return;
-    const { query } = req.query;
-    if (!query) {
-        return res.status(400).json({ success: false, message: 'A search query is required.' });
+    const { q, type, country, cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const excludedOwnerIds = await fetchBlockedUserIds(req.user.uid);
+        const { results, nextCursor } = await runSearch({ q, type, country, cursor, limit, excludedOwnerIds });
+        res.status(200).json({ success: true, results, nextCursor });
+    } catch (error) {
+        console.error("Error searching:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /users/search?query=&country=&cursor=&limit=
+ * Finds other Christians by any word of their name (kept for existing clients; see GET /search).
+ * Users blocked in either direction are left out.
+ */
+app.get('/users/search', authenticate, validate({
+    query: {
+        query: schema.string({ required: true, max: MAX_SEARCH_QUERY_LENGTH }),
+        country: schema.string({ max: MAX_COUNTRY_LENGTH }),
+        ...PAGE_QUERY
     }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { query, country, cursor } = req.query;
     try {
-        // Simple prefix search on 'name' field
-        const snapshot = await db.collection('users').where('name', '>=', query).where('name', '<=', query + '\uf8ff').limit(10).get();
-        const users = snapshot.docs.map(doc => ({
-            id: doc.id,
-            name: doc.data().name,
-            photoUrl: doc.data().photoUrl || null
+        const limit = parsePageLimit(req.query.limit, 10);
+        const excludedOwnerIds = await fetchBlockedUserIds(req.user.uid);
+        const { results, nextCursor } = await runSearch({ q: query, type: 'user', country, cursor, limit, excludedOwnerIds });
+        const users = results.map(result => ({
+            id: result.id,
+            name: result.title,
+            photoUrl: result.photoUrl
         }));
-        res.status(200).json({ success: true, users });
+        res.status(200).json({ success: true, users, nextCursor });
     } catch (error) {
         console.error("Error searching users:", error);
-        res.status(500).json({ success: false, message: error.message });
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /cron/search/reindex?type=user|church|post|media|song&cursor=
+ * Rebuilds search index entries for one page of a collection, e.g. to backfill documents
+ * written before the index existed. Call repeatedly with the returned `nextCursor`.
+ */
+app.get('/cron/search/reindex', authenticateCron, validate({
+    query: {
+        type: schema.string({ required: true, oneOf: SEARCH_TYPES }),
+        cursor: schema.string({ max: MAX_CURSOR_LENGTH })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { type, cursor } = req.query;
+    try {
+        const { docs, nextCursor } = await paginate(
+            db.collection(SEARCH_SOURCES[type].collection),
+            [],
+            { cursor, limit: MAX_PAGE_SIZE }
+        );
+        await Promise.all(docs.map(doc => syncSearchIndex(type, doc.id, doc.data())));
+        res.status(200).json({ success: true, indexedCount: docs.length, nextCursor });
+    } catch (error) {
+        console.error("Error rebuilding search index:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
     }
 });
 
@@ -262,467 +1273,7787 @@ app.get('/users/search', authenticate, async (req, res) => {
  * POST /users/friend-request
  * Sends a friend request to another user.
  */
-app.post('/users/friend-request', authenticate, async (req, res) => {
+app.post('/users/friend-request', authenticate, validate({ body: { recipientId: schema.id({ required: true }) } }), async (req, res) => {
     if (!checkDbConnection(res)) return;
     const { recipientId } = req.body;
     const senderId = req.user.uid;
-    if (!recipientId) {
-        return res.status(400).json({ success: false, message: 'Recipient ID is required.' });
+    if (recipientId === senderId) {
+        return res.status(400).json({ success: false, message: 'You cannot send a friend request to yourself.' });
     }
     try {
         const requestRef = db.collection('friend_requests').doc(`${senderId}_${recipientId}`);
-        await requestRef.set({
-            from: senderId,
-            to: recipientId,
-            status: 'pending',
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        const reverseRef = db.collection('friend_requests').doc(`${recipientId}_${senderId}`);
+        const recipientRef = db.collection('users').doc(recipientId);
+        const friendshipRef = db.collection('friendships').doc(friendshipId(senderId, recipientId));
+
+        await db.runTransaction(async (transaction) => {
+            const [recipientDoc, requestDoc, reverseDoc, friendshipDoc] = await transaction.getAll(
+                recipientRef, requestRef, reverseRef, friendshipRef
+            );
+
+            if (!recipientDoc.exists) throw httpError(404, 'Recipient not found.');
+            await assertNotBlocked(senderId, recipientId, transaction);
+            if (friendshipDoc.exists) throw httpError(409, 'You are already friends with this user.');
+            if (requestDoc.exists && requestDoc.data().status === 'pending') {
+                throw httpError(409, 'Friend request already sent.');
+            }
+            if (reverseDoc.exists && reverseDoc.data().status === 'pending') {
+                throw httpError(409, 'This user has already sent you a friend request.');
+            }
+
+            // A previously declined request is simply overwritten by the new one
+            transaction.set(requestRef, {
+                from: senderId,
+                to: recipientId,
+                status: 'pending',
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+        await notifyUsers([recipientId], {
+            type: 'friend_request',
+            title: 'New friend request',
+            body: name => `${name} sent you a friend request.`,
+            data: { requestId: requestRef.id, userId: senderId },
+            actorId: senderId
         });
-        res.status(201).json({ success: true, message: 'Friend request sent.' });
+        res.status(201).json({ success: true, message: 'Friend request sent.', requestId: requestRef.id });
     } catch (error) {
         console.error("Error sending friend request:", error);
-        res.status(500).json({ success: false, message: error.message });
+        res.status(error.status || 500).json({ success: false, message: error.message });
     }
 });
 
 
 // -------------------------------------------------------------------------
-// POSTS, STATUS UPDATES, REACTIONS & COMMENTS ROUTES
+// FRIEND REQUESTS & FRIENDS ROUTES
 // -------------------------------------------------------------------------
 
 /**
- * GET /posts
- * Fetches the latest 20 posts, ordered by creation time (Required for HomeFeedViewModel).
+ * Lists one page of the caller's pending friend requests in one direction, with the other
+ * party's name/photo attached. `field` is 'to' for incoming and 'from' for outgoing.
  */
-app.get('/posts', authenticate, async (req, res) => {
-    if (!checkDbConnection(res)) return;
-    try {
-        const postsSnapshot = await db.collection('posts')
-            .orderBy('createdAt', 'desc')
-            .limit(20) // For performance, limit the feed size
-            .get();
+async function listPendingFriendRequests(userId, field, page) {
+    const query = db.collection('friend_requests')
+        .where(field, '==', userId)
+        .where('status', '==', 'pending');
+    const { docs, nextCursor } = await paginate(query, [['createdAt', 'desc']], page);
 
-        const posts = postsSnapshot.docs.map(doc => {
-            const data = doc.data();
-            // Convert Firebase Timestamp to the { _seconds, _nanoseconds } format 
-            // expected by the Android client's Post.kt data model.
-            return {
-                id: doc.id,
-                authorId: data.authorId,
-                authorName: data.authorName,
-                authorPhotoUrl: data.authorPhotoUrl || null,
-                content: data.content,
-                type: data.type,
-                reactions: data.reactions || { amen: 0, hallelujah: 0, praiseGod: 0 },
-                commentCount: data.commentCount || 0,
-                createdAt: data.createdAt ? {
-                    _seconds: data.createdAt.seconds,
-                    _nanoseconds: data.createdAt.nanoseconds
-                } : null
-            };
-        });
+    const otherField = field === 'to' ? 'from' : 'to';
+    const summaries = await fetchUserSummaries(docs.map(doc => doc.data()[otherField]));
+
+    const requests = docs.map(doc => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            from: data.from,
+            to: data.to,
+            status: data.status,
+            user: summaries[data[otherField]] || null,
+            createdAt: formatTimestamp(data.createdAt)
+        };
+    });
+    return { requests, nextCursor };
+}
 
-        res.status(200).json({ success: true, posts });
+/**
+ * GET /users/friend-requests/incoming
+ * Lists pending friend requests sent to the authenticated user.
+ */
+app.get('/users/friend-requests/incoming', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const { requests, nextCursor } = await listPendingFriendRequests(req.user.uid, 'to', { cursor, limit });
+        res.status(200).json({ success: true, requests, nextCursor });
     } catch (error) {
-        console.error("Error fetching posts:", error);
-        res.status(500).json({ success: false, message: 'Failed to fetch posts.', error: error.message });
+        console.error("Error fetching incoming friend requests:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
     }
 });
 
 /**
- * POST /posts
- * Creates a new post or status update (Required for HomeFeedViewModel).
+ * GET /users/friend-requests/outgoing
+ * Lists pending friend requests sent by the authenticated user.
  */
-app.post('/posts', authenticate, async (req, res) => {
+app.get('/users/friend-requests/outgoing', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
     if (!checkDbConnection(res)) return;
-    const { content, type = 'post' } = req.body; // type can be 'post' or 'status'
-    if (!content) {
-        return res.status(400).json({ success: false, message: 'Content is required.' });
-    }
-    
+    const { cursor } = req.query;
     try {
-        // Fetch user data from Firestore to ensure the post has the correct, up-to-date name/photo
-        const userDoc = await db.collection('users').doc(req.user.uid).get();
-        const userData = userDoc.data();
-
-        if (!userData) {
-            return res.status(404).json({ success: false, message: 'User profile not found.' });
-        }
-
-        const newPost = {
-            authorId: req.user.uid,
-            authorName: userData.name, 
-            authorPhotoUrl: userData.photoUrl || null,
-            content,
-            type,
-            reactions: { amen: 0, hallelujah: 0, praiseGod: 0 }, // Initialize reactions
-            commentCount: 0,
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
-        };
-        const postRef = await db.collection('posts').add(newPost);
-        res.status(201).json({ success: true, message: 'Post created.', postId: postRef.id });
+        const limit = parsePageLimit(req.query.limit);
+        const { requests, nextCursor } = await listPendingFriendRequests(req.user.uid, 'from', { cursor, limit });
+        res.status(200).json({ success: true, requests, nextCursor });
     } catch (error) {
-        console.error("Error creating post:", error);
-        res.status(500).json({ success: false, message: error.message });
+        console.error("Error fetching outgoing friend requests:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
     }
 });
 
 /**
- * POST /posts/:postId/react
- * Adds a reaction to a post.
+ * POST /users/friend-requests/:requestId/accept
+ * Accepts a pending friend request addressed to the authenticated user and
+ * creates the mutual friendship.
  */
-app.post('/posts/:postId/react', authenticate, async (req, res) => {
+app.post('/users/friend-requests/:requestId/accept', authenticate, validate(), async (req, res) => {
     if (!checkDbConnection(res)) return;
-    const { postId } = req.params;
-    const { reactionType } = req.body; // e.g., "amen", "hallelujah", "praiseGod"
-    if (!reactionType) {
-        return res.status(400).json({ success: false, message: 'Reaction type is required.' });
-    }
+    const { requestId } = req.params;
+    const userId = req.user.uid;
     try {
-        const postRef = db.collection('posts').doc(postId);
-        await postRef.update({
-            [`reactions.${reactionType}`]: admin.firestore.FieldValue.increment(1)
+        const requestRef = db.collection('friend_requests').doc(requestId);
+        const request = await db.runTransaction(async (transaction) => {
+            const requestDoc = await transaction.get(requestRef);
+            if (!requestDoc.exists) throw httpError(404, 'Friend request not found.');
+
+            const request = requestDoc.data();
+            if (request.to !== userId) throw httpError(403, 'Forbidden: This friend request is not addressed to you.');
+            if (request.status !== 'pending') throw httpError(409, `Friend request has already been ${request.status}.`);
+
+            const friendshipRef = db.collection('friendships').doc(friendshipId(request.from, request.to));
+            transaction.update(requestRef, {
+                status: 'accepted',
+                respondedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.set(friendshipRef, {
+                users: [request.from, request.to].sort(),
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.set(db.collection('users').doc(request.from), {
+                friendCount: admin.firestore.FieldValue.increment(1)
+            }, { merge: true });
+            transaction.set(db.collection('users').doc(request.to), {
+                friendCount: admin.firestore.FieldValue.increment(1)
+            }, { merge: true });
+            return request;
         });
-        res.status(200).json({ success: true, message: 'Reaction added.' });
+        await notifyUsers([request.from], {
+            type: 'friend_request_accepted',
+            title: 'Friend request accepted',
+            body: name => `${name} accepted your friend request.`,
+            data: { userId },
+            actorId: userId
+        });
+        res.status(200).json({ success: true, message: 'Friend request accepted.' });
     } catch (error) {
-        console.error("Error adding reaction:", error);
-        res.status(500).json({ success: false, message: error.message });
+        console.error("Error accepting friend request:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
     }
 });
 
-
-// -------------------------------------------------------------------------
-// CHAT ROUTES (NEW SECTION)
-// -------------------------------------------------------------------------
-
 /**
- * POST /chats
- * Creates a new chat conversation or sends the first message.
+ * POST /users/friend-requests/:requestId/decline
+ * Declines a pending friend request addressed to the authenticated user.
  */
-app.post('/chats', authenticate, async (req, res) => {
+app.post('/users/friend-requests/:requestId/decline', authenticate, validate(), async (req, res) => {
     if (!checkDbConnection(res)) return;
-    const senderId = req.user.uid;
-    const { recipientId, messageContent, senderName, recipientName } = req.body;
-
-    if (!recipientId || !messageContent || !senderName || !recipientName) {
-        return res.status(400).json({ success: false, message: 'Recipient ID, message content, sender name, and recipient name are required.' });
-    }
-
-    // Determine a canonical ID for the chat (sort UIDs to ensure uniqueness regardless of who starts it)
-    const participants = [senderId, recipientId].sort();
-    const chatId = participants.join('_');
-
-    const conversationRef = db.collection('chats').doc(chatId);
-    const messageRef = conversationRef.collection('messages').doc();
-
+    const { requestId } = req.params;
+    const userId = req.user.uid;
     try {
-        // 1. Transaction to update/create the main chat document and create the message
+        const requestRef = db.collection('friend_requests').doc(requestId);
         await db.runTransaction(async (transaction) => {
-            const conversationDoc = await transaction.get(conversationRef);
+            const requestDoc = await transaction.get(requestRef);
+            if (!requestDoc.exists) throw httpError(404, 'Friend request not found.');
 
-            // Chat Document Data
-            const chatData = {
-                participants: participants,
-                lastMessage: messageContent,
-                lastMessageTimestamp: admin.firestore.FieldValue.serverTimestamp(),
-                // Store names for easy display in chat list (Kotlin client uses this)
-                participantNames: {
-                    [senderId]: senderName,
-                    [recipientId]: recipientName
-                }
-            };
+            const request = requestDoc.data();
+            if (request.to !== userId) throw httpError(403, 'Forbidden: This friend request is not addressed to you.');
+            if (request.status !== 'pending') throw httpError(409, `Friend request has already been ${request.status}.`);
 
-            if (conversationDoc.exists) {
-                // Update existing chat
-                transaction.update(conversationRef, chatData);
-            } else {
-                // Create new chat
-                transaction.set(conversationRef, chatData);
-            }
-            
-            // Add the new message
-            const newMessage = {
-                senderId: senderId,
-                content: messageContent,
-                timestamp: admin.firestore.FieldValue.serverTimestamp(),
-                read: false
-            };
-            transaction.set(messageRef, newMessage);
+            transaction.update(requestRef, {
+                status: 'declined',
+                respondedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
         });
-
-        res.status(201).json({ success: true, message: 'Message sent.', chatId: chatId });
-
+        res.status(200).json({ success: true, message: 'Friend request declined.' });
     } catch (error) {
-        console.error("Error sending chat message:", error);
-        res.status(500).json({ success: false, message: error.message });
+        console.error("Error declining friend request:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
     }
 });
 
 /**
- * GET /chats/:chatId/messages
- * Retrieves the message history for a specific chat.
+ * DELETE /users/friend-requests/:requestId
+ * Cancels a pending friend request sent by the authenticated user.
  */
-app.get('/chats/:chatId/messages', authenticate, async (req, res) => {
+app.delete('/users/friend-requests/:requestId', authenticate, validate(), async (req, res) => {
     if (!checkDbConnection(res)) return;
-    const { chatId } = req.params;
+    const { requestId } = req.params;
     const userId = req.user.uid;
-
     try {
-        const chatDoc = await db.collection('chats').doc(chatId).get();
-        if (!chatDoc.exists) {
-            return res.status(404).json({ success: false, message: 'Chat not found.' });
-        }
-
-        // Basic check to ensure the authenticated user is a participant in this chat
-        if (!chatDoc.data().participants.includes(userId)) {
-            return res.status(403).json({ success: false, message: 'Forbidden: You are not a participant in this chat.' });
-        }
+        const requestRef = db.collection('friend_requests').doc(requestId);
+        await db.runTransaction(async (transaction) => {
+            const requestDoc = await transaction.get(requestRef);
+            if (!requestDoc.exists) throw httpError(404, 'Friend request not found.');
 
-        const messagesSnapshot = await db.collection('chats').doc(chatId).collection('messages')
-            .orderBy('timestamp', 'asc')
-            .limit(50) // Limit to the last 50 messages for initial load
-            .get();
+            const request = requestDoc.data();
+            if (request.from !== userId) throw httpError(403, 'Forbidden: Only the sender can cancel a friend request.');
+            if (request.status !== 'pending') throw httpError(409, `Friend request has already been ${request.status}.`);
 
-        const messages = messagesSnapshot.docs.map(doc => {
-            const data = doc.data();
-            return {
-                id: doc.id,
-                senderId: data.senderId,
-                content: data.content,
-                // Format timestamp for Kotlin client
-                timestamp: data.timestamp ? {
-                    _seconds: data.timestamp.seconds,
-                    _nanoseconds: data.timestamp.nanoseconds
-                } : null
-            };
+            transaction.delete(requestRef);
         });
-        
-        res.status(200).json({ success: true, messages });
-
+        res.status(200).json({ success: true, message: 'Friend request cancelled.' });
     } catch (error) {
-        console.error("Error fetching chat messages:", error);
-        res.status(500).json({ success: false, message: error.message });
+        console.error("Error cancelling friend request:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
     }
 });
 
+/**
+ * Lists one page of a user's friends with their name/photo and the friendship date.
+ */
+async function listFriends(userId, page) {
+    const query = db.collection('friendships').where('users', 'array-contains', userId);
+    const { docs, nextCursor } = await paginate(query, [['createdAt', 'desc']], page);
 
-// -------------------------------------------------------------------------
-// CHURCHES, GROUPS & EVENTS ROUTES
-// -------------------------------------------------------------------------
+    const friendIds = docs.map(doc => doc.data().users.find(id => id !== userId));
+    const summaries = await fetchUserSummaries(friendIds);
+
+    const friends = docs.map((doc, index) => ({
+        ...(summaries[friendIds[index]] || { id: friendIds[index], name: null, photoUrl: null }),
+        friendsSince: formatTimestamp(doc.data().createdAt)
+    }));
+    return { friends, nextCursor };
+}
 
 /**
- * GET /churches
- * Fetches a list of all churches/groups (Required for ChurchesViewModel).
+ * GET /users/friends
+ * Lists the authenticated user's friends.
  */
-app.get('/churches', authenticate, async (req, res) => {
+app.get('/users/friends', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
     if (!checkDbConnection(res)) return;
+    const { cursor } = req.query;
     try {
-        const churchesSnapshot = await db.collection('churches').get();
-        const churches = churchesSnapshot.docs.map(doc => {
-            const data = doc.data();
-            return {
-                id: doc.id,
-                name: data.name,
-                description: data.description,
-                createdBy: data.createdBy,
-                members: data.members || [],
-                followerCount: data.followerCount || 0
-            };
-        });
-        res.status(200).json({ success: true, churches });
+        const limit = parsePageLimit(req.query.limit);
+        const { friends, nextCursor } = await listFriends(req.user.uid, { cursor, limit });
+        res.status(200).json({ success: true, friends, nextCursor });
     } catch (error) {
-        console.error("Error fetching churches:", error);
-        res.status(500).json({ success: false, message: error.message });
+        console.error("Error fetching friends:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
     }
 });
 
 /**
- * POST /churches
- * Creates a new church/group.
+ * GET /users/:userId/friends
+ * Lists another user's friends.
  */
-app.post('/churches', authenticate, async (req, res) => {
+app.get('/users/:userId/friends', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
     if (!checkDbConnection(res)) return;
-    const { name, description } = req.body;
-    if (!name) {
-        return res.status(400).json({ success: false, message: 'Church name is required.' });
-    }
+    const { userId } = req.params;
+    const { cursor } = req.query;
     try {
-        const newChurch = {
-            name,
-            description: description || '',
-            createdBy: req.user.uid,
-            members: [req.user.uid],
-            followerCount: 1,
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
-        };
-        const churchRef = await db.collection('churches').add(newChurch);
-        res.status(201).json({ success: true, message: 'Church created.', churchId: churchRef.id });
+        const limit = parsePageLimit(req.query.limit);
+        const userDoc = await db.collection('users').doc(userId).get();
+        if (!userDoc.exists) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        const { friends, nextCursor } = await listFriends(userId, { cursor, limit });
+        res.status(200).json({ success: true, friends, nextCursor });
     } catch (error) {
-        console.error("Error creating church:", error);
-        res.status(500).json({ success: false, message: error.message });
+        console.error("Error fetching user's friends:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
     }
 });
 
 /**
- * POST /churches/:churchId/follow
- * Allows a user to follow/join a church (Required for ChurchesViewModel).
+ * DELETE /users/friends/:friendId
+ * Removes a mutual friendship between the authenticated user and another user.
  */
-app.post('/churches/:churchId/follow', authenticate, async (req, res) => {
+app.delete('/users/friends/:friendId', authenticate, validate(), async (req, res) => {
     if (!checkDbConnection(res)) return;
-    const { churchId } = req.params;
+    const { friendId } = req.params;
+    const userId = req.user.uid;
     try {
-        const churchRef = db.collection('churches').doc(churchId);
+        const friendshipRef = db.collection('friendships').doc(friendshipId(userId, friendId));
         await db.runTransaction(async (transaction) => {
-            const doc = await transaction.get(churchRef);
-            if (!doc.exists) throw new Error("Church not found.");
-            
-            const currentMembers = doc.data().members || [];
-            if (currentMembers.includes(req.user.uid)) {
-                // Already a member, do nothing
-                return Promise.resolve({ success: true, message: 'Already joined.' });
-            }
+            const friendshipDoc = await transaction.get(friendshipRef);
+            if (!friendshipDoc.exists) throw httpError(404, 'You are not friends with this user.');
 
-            // Atomically update members array and follower count
-            transaction.update(churchRef, {
-                members: admin.firestore.FieldValue.arrayUnion(req.user.uid),
-                followerCount: admin.firestore.FieldValue.increment(1)
+            transaction.delete(friendshipRef);
+            transaction.update(db.collection('users').doc(userId), {
+                friendCount: admin.firestore.FieldValue.increment(-1)
+            });
+            transaction.update(db.collection('users').doc(friendId), {
+                friendCount: admin.firestore.FieldValue.increment(-1)
             });
         });
+        res.status(200).json({ success: true, message: 'Friend removed.' });
+    } catch (error) {
+        console.error("Error removing friend:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
 
-        // Also update the user's profile to track which churches they follow
-        const userRef = db.collection('users').doc(req.user.uid);
-        await userRef.update({
-             churches: admin.firestore.FieldValue.arrayUnion(churchId)
+
+// -------------------------------------------------------------------------
+// BLOCKING ROUTES
+// -------------------------------------------------------------------------
+
+/**
+ * POST /users/:userId/block
+ * Blocks a user. Ends any friendship, pending friend requests and follows between the two;
+ * afterwards neither can message or friend-request the other, and each is hidden from the
+ * other's feed, search and chat history.
+ */
+app.post('/users/:userId/block', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const blockerId = req.user.uid;
+    const blockedId = req.params.userId;
+    if (blockedId === blockerId) {
+        return res.status(400).json({ success: false, message: 'You cannot block yourself.' });
+    }
+    try {
+        const blockRef = db.collection('blocks').doc(`${blockerId}_${blockedId}`);
+        const blockerRef = db.collection('users').doc(blockerId);
+        const blockedRef = db.collection('users').doc(blockedId);
+        const friendshipRef = db.collection('friendships').doc(friendshipId(blockerId, blockedId));
+        const followRefs = [
+            db.collection('follows').doc(followDocId(blockerId, blockedId)),
+            db.collection('follows').doc(followDocId(blockedId, blockerId))
+        ];
+        const requestRefs = [
+            db.collection('friend_requests').doc(`${blockerId}_${blockedId}`),
+            db.collection('friend_requests').doc(`${blockedId}_${blockerId}`)
+        ];
+
+        await db.runTransaction(async (transaction) => {
+            const [blockedDoc, blockDoc, friendshipDoc, ...otherDocs] = await transaction.getAll(
+                blockedRef, blockRef, friendshipRef, ...followRefs, ...requestRefs
+            );
+            const followDocs = otherDocs.slice(0, followRefs.length);
+            const requestDocs = otherDocs.slice(followRefs.length);
+            if (!blockedDoc.exists) throw httpError(404, 'User not found.');
+            if (blockDoc.exists) throw httpError(409, 'You have already blocked this user.');
+
+            transaction.set(blockRef, {
+                blockerId,
+                blockedId,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            requestDocs
+                .filter(doc => doc.exists && doc.data().status === 'pending')
+                .forEach(doc => transaction.delete(doc.ref));
+
+            removeFollows(transaction, followDocs);
+            if (friendshipDoc.exists) {
+                transaction.delete(friendshipRef);
+                [blockerRef, blockedRef].forEach(userRef => {
+                    transaction.set(userRef, { friendCount: admin.firestore.FieldValue.increment(-1) }, { merge: true });
+                });
+            }
         });
+        res.status(201).json({ success: true, message: 'User blocked.' });
+    } catch (error) {
+        console.error("Error blocking user:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
 
-        res.status(200).json({ success: true, message: 'Successfully followed church.' });
+/**
+ * DELETE /users/:userId/block
+ * Unblocks a user. Friendships and follows ended by the block are not restored.
+ */
+app.delete('/users/:userId/block', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const blockRef = db.collection('blocks').doc(`${req.user.uid}_${req.params.userId}`);
+    try {
+        const blockDoc = await blockRef.get();
+        if (!blockDoc.exists) {
+            return res.status(404).json({ success: false, message: 'You have not blocked this user.' });
+        }
+        await blockRef.delete();
+        res.status(200).json({ success: true, message: 'User unblocked.' });
     } catch (error) {
-        console.error("Error following church:", error);
+        console.error("Error unblocking user:", error);
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
 /**
- * POST /churches/:churchId/events
- * Creates a new event for a church to advertise.
+ * GET /users/blocked?cursor=&limit=
+ * Lists the users the caller has blocked, most recent first.
  */
-app.post('/churches/:churchId/events', authenticate, async (req, res) => {
+app.get('/users/blocked', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
     if (!checkDbConnection(res)) return;
-    const { churchId } = req.params;
-    const { title, details, eventDate } = req.body;
-    if (!title || !details || !eventDate) {
-        return res.status(400).json({ success: false, message: 'Title, details, and date are required.' });
+    const { cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const query = db.collection('blocks').where('blockerId', '==', req.user.uid);
+        const { docs, nextCursor } = await paginate(query, [['createdAt', 'desc']], { cursor, limit });
+        const summaries = await fetchUserSummaries(docs.map(doc => doc.data().blockedId));
+        const users = docs.map(doc => {
+            const { blockedId, createdAt } = doc.data();
+            return {
+                ...(summaries[blockedId] || { id: blockedId, name: null, photoUrl: null }),
+                blockedAt: formatTimestamp(createdAt)
+            };
+        });
+        res.status(200).json({ success: true, users, nextCursor });
+    } catch (error) {
+        console.error("Error fetching blocked users:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+
+// -------------------------------------------------------------------------
+// FOLLOWS & PUBLIC PROFILE ROUTES
+// -------------------------------------------------------------------------
+
+/**
+ * Follows are one-way and independent of friendships. Each one is a
+ * `follows/{followerId}_{followeeId}` document, with `followerCount` and `followingCount`
+ * kept on both users' documents, so neither side grows with the number of follows.
+ */
+function followDocId(followerId, followeeId) {
+    return `${followerId}_${followeeId}`;
+}
+
+/**
+ * Deletes follow documents inside a transaction (after its reads), decrementing both users' counters.
+ */
+function removeFollows(transaction, followDocs) {
+    followDocs.filter(doc => doc.exists).forEach(doc => {
+        const { followerId, followeeId } = doc.data();
+        transaction.delete(doc.ref);
+        transaction.set(db.collection('users').doc(followerId), {
+            followingCount: admin.firestore.FieldValue.increment(-1)
+        }, { merge: true });
+        transaction.set(db.collection('users').doc(followeeId), {
+            followerCount: admin.firestore.FieldValue.increment(-1)
+        }, { merge: true });
+    });
+}
+
+/**
+ * Lists one page of a user's followers (`direction` 'followers') or of the users they follow
+ * ('following'), most recent first, with name/photo and when the follow started.
+ */
+async function listFollows(userId, direction, page) {
+    const [field, otherField] = direction === 'followers' ? ['followeeId', 'followerId'] : ['followerId', 'followeeId'];
+    const query = db.collection('follows').where(field, '==', userId);
+    const { docs, nextCursor } = await paginate(query, [['createdAt', 'desc']], page);
+
+    const otherIds = docs.map(doc => doc.data()[otherField]);
+    const summaries = await fetchUserSummaries(otherIds);
+    const users = docs.map((doc, index) => ({
+        ...(summaries[otherIds[index]] || { id: otherIds[index], name: null, photoUrl: null }),
+        followedAt: formatTimestamp(doc.data().createdAt)
+    }));
+    return { users, nextCursor };
+}
+
+/**
+ * POST /users/:userId/follow
+ * Follows a user; their posts then appear in the caller's home feed.
+ */
+app.post('/users/:userId/follow', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const followerId = req.user.uid;
+    const followeeId = req.params.userId;
+    if (followeeId === followerId) {
+        return res.status(400).json({ success: false, message: 'You cannot follow yourself.' });
     }
     try {
-        const eventRef = db.collection('churches').doc(churchId).collection('events');
-        await eventRef.add({
-            title,
-            details,
-            eventDate: new Date(eventDate),
-            postedBy: req.user.uid,
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        const followRef = db.collection('follows').doc(followDocId(followerId, followeeId));
+        const followerRef = db.collection('users').doc(followerId);
+        const followeeRef = db.collection('users').doc(followeeId);
+
+        await db.runTransaction(async (transaction) => {
+            const [followeeDoc, followDoc] = await transaction.getAll(followeeRef, followRef);
+            if (!followeeDoc.exists) throw httpError(404, 'User not found.');
+            await assertNotBlocked(followerId, followeeId, transaction);
+            if (followDoc.exists) throw httpError(409, 'You are already following this user.');
+
+            transaction.set(followRef, {
+                followerId,
+                followeeId,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.set(followerRef, { followingCount: admin.firestore.FieldValue.increment(1) }, { merge: true });
+            transaction.update(followeeRef, { followerCount: admin.firestore.FieldValue.increment(1) });
+        });
+        await notifyUsers([followeeId], {
+            type: 'new_follower',
+            title: 'New follower',
+            body: name => `${name} started following you.`,
+            data: { userId: followerId },
+            actorId: followerId
         });
-        res.status(201).json({ success: true, message: 'Event created.' });
+        res.status(201).json({ success: true, message: 'User followed.' });
     } catch (error) {
-        console.error("Error creating church event:", error);
+        console.error("Error following user:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /users/:userId/follow
+ * Unfollows a user.
+ */
+app.delete('/users/:userId/follow', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const followRef = db.collection('follows').doc(followDocId(req.user.uid, req.params.userId));
+        await db.runTransaction(async (transaction) => {
+            const followDoc = await transaction.get(followRef);
+            if (!followDoc.exists) throw httpError(404, 'You are not following this user.');
+            removeFollows(transaction, [followDoc]);
+        });
+        res.status(200).json({ success: true, message: 'User unfollowed.' });
+    } catch (error) {
+        console.error("Error unfollowing user:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /users/:userId/followers?cursor=&limit=
+ * Lists the users following a user, most recent first.
+ */
+app.get('/users/:userId/followers', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { userId } = req.params;
+    const { cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const userDoc = await db.collection('users').doc(userId).get();
+        if (!userDoc.exists) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        const { users, nextCursor } = await listFollows(userId, 'followers', { cursor, limit });
+        res.status(200).json({ success: true, users, nextCursor });
+    } catch (error) {
+        console.error("Error fetching followers:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /users/:userId/following?cursor=&limit=
+ * Lists the users a user follows, most recent first.
+ */
+app.get('/users/:userId/following', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { userId } = req.params;
+    const { cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const userDoc = await db.collection('users').doc(userId).get();
+        if (!userDoc.exists) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        const { users, nextCursor } = await listFollows(userId, 'following', { cursor, limit });
+        res.status(200).json({ success: true, users, nextCursor });
+    } catch (error) {
+        console.error("Error fetching followed users:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /users/:userId
+ * Another user's public profile: name, photo, country, counts, and how the caller is
+ * connected to them. Contact details and age stay private. Users blocked in either
+ * direction are reported as not found. Registered after the fixed `/users/...` routes
+ * (search, blocked, friends) so it doesn't shadow them.
+ */
+app.get('/users/:userId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { userId } = req.params;
+    const callerId = req.user.uid;
+    try {
+        const [userDoc, followingDoc, followedByDoc, friendshipDoc] = await db.getAll(
+            db.collection('users').doc(userId),
+            db.collection('follows').doc(followDocId(callerId, userId)),
+            db.collection('follows').doc(followDocId(userId, callerId)),
+            db.collection('friendships').doc(friendshipId(callerId, userId))
+        );
+        const blockedIds = await fetchBlockedUserIds(callerId);
+        if (!userDoc.exists || blockedIds.has(userId)) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+
+        const userData = userDoc.data();
+        const isSelf = userId === callerId;
+        res.status(200).json({
+            success: true,
+            user: {
+                id: userDoc.id,
+                name: userData.name,
+                photoUrl: userData.photoUrl || null,
+                country: userData.country || null,
+                followerCount: userData.followerCount || 0,
+                followingCount: userData.followingCount || 0,
+                friendCount: userData.friendCount || 0,
+                churchCount: userData.churches ? userData.churches.length : 0,
+                isSelf,
+                isFollowing: followingDoc.exists,
+                followsYou: followedByDoc.exists,
+                isFriend: !isSelf && friendshipDoc.exists,
+                createdAt: formatTimestamp(userData.createdAt)
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching user profile:", error);
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
+// Users hold many legacy follows each, so the backfill pages through fewer of them at a time
+const FOLLOW_MIGRATION_PAGE_SIZE = 20;
+
+/**
+ * Moves one user's legacy `following`/`followers` arrays into follow documents, then drops
+ * the arrays. Each follow is created in its own transaction, like POST /users/:userId/follow,
+ * and skipped if it already exists, either user is gone or one has blocked the other, so
+ * running it again is safe. Resolves to the number of follows created.
+ */
+async function migrateLegacyFollows(userDoc) {
+    const { following = [], followers = [] } = userDoc.data();
+    const pairs = new Map();
+    following.forEach(id => pairs.set(followDocId(userDoc.id, id), [userDoc.id, id]));
+    followers.forEach(id => pairs.set(followDocId(id, userDoc.id), [id, userDoc.id]));
+
+    let createdCount = 0;
+    for (const [followId, [followerId, followeeId]] of pairs) {
+        if (typeof followerId !== 'string' || typeof followeeId !== 'string' || followerId === followeeId) continue;
+        const followRef = db.collection('follows').doc(followId);
+        const followerRef = db.collection('users').doc(followerId);
+        const followeeRef = db.collection('users').doc(followeeId);
+        const created = await db.runTransaction(async (transaction) => {
+            const [followerDoc, followeeDoc, followDoc] = await transaction.getAll(followerRef, followeeRef, followRef);
+            if (!followerDoc.exists || !followeeDoc.exists || followDoc.exists) return false;
+            try {
+                await assertNotBlocked(followerId, followeeId, transaction);
+            } catch (error) {
+                if (error.status === 403) return false;
+                throw error;
+            }
+            transaction.set(followRef, {
+                followerId,
+                followeeId,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.set(followerRef, { followingCount: admin.firestore.FieldValue.increment(1) }, { merge: true });
+            transaction.set(followeeRef, { followerCount: admin.firestore.FieldValue.increment(1) }, { merge: true });
+            return true;
+        });
+        if (created) createdCount++;
+    }
+    await userDoc.ref.update({
+        following: admin.firestore.FieldValue.delete(),
+        followers: admin.firestore.FieldValue.delete()
+    });
+    return createdCount;
+}
+
+/**
+ * GET /cron/follows/migrate?cursor=
+ * Backfills follow documents and counters from the `following`/`followers` arrays that user
+ * documents carried before follows had their own collection, for one page of users. Call
+ * repeatedly with the returned `nextCursor` until it is null.
+ */
+app.get('/cron/follows/migrate', authenticateCron, validate({
+    query: { cursor: schema.string({ max: MAX_CURSOR_LENGTH }) }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const { docs, nextCursor } = await paginate(
+            db.collection('users'),
+            [],
+            { cursor: req.query.cursor, limit: FOLLOW_MIGRATION_PAGE_SIZE }
+        );
+        let createdCount = 0;
+        for (const userDoc of docs) {
+            const { following, followers } = userDoc.data();
+            if (following === undefined && followers === undefined) continue;
+            createdCount += await migrateLegacyFollows(userDoc);
+        }
+        res.status(200).json({ success: true, userCount: docs.length, createdCount, nextCursor });
+    } catch (error) {
+        console.error("Error migrating legacy follows:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
 
 // -------------------------------------------------------------------------
-// MEDIA ROUTES (VIDEOS, LIVESTREAMS, TESTIMONIES)
+// POSTS, STATUS UPDATES, REACTIONS & COMMENTS ROUTES
 // -------------------------------------------------------------------------
 
+const FIRESTORE_IN_LIMIT = 10;
+// Each page of a feed runs one query per FIRESTORE_IN_LIMIT authors, so feeds read from at
+// most this many; GET /posts and GET /statuses flag `authorsTruncated` when there are more
+const MAX_FEED_AUTHORS = 100;
+const MAX_POST_LENGTH = 5000;
+
+/**
+ * Formats a post document for the Android client's Post.kt data model.
+ */
+function formatPost(doc, myReaction) {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        authorId: data.authorId,
+        authorName: data.authorName,
+        authorPhotoUrl: data.authorPhotoUrl || null,
+        churchId: data.churchId || null,
+        content: data.content,
+        type: data.type,
+        reactions: data.reactions || { amen: 0, hallelujah: 0, praiseGod: 0 },
+        myReaction: myReaction || null,
+        commentCount: data.commentCount || 0,
+        createdAt: formatTimestamp(data.createdAt)
+    };
+}
+
+/**
+ * Collects the authors whose content appears in a user's feeds — the user, their friends and
+ * the people they follow, most recently followed first (blocked users excluded) — and the
+ * churches they joined. Only the first MAX_FEED_AUTHORS authors are used; `truncated` says
+ * whether any were left out. Resolves to { authorIds, churchIds, truncated }.
+ */
+async function fetchFeedSources(userId, blockedIds) {
+    const [userDoc, friendshipsSnapshot, followsSnapshot] = await Promise.all([
+        db.collection('users').doc(userId).get(),
+        db.collection('friendships').where('users', 'array-contains', userId).get(),
+        db.collection('follows')
+            .where('followerId', '==', userId)
+            .orderBy('createdAt', 'desc')
+            .limit(MAX_FEED_AUTHORS + 1)
+            .get()
+    ]);
+    const userData = userDoc.data() || {};
+    const friendIds = friendshipsSnapshot.docs.map(doc => doc.data().users.find(id => id !== userId));
+    const followeeIds = followsSnapshot.docs.map(doc => doc.data().followeeId);
+
+    const candidateIds = [...new Set([userId, ...friendIds, ...followeeIds])].filter(id => !blockedIds.has(id));
+    const churchIds = userData.churches || [];
+    return {
+        authorIds: candidateIds.slice(0, MAX_FEED_AUTHORS),
+        churchIds,
+        truncated: candidateIds.length > MAX_FEED_AUTHORS
+    };
+}
+
+/**
+ * Builds the queries behind a user's home feed: posts by their feed authors plus posts in
+ * the churches they joined. Resolves to { queries, authorsTruncated }.
+ */
+async function buildHomeFeedQueries(userId, blockedIds) {
+    const { authorIds, churchIds, truncated } = await fetchFeedSources(userId, blockedIds);
+    const postsRef = db.collection('posts');
+    const queries = [
+        ...chunk(authorIds, FIRESTORE_IN_LIMIT).map(ids => postsRef.where('authorId', 'in', ids)),
+        ...chunk(churchIds, FIRESTORE_IN_LIMIT).map(ids => postsRef.where('churchId', 'in', ids))
+    ];
+    return { queries, authorsTruncated: truncated };
+}
+
 /**
- * GET /media
- * Fetches a list of media items (Required for MediaViewModel).
+ * GET /posts?feed=home|discover&cursor=&limit=
+ * Fetches a page of posts, newest first (Required for HomeFeedViewModel).
+ * - `home` (default): the caller's own posts plus those from friends, followed users and joined churches.
+ * - `discover`: the latest posts from everyone.
+ * Posts from blocked users are always excluded. When the caller's home feed is empty, the
+ * first page falls back to `discover`; the response's `feed` says which one was served and
+ * should be sent back with `nextCursor`. `authorsTruncated` is true when the home feed only
+ * covers the first MAX_FEED_AUTHORS of the caller's friends and followed users.
  */
-app.get('/media', authenticate, async (req, res) => {
+app.get('/posts', authenticate, validate({
+    query: {
+        feed: schema.string({ oneOf: ['home', 'discover'] }),
+        ...PAGE_QUERY
+    }
+}), async (req, res) => {
     if (!checkDbConnection(res)) return;
+    const { cursor, feed = 'home' } = req.query;
+    const userId = req.user.uid;
     try {
-        const mediaSnapshot = await db.collection('media').orderBy('createdAt', 'desc').limit(10).get();
-        const media = mediaSnapshot.docs.map(doc => {
+        const limit = parsePageLimit(req.query.limit);
+        const blockedIds = await fetchBlockedUserIds(userId);
+        const orderFields = [['createdAt', 'desc']];
+
+        let servedFeed = feed;
+        let authorsTruncated = false;
+        let page;
+        if (feed === 'home') {
+            const homeFeed = await buildHomeFeedQueries(userId, blockedIds);
+            authorsTruncated = homeFeed.authorsTruncated;
+            page = await paginateMerged(homeFeed.queries, orderFields, { cursor, limit });
+        } else {
+            page = await paginate(db.collection('posts'), orderFields, { cursor, limit });
+        }
+
+        if (feed === 'home' && !cursor && page.docs.length === 0) {
+            servedFeed = 'discover';
+            authorsTruncated = false;
+            page = await paginate(db.collection('posts'), orderFields, { limit });
+        }
+
+        // Statuses live in their own collection; legacy ones stored as posts are skipped too
+        const docs = page.docs.filter(doc => {
             const data = doc.data();
-            return {
-                id: doc.id,
-                title: data.title,
-                description: data.description,
-                url: data.url,
-                mediaType: data.mediaType,
-                uploaderId: data.uploaderId,
-            };
+            return !blockedIds.has(data.authorId) && data.type !== 'status' && !data.hidden;
         });
-        res.status(200).json({ success: true, media });
+        const myReactions = await fetchOwnReactions(docs.map(doc => doc.ref), userId);
+        const posts = docs.map(doc => formatPost(doc, myReactions[doc.id]));
+
+        res.status(200).json({ success: true, feed: servedFeed, posts, nextCursor: page.nextCursor, authorsTruncated });
     } catch (error) {
-        console.error("Error fetching media:", error);
-        res.status(500).json({ success: false, message: error.message });
+        console.error("Error fetching posts:", error);
+        if (error.status) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        res.status(500).json({ success: false, message: 'Failed to fetch posts.', error: error.message });
     }
 });
 
 /**
- * POST /media
- * Uploads metadata for a video, testimony, or livestream.
+ * POST /posts
+ * Creates a new post or status update (Required for HomeFeedViewModel).
  */
-app.post('/media', authenticate, async (req, res) => {
+app.post('/posts', authenticate, validate({
+    body: {
+        content: schema.string({ required: true, max: MAX_POST_LENGTH }),
+        type: schema.string({ oneOf: ['post', 'status'] }),
+        churchId: schema.id()
+    }
+}), async (req, res) => {
     if (!checkDbConnection(res)) return;
-    const { title, description, url, mediaType } = req.body; // mediaType: 'video', 'livestream', 'testimony'
-    if (!title || !url || !mediaType) {
-        return res.status(400).json({ success: false, message: 'Title, url, and mediaType are required.' });
+    const { content, type = 'post', churchId } = req.body; // type can be 'post' or 'status'
+    if (type === 'status' && churchId) {
+        return sendValidationError(res, [{ location: 'body', field: 'churchId', message: 'churchId is not allowed for statuses.' }]);
     }
+    
     try {
-        const newMedia = {
-            title,
-            description: description || '',
-            url,
-            mediaType,
-            uploaderId: req.user.uid,
+        // Fetch user data from Firestore to ensure the post has the correct, up-to-date name/photo
+        const userDoc = await db.collection('users').doc(req.user.uid).get();
+        const userData = userDoc.data();
+
+        if (!userData) {
+            return res.status(404).json({ success: false, message: 'User profile not found.' });
+        }
+
+        // Statuses are ephemeral and stored separately from the permanent feed
+        if (type === 'status') {
+            const statusRef = await createStatus(req.user.uid, userData, { content });
+            return res.status(201).json({ success: true, message: 'Status created.', postId: statusRef.id, statusId: statusRef.id });
+        }
+
+        // Posting into a church's feed requires membership
+        if (churchId) {
+            const churchDoc = await db.collection('churches').doc(churchId).get();
+            if (!churchDoc.exists) {
+                return res.status(404).json({ success: false, message: 'Church not found.' });
+            }
+            if (!(churchDoc.data().members || []).includes(req.user.uid)) {
+                return res.status(403).json({ success: false, message: 'Forbidden: You must be a member of this church to post in it.' });
+            }
+        }
+
+        const newPost = {
+            authorId: req.user.uid,
+            authorName: userData.name, 
+            authorPhotoUrl: userData.photoUrl || null,
+            churchId: churchId || null,
+            country: userData.country || null,
+            content,
+            type,
+            reactions: { amen: 0, hallelujah: 0, praiseGod: 0 }, // Initialize reactions
+            commentCount: 0,
             createdAt: admin.firestore.FieldValue.serverTimestamp()
         };
-        const mediaRef = await db.collection('media').add(newMedia);
-        res.status(201).json({ success: true, message: 'Media created.', mediaId: mediaRef.id });
+        const postRef = await db.collection('posts').add(newPost);
+        await syncSearchIndex('post', postRef.id, newPost);
+        res.status(201).json({ success: true, message: 'Post created.', postId: postRef.id });
     } catch (error) {
-        console.error("Error creating media item:", error);
+        console.error("Error creating post:", error);
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
+const REACTION_TYPES = ['amen', 'hallelujah', 'praiseGod'];
 
-// -------------------------------------------------------------------------
-// BIBLE & MUSIC ROUTES
-// -------------------------------------------------------------------------
+/**
+ * Sets, switches or toggles off a user's reaction on a post (or any other document with a
+ * `reactions` counter map). Each user's reaction lives in the target's `reactions`
+ * subcollection under their UID, and the counters are kept in step in the same transaction.
+ * Passing a null reactionType removes the user's reaction; `targetLabel` names the target
+ * in the 404 message. Resolves to the user's reaction after the change (null if none) and the updated counters.
+ */
+async function setReaction(targetRef, userId, reactionType, targetLabel) {
+    const reactionRef = targetRef.collection('reactions').doc(userId);
+    return db.runTransaction(async (transaction) => {
+        const [targetDoc, reactionDoc] = await transaction.getAll(targetRef, reactionRef);
+        if (!targetDoc.exists) throw httpError(404, `${targetLabel} not found.`);
+
+        const counts = { amen: 0, hallelujah: 0, praiseGod: 0, ...(targetDoc.data().reactions || {}) };
+        const previous = reactionDoc.exists ? reactionDoc.data().type : null;
+        // Reacting again with the same type toggles the reaction off
+        const next = reactionType === previous ? null : reactionType;
+
+        if (previous === next) {
+            return { reaction: next, previous, reactions: counts, target: targetDoc.data() };
+        }
+
+        const updates = {};
+        if (previous) {
+            updates[`reactions.${previous}`] = admin.firestore.FieldValue.increment(-1);
+            counts[previous] = Math.max(0, counts[previous] - 1);
+        }
+        if (next) {
+            updates[`reactions.${next}`] = admin.firestore.FieldValue.increment(1);
+            counts[next] += 1;
+            transaction.set(reactionRef, {
+                userId,
+                type: next,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        } else {
+            transaction.delete(reactionRef);
+        }
+        transaction.update(targetRef, updates);
+
+        return { reaction: next, previous, reactions: counts, target: targetDoc.data() };
+    });
+}
 
 /**
- * GET /bible/verse-of-the-day
- * Fetches a pre-selected verse of the day (Required for BibleViewModel).
+ * Looks up the given user's own reaction on each target document.
+ * Returns a map of target document ID to reaction type.
  */
-app.get('/bible/verse-of-the-day', async (req, res) => {
-    // This endpoint is public and does not require authentication
+async function fetchOwnReactions(targetRefs, userId) {
+    if (targetRefs.length === 0) return {};
+    const reactionDocs = await db.getAll(...targetRefs.map(ref => ref.collection('reactions').doc(userId)));
+    const reactions = {};
+    reactionDocs.forEach((doc, index) => {
+        if (doc.exists) reactions[targetRefs[index].id] = doc.data().type;
+    });
+    return reactions;
+}
+
+/**
+ * Lists one page of the users who reacted to a target document, optionally filtered by type.
+ */
+async function listReactions(targetRef, { type, cursor, limit }) {
+    let query = targetRef.collection('reactions');
+    if (type) query = query.where('type', '==', type);
+    const { docs, nextCursor } = await paginate(query, [['createdAt', 'desc']], { cursor, limit });
+
+    const summaries = await fetchUserSummaries(docs.map(doc => doc.id));
+    const reactions = docs.map(doc => ({
+        user: summaries[doc.id] || { id: doc.id, name: null, photoUrl: null },
+        type: doc.data().type,
+        createdAt: formatTimestamp(doc.data().createdAt)
+    }));
+    return { reactions, nextCursor };
+}
+
+/**
+ * POST /posts/:postId/react
+ * Sets the caller's reaction on a post. Reacting with a different type switches the
+ * reaction; reacting with the same type again removes it.
+ */
+app.post('/posts/:postId/react', authenticate, validate({
+    body: {
+        reactionType: schema.string({ required: true, oneOf: REACTION_TYPES })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { postId } = req.params;
+    const { reactionType } = req.body; // e.g., "amen", "hallelujah", "praiseGod"
     try {
-        // In a real app, you would fetch from a database or external API.
-        // For now, we'll return a static one as per your original request.
-        const verse = {
-            reference: "John 3:16",
-            text: "For God so loved the world that he gave his one and only Son, that whoever believes in him shall not perish but have eternal life."
-        };
-        res.status(200).json({ success: true, verse });
+        const postRef = db.collection('posts').doc(postId);
+        const { reaction, previous, reactions, target } = await setReaction(postRef, req.user.uid, reactionType, 'Post');
+        // Only a first reaction notifies the author; switching or removing it stays quiet
+        if (reaction && !previous) {
+            await notifyUsers([target.authorId], {
+                type: 'reaction',
+                title: 'New reaction',
+                body: name => `${name} reacted "${reaction}" to your post.`,
+                data: { postId, reaction },
+                actorId: req.user.uid
+            });
+        }
+        res.status(200).json({
+            success: true,
+            message: reaction ? 'Reaction saved.' : 'Reaction removed.',
+            myReaction: reaction,
+            reactions
+        });
     } catch (error) {
-        console.error("Error fetching verse of the day:", error);
-        res.status(500).json({ success: false, message: error.message });
+        console.error("Error adding reaction:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
     }
 });
 
 /**
- * GET /music/trending
- * Fetches a list of trending Christian songs.
+ * DELETE /posts/:postId/react
+ * Removes the caller's reaction from a post, if any.
  */
-app.get('/music/trending', async (req, res) => {
-    // This endpoint is public and does not require authentication
-    const trendingSongs = [
-        { title: "Reckless Love", artist: "Cory Asbury" },
-        { title: "You Say", artist: "Lauren Daigle" },
-        { title: "Oceans (Where Feet May Fail)", artist: "Hillsong UNITED" }
-    ];
-    res.status(200).json({ success: true, songs: trendingSongs });
+app.delete('/posts/:postId/react', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { postId } = req.params;
+    try {
+        const postRef = db.collection('posts').doc(postId);
+        const { reactions } = await setReaction(postRef, req.user.uid, null, 'Post');
+        res.status(200).json({ success: true, message: 'Reaction removed.', myReaction: null, reactions });
+    } catch (error) {
+        console.error("Error removing reaction:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /posts/:postId/reactions?type=&cursor=&limit=
+ * Lists who reacted to a post, newest first.
+ */
+app.get('/posts/:postId/reactions', authenticate, validate({
+    query: {
+        type: schema.string({ oneOf: REACTION_TYPES }),
+        ...PAGE_QUERY
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { postId } = req.params;
+    const { type, cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const postRef = db.collection('posts').doc(postId);
+        const postDoc = await postRef.get();
+        if (!postDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Post not found.' });
+        }
+        const { reactions, nextCursor } = await listReactions(postRef, { type, cursor, limit });
+        res.status(200).json({ success: true, reactions, nextCursor });
+    } catch (error) {
+        console.error("Error fetching reactions:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+
+// -------------------------------------------------------------------------
+// STATUS UPDATES (24-HOUR STORIES) ROUTES
+// -------------------------------------------------------------------------
+
+const STATUS_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Stores a status that expires STATUS_LIFETIME_MS after creation.
+ */
+async function createStatus(authorId, authorData, { content, mediaUrl }) {
+    return db.collection('statuses').add({
+        authorId,
+        authorName: authorData.name,
+        authorPhotoUrl: authorData.photoUrl || null,
+        content: content || '',
+        mediaUrl: mediaUrl || null,
+        viewCount: 0,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + STATUS_LIFETIME_MS)
+    });
+}
+
+/**
+ * POST /statuses
+ * Posts a status update that disappears after 24 hours.
+ */
+app.post('/statuses', authenticate, validate({
+    body: {
+        content: schema.string({ max: MAX_POST_LENGTH }),
+        mediaUrl: schema.url()
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { content, mediaUrl } = req.body;
+    if (!content && !mediaUrl) {
+        return sendValidationError(res, [{ location: 'body', field: 'content', message: 'content or mediaUrl is required.' }]);
+    }
+    try {
+        const userDoc = await db.collection('users').doc(req.user.uid).get();
+        if (!userDoc.exists) {
+            return res.status(404).json({ success: false, message: 'User profile not found.' });
+        }
+        const statusRef = await createStatus(req.user.uid, userDoc.data(), { content, mediaUrl });
+        res.status(201).json({ success: true, message: 'Status created.', statusId: statusRef.id });
+    } catch (error) {
+        console.error("Error creating status:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /statuses
+ * Lists active statuses from the caller, their friends and the people they follow,
+ * grouped by author. Authors with statuses the caller hasn't viewed come first.
+ * `authorsTruncated` is true when only the first MAX_FEED_AUTHORS of them were included.
+ */
+app.get('/statuses', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const userId = req.user.uid;
+    try {
+        const blockedIds = await fetchBlockedUserIds(userId);
+        const { authorIds, truncated } = await fetchFeedSources(userId, blockedIds);
+        const now = admin.firestore.Timestamp.now();
+
+        const snapshots = await Promise.all(chunk(authorIds, FIRESTORE_IN_LIMIT).map(ids => (
+            db.collection('statuses').where('authorId', 'in', ids).where('expiresAt', '>', now).get()
+        )));
+        const statusDocs = snapshots.flatMap(snapshot => snapshot.docs);
+        const viewDocs = statusDocs.length > 0
+            ? await db.getAll(...statusDocs.map(doc => doc.ref.collection('views').doc(userId)))
+            : [];
+
+        const groups = new Map();
+        statusDocs.forEach((doc, index) => {
+            const data = doc.data();
+            if (!groups.has(data.authorId)) {
+                groups.set(data.authorId, {
+                    author: { id: data.authorId, name: data.authorName, photoUrl: data.authorPhotoUrl || null },
+                    statuses: [],
+                    hasUnviewed: false
+                });
+            }
+            const viewed = data.authorId === userId || viewDocs[index].exists;
+            const group = groups.get(data.authorId);
+            group.hasUnviewed = group.hasUnviewed || !viewed;
+            group.statuses.push({
+                id: doc.id,
+                content: data.content,
+                mediaUrl: data.mediaUrl || null,
+                viewed,
+                // View counts are only shown to the author
+                ...(data.authorId === userId && { viewCount: data.viewCount || 0 }),
+                createdAt: formatTimestamp(data.createdAt),
+                expiresAt: formatTimestamp(data.expiresAt)
+            });
+        });
+
+        const statusGroups = [...groups.values()];
+        statusGroups.forEach(group => group.statuses.sort((a, b) => a.createdAt._seconds - b.createdAt._seconds));
+        // Own statuses first, then unviewed authors, then by most recent status
+        const latest = group => group.statuses[group.statuses.length - 1].createdAt._seconds;
+        statusGroups.sort((a, b) => (
+            (b.author.id === userId) - (a.author.id === userId)
+            || b.hasUnviewed - a.hasUnviewed
+            || latest(b) - latest(a)
+        ));
+
+        res.status(200).json({ success: true, statusGroups, authorsTruncated: truncated });
+    } catch (error) {
+        console.error("Error fetching statuses:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /statuses/:statusId/view
+ * Records that the caller viewed a status. Repeat views and the author's own views are not counted.
+ */
+app.post('/statuses/:statusId/view', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { statusId } = req.params;
+    const viewerId = req.user.uid;
+    try {
+        const statusRef = db.collection('statuses').doc(statusId);
+        const viewRef = statusRef.collection('views').doc(viewerId);
+        await db.runTransaction(async (transaction) => {
+            const [statusDoc, viewDoc] = await transaction.getAll(statusRef, viewRef);
+            if (!statusDoc.exists || statusDoc.data().expiresAt.toMillis() <= Date.now()) {
+                throw httpError(404, 'Status not found or expired.');
+            }
+            if (viewDoc.exists || statusDoc.data().authorId === viewerId) return;
+
+            transaction.set(viewRef, { viewerId, viewedAt: admin.firestore.FieldValue.serverTimestamp() });
+            transaction.update(statusRef, { viewCount: admin.firestore.FieldValue.increment(1) });
+        });
+        res.status(200).json({ success: true, message: 'Status viewed.' });
+    } catch (error) {
+        console.error("Error recording status view:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /statuses/:statusId/viewers?cursor=&limit=
+ * Lists who viewed a status, most recent first. Only the author can see this.
+ */
+app.get('/statuses/:statusId/viewers', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { statusId } = req.params;
+    const { cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const statusRef = db.collection('statuses').doc(statusId);
+        const statusDoc = await statusRef.get();
+        if (!statusDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Status not found.' });
+        }
+        if (statusDoc.data().authorId !== req.user.uid) {
+            return res.status(403).json({ success: false, message: 'Forbidden: Only the author can see who viewed this status.' });
+        }
+
+        const { docs, nextCursor } = await paginate(statusRef.collection('views'), [['viewedAt', 'desc']], { cursor, limit });
+        const summaries = await fetchUserSummaries(docs.map(doc => doc.id));
+        const viewers = docs.map(doc => ({
+            user: summaries[doc.id] || { id: doc.id, name: null, photoUrl: null },
+            viewedAt: formatTimestamp(doc.data().viewedAt)
+        }));
+
+        res.status(200).json({ success: true, viewCount: statusDoc.data().viewCount || 0, viewers, nextCursor });
+    } catch (error) {
+        console.error("Error fetching status viewers:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /statuses/:statusId
+ * Deletes one of the caller's statuses before it expires.
+ */
+app.delete('/statuses/:statusId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { statusId } = req.params;
+    try {
+        const statusRef = db.collection('statuses').doc(statusId);
+        const statusDoc = await statusRef.get();
+        if (!statusDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Status not found.' });
+        }
+        if (statusDoc.data().authorId !== req.user.uid) {
+            return res.status(403).json({ success: false, message: 'Forbidden: You can only delete your own statuses.' });
+        }
+        await db.recursiveDelete(statusRef);
+        res.status(200).json({ success: true, message: 'Status deleted.' });
+    } catch (error) {
+        console.error("Error deleting status:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /cron/statuses/cleanup
+ * Scheduled job (see `crons` in vercel.json) that deletes expired statuses and their view records.
+ * Expired statuses are already hidden from reads, so this only reclaims storage.
+ */
+app.get('/cron/statuses/cleanup', authenticateCron, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const snapshot = await db.collection('statuses')
+            .where('expiresAt', '<=', admin.firestore.Timestamp.now())
+            .limit(BATCH_WRITE_LIMIT)
+            .get();
+        await Promise.all(snapshot.docs.map(doc => db.recursiveDelete(doc.ref)));
+        console.log(`[Backend Log] Deleted ${snapshot.size} expired statuses.`);
+        res.status(200).json({ success: true, deletedCount: snapshot.size });
+    } catch (error) {
+        console.error("Error cleaning up expired statuses:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+
+// -------------------------------------------------------------------------
+// COMMENTS ROUTES
+// -------------------------------------------------------------------------
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Formats a comment document for the Android client. Comments left by deleted accounts
+ * are kept as tombstones without content.
+ */
+function formatComment(doc, myReaction) {
+    const data = doc.data();
+    const deleted = data.deleted || false;
+    return {
+        id: doc.id,
+        postId: data.postId,
+        parentId: data.parentId || null,
+        authorId: data.authorId,
+        authorName: data.authorName,
+        authorPhotoUrl: data.authorPhotoUrl || null,
+        content: deleted ? null : data.content,
+        deleted,
+        reactions: data.reactions || { amen: 0, hallelujah: 0, praiseGod: 0 },
+        myReaction: myReaction || null,
+        replyCount: data.replyCount || 0,
+        edited: data.edited || false,
+        createdAt: formatTimestamp(data.createdAt),
+        updatedAt: formatTimestamp(data.updatedAt)
+    };
+}
+
+/**
+ * Lists one page of comments under a post with the given parent (null for top-level
+ * comments), oldest first, including the caller's own reaction on each.
+ */
+async function listComments(postRef, parentId, userId, { cursor, limit }) {
+    const query = postRef.collection('comments').where('parentId', '==', parentId);
+    const page = await paginate(query, [['createdAt', 'asc']], { cursor, limit });
+    const docs = page.docs.filter(doc => !doc.data().hidden);
+    const myReactions = await fetchOwnReactions(docs.map(doc => doc.ref), userId);
+    return {
+        comments: docs.map(doc => formatComment(doc, myReactions[doc.id])),
+        nextCursor: page.nextCursor
+    };
+}
+
+/**
+ * POST /posts/:postId/comments
+ * Adds a comment to a post. Passing `parentId` makes it a reply; replies are one level
+ * deep, so replying to a reply attaches to the same top-level comment.
+ */
+app.post('/posts/:postId/comments', authenticate, validate({
+    body: {
+        content: schema.string({ required: true, max: MAX_COMMENT_LENGTH }),
+        parentId: schema.id({ nullable: true })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { postId } = req.params;
+    const { content, parentId } = req.body;
+    try {
+        const userDoc = await db.collection('users').doc(req.user.uid).get();
+        const userData = userDoc.data();
+        if (!userData) {
+            return res.status(404).json({ success: false, message: 'User profile not found.' });
+        }
+
+        const postRef = db.collection('posts').doc(postId);
+        const commentRef = postRef.collection('comments').doc();
+
+        const rootId = await db.runTransaction(async (transaction) => {
+            const postDoc = await transaction.get(postRef);
+            if (!postDoc.exists) throw httpError(404, 'Post not found.');
+
+            let threadRootId = null;
+            if (parentId) {
+                const parentDoc = await transaction.get(postRef.collection('comments').doc(parentId));
+                if (!parentDoc.exists) throw httpError(404, 'Parent comment not found.');
+                threadRootId = parentDoc.data().parentId || parentDoc.id;
+            }
+
+            transaction.set(commentRef, {
+                postId,
+                parentId: threadRootId,
+                authorId: req.user.uid,
+                authorName: userData.name,
+                authorPhotoUrl: userData.photoUrl || null,
+                content,
+                reactions: { amen: 0, hallelujah: 0, praiseGod: 0 },
+                replyCount: 0,
+                edited: false,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.update(postRef, { commentCount: admin.firestore.FieldValue.increment(1) });
+            if (threadRootId) {
+                transaction.update(postRef.collection('comments').doc(threadRootId), {
+                    replyCount: admin.firestore.FieldValue.increment(1)
+                });
+            }
+            return threadRootId;
+        });
+
+        res.status(201).json({ success: true, message: 'Comment added.', commentId: commentRef.id, parentId: rootId });
+    } catch (error) {
+        console.error("Error adding comment:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /posts/:postId/comments?cursor=&limit=
+ * Lists top-level comments on a post, oldest first.
+ */
+app.get('/posts/:postId/comments', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { postId } = req.params;
+    const { cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const postRef = db.collection('posts').doc(postId);
+        const postDoc = await postRef.get();
+        if (!postDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Post not found.' });
+        }
+        const { comments, nextCursor } = await listComments(postRef, null, req.user.uid, { cursor, limit });
+        res.status(200).json({ success: true, comments, nextCursor });
+    } catch (error) {
+        console.error("Error fetching comments:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /posts/:postId/comments/:commentId/replies?cursor=&limit=
+ * Lists replies to a top-level comment, oldest first.
+ */
+app.get('/posts/:postId/comments/:commentId/replies', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { postId, commentId } = req.params;
+    const { cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const postRef = db.collection('posts').doc(postId);
+        const commentDoc = await postRef.collection('comments').doc(commentId).get();
+        if (!commentDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Comment not found.' });
+        }
+        const { comments, nextCursor } = await listComments(postRef, commentId, req.user.uid, { cursor, limit });
+        res.status(200).json({ success: true, replies: comments, nextCursor });
+    } catch (error) {
+        console.error("Error fetching comment replies:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * PUT /posts/:postId/comments/:commentId
+ * Edits the content of a comment. Only the comment's author may edit it.
+ */
+app.put('/posts/:postId/comments/:commentId', authenticate, validate({
+    body: {
+        content: schema.string({ required: true, max: MAX_COMMENT_LENGTH })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { postId, commentId } = req.params;
+    const { content } = req.body;
+    try {
+        const commentRef = db.collection('posts').doc(postId).collection('comments').doc(commentId);
+        await db.runTransaction(async (transaction) => {
+            const commentDoc = await transaction.get(commentRef);
+            if (!commentDoc.exists) throw httpError(404, 'Comment not found.');
+            if (commentDoc.data().authorId !== req.user.uid) {
+                throw httpError(403, 'Forbidden: Only the author can edit this comment.');
+            }
+            transaction.update(commentRef, {
+                content,
+                edited: true,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+        res.status(200).json({ success: true, message: 'Comment updated.' });
+    } catch (error) {
+        console.error("Error updating comment:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * Deletes a comment (and its replies, for a top-level comment), decrementing `commentCount`
+ * in the same transaction. `canDelete(comment, post)` decides whether the caller may do so.
+ * Replies are deleted in batches afterwards, since a thread can outgrow a transaction's
+ * write limit; new replies can't attach once the comment itself is gone.
+ * Resolves to the number of comments deleted.
+ */
+async function deleteComment(postRef, commentId, canDelete) {
+    const commentRef = postRef.collection('comments').doc(commentId);
+
+    const { deletedRefs, replyRefs } = await db.runTransaction(async (transaction) => {
+        const [postDoc, commentDoc] = await transaction.getAll(postRef, commentRef);
+        if (!postDoc.exists) throw httpError(404, 'Post not found.');
+        if (!commentDoc.exists) throw httpError(404, 'Comment not found.');
+
+        const comment = commentDoc.data();
+        if (!canDelete(comment, postDoc.data())) {
+            throw httpError(403, 'Forbidden: You cannot delete this comment.');
+        }
+
+        let replies = [];
+        if (comment.parentId) {
+            const parentRef = postRef.collection('comments').doc(comment.parentId);
+            const parentDoc = await transaction.get(parentRef);
+            if (parentDoc.exists) {
+                transaction.update(parentRef, { replyCount: admin.firestore.FieldValue.increment(-1) });
+            }
+        } else {
+            const repliesSnapshot = await transaction.get(postRef.collection('comments').where('parentId', '==', commentId));
+            replies = repliesSnapshot.docs.map(doc => doc.ref);
+        }
+
+        transaction.delete(commentRef);
+        transaction.update(postRef, { commentCount: admin.firestore.FieldValue.increment(-(1 + replies.length)) });
+        return { deletedRefs: [commentRef, ...replies], replyRefs: replies };
+    });
+
+    await commitInBatches(replyRefs, (batch, ref) => batch.delete(ref));
+    // Reactions on the deleted comments live in subcollections that a transaction can't remove
+    await Promise.all(deletedRefs.map(ref => db.recursiveDelete(ref.collection('reactions'))));
+    return deletedRefs.length;
+}
+
+/**
+ * DELETE /posts/:postId/comments/:commentId
+ * Deletes a comment (and its replies, for a top-level comment). Allowed for the comment's
+ * author, the post's owner and moderators. `commentCount` is decremented in the same transaction.
+ */
+app.delete('/posts/:postId/comments/:commentId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { postId, commentId } = req.params;
+    const userId = req.user.uid;
+    try {
+        const deletedCount = await deleteComment(
+            db.collection('posts').doc(postId),
+            commentId,
+            (comment, post) => comment.authorId === userId || post.authorId === userId || isModerator(req.user)
+        );
+        res.status(200).json({ success: true, message: 'Comment deleted.', deletedCount });
+    } catch (error) {
+        console.error("Error deleting comment:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /posts/:postId/comments/:commentId/react
+ * Sets, switches or toggles off the caller's reaction on a comment (same semantics as posts).
+ */
+app.post('/posts/:postId/comments/:commentId/react', authenticate, validate({
+    body: {
+        reactionType: schema.string({ required: true, oneOf: REACTION_TYPES })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { postId, commentId } = req.params;
+    const { reactionType } = req.body;
+    try {
+        const commentRef = db.collection('posts').doc(postId).collection('comments').doc(commentId);
+        const { reaction, reactions } = await setReaction(commentRef, req.user.uid, reactionType, 'Comment');
+        res.status(200).json({
+            success: true,
+            message: reaction ? 'Reaction saved.' : 'Reaction removed.',
+            myReaction: reaction,
+            reactions
+        });
+    } catch (error) {
+        console.error("Error reacting to comment:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /posts/:postId/comments/:commentId/react
+ * Removes the caller's reaction from a comment, if any.
+ */
+app.delete('/posts/:postId/comments/:commentId/react', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { postId, commentId } = req.params;
+    try {
+        const commentRef = db.collection('posts').doc(postId).collection('comments').doc(commentId);
+        const { reactions } = await setReaction(commentRef, req.user.uid, null, 'Comment');
+        res.status(200).json({ success: true, message: 'Reaction removed.', myReaction: null, reactions });
+    } catch (error) {
+        console.error("Error removing comment reaction:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /posts/:postId/comments/:commentId/reactions?type=&cursor=&limit=
+ * Lists who reacted to a comment, newest first.
+ */
+app.get('/posts/:postId/comments/:commentId/reactions', authenticate, validate({
+    query: {
+        type: schema.string({ oneOf: REACTION_TYPES }),
+        ...PAGE_QUERY
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { postId, commentId } = req.params;
+    const { type, cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const commentRef = db.collection('posts').doc(postId).collection('comments').doc(commentId);
+        const commentDoc = await commentRef.get();
+        if (!commentDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Comment not found.' });
+        }
+        const { reactions, nextCursor } = await listReactions(commentRef, { type, cursor, limit });
+        res.status(200).json({ success: true, reactions, nextCursor });
+    } catch (error) {
+        console.error("Error fetching comment reactions:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+
+// -------------------------------------------------------------------------
+// CHAT ROUTES (NEW SECTION)
+// -------------------------------------------------------------------------
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+const DELETE_FOR_EVERYONE_WINDOW_MS = 60 * 60 * 1000; // Senders can unsend for up to an hour
+const DELETED_MESSAGE_PREVIEW = 'This message was deleted.';
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_GROUP_NAME_LENGTH = 100;
+
+// Only the shape is checked here; normalizeAttachments() applies the per-type rules
+const ATTACHMENTS_SCHEMA = schema.array(schema.object({
+    type: schema.string({ required: true, oneOf: ['image', 'audio', 'file', 'post', 'verse'] }),
+    url: schema.url(),
+    mimeType: schema.string({ max: 100 }),
+    width: schema.number({ min: 0 }),
+    height: schema.number({ min: 0 }),
+    durationSeconds: schema.number({ min: 0 }),
+    fileName: schema.string({ max: 255 }),
+    sizeBytes: schema.number({ min: 0 }),
+    postId: schema.id(),
+    reference: schema.string({ max: 200 }),
+    text: schema.string({ max: MAX_MESSAGE_LENGTH }),
+    translation: schema.string({ max: 20 })
+}), { max: MAX_ATTACHMENTS_PER_MESSAGE });
+
+/**
+ * Checks the per-type required fields of message attachments (ATTACHMENTS_SCHEMA has already
+ * checked their shape) and keeps only the known metadata for each type:
+ * - image: url, width?, height?, mimeType?
+ * - audio: url, durationSeconds, mimeType?
+ * - file:  url, fileName, sizeBytes?, mimeType?
+ * - post:  postId (a shared LonyiChat post)
+ * - verse: reference, text?, translation?
+ * Returns { errors, attachments }, with `errors` for sendValidationError().
+ */
+function normalizeAttachments(attachments = []) {
+    const errors = [];
+    const normalized = attachments.map((attachment, index) => {
+        const requireFields = (...fields) => fields.forEach(field => {
+            if (attachment[field] === undefined || attachment[field] === '') {
+                const label = `attachments[${index}].${field}`;
+                errors.push({ location: 'body', field: label, message: `${label} is required for ${attachment.type} attachments.` });
+            }
+        });
+        const { type } = attachment;
+        switch (type) {
+            case 'image':
+                requireFields('url');
+                return { type, url: attachment.url, mimeType: attachment.mimeType || null, width: attachment.width || null, height: attachment.height || null };
+            case 'audio':
+                requireFields('url', 'durationSeconds');
+                return { type, url: attachment.url, mimeType: attachment.mimeType || null, durationSeconds: attachment.durationSeconds };
+            case 'file':
+                requireFields('url', 'fileName');
+                return { type, url: attachment.url, mimeType: attachment.mimeType || null, fileName: attachment.fileName, sizeBytes: attachment.sizeBytes || null };
+            case 'post':
+                requireFields('postId');
+                return { type, postId: attachment.postId };
+            default: // verse
+                requireFields('reference');
+                return {
+                    type,
+                    reference: attachment.reference,
+                    text: attachment.text || null,
+                    translation: attachment.translation || null
+                };
+        }
+    });
+
+    return { errors, attachments: normalized };
+}
+
+/**
+ * Short text shown as the chat's `lastMessage` and in reply quotes.
+ */
+function messagePreview(content, attachments = []) {
+    if (content) return content;
+    const [first] = attachments;
+    if (!first) return '';
+    switch (first.type) {
+        case 'image': return '[Photo]';
+        case 'audio': return '[Voice message]';
+        case 'file': return `[File] ${first.fileName}`;
+        case 'post': return '[Shared post]';
+        case 'verse': return `[Verse] ${first.reference}`;
+        default: return '[Attachment]';
+    }
+}
+
+/**
+ * Performs the transaction reads a new message depends on: the quoted message (if replying)
+ * and any shared posts. Resolves to the `replyTo` snapshot stored on the new message.
+ * Must be called before the transaction writes anything.
+ */
+async function resolveMessageReferences(transaction, chatRef, { replyToId, attachments }) {
+    const postRefs = attachments
+        .filter(attachment => attachment.type === 'post')
+        .map(attachment => db.collection('posts').doc(attachment.postId));
+    const replyRef = replyToId ? chatRef.collection('messages').doc(replyToId) : null;
+
+    const docs = await Promise.all([
+        replyRef ? transaction.get(replyRef) : null,
+        ...postRefs.map(ref => transaction.get(ref))
+    ]);
+    const [replyDoc, ...postDocs] = docs;
+
+    const missingPost = postDocs.find(doc => !doc.exists);
+    if (missingPost) throw httpError(404, `Shared post not found: ${missingPost.id}.`);
+
+    if (!replyRef) return null;
+    if (!replyDoc.exists) throw httpError(404, 'The message being replied to was not found.');
+    const quoted = replyDoc.data();
+    return {
+        messageId: replyDoc.id,
+        senderId: quoted.senderId,
+        preview: quoted.deletedForEveryone
+            ? DELETED_MESSAGE_PREVIEW
+            : messagePreview(quoted.content, quoted.attachments).slice(0, 200)
+    };
+}
+
+/**
+ * Records a realtime event for everyone in a chat with the same transaction or batch as the
+ * change it describes, so streaming clients see it exactly when it is committed (see
+ * GET /chats/events). `details` holds the type-specific fields, e.g. `messageId` and `actorId`.
+ */
+function recordChatEvent(writer, chatId, participants, type, details) {
+    writer.set(db.collection('chat_events').doc(), {
+        chatId,
+        participants,
+        type,
+        ...details,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+/**
+ * Clears a message's content for every participant inside a transaction, updating the chat's
+ * `lastMessage` preview if it was the latest message.
+ */
+function deleteMessageForEveryone(transaction, chatDoc, messageRef) {
+    transaction.update(messageRef, {
+        content: '',
+        attachments: [],
+        deletedForEveryone: true,
+        deletedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    if (chatDoc.data().lastMessageId === messageRef.id) {
+        transaction.update(chatDoc.ref, { lastMessage: DELETED_MESSAGE_PREVIEW });
+    }
+    recordChatEvent(transaction, chatDoc.id, chatDoc.data().participants, 'message_deleted', { messageId: messageRef.id });
+}
+
+/**
+ * Formats a chat message document for the Kotlin client, including read receipts.
+ * Messages hidden by a moderator are returned without their content, like deleted ones.
+ */
+function formatMessage(doc) {
+    const data = doc.data();
+    const readBy = {};
+    Object.entries(data.readBy || {}).forEach(([userId, readAt]) => {
+        readBy[userId] = formatTimestamp(readAt);
+    });
+    const deleted = data.deletedForEveryone || false;
+    const withheld = deleted || data.hidden === true;
+    return {
+        id: doc.id,
+        senderId: data.senderId,
+        content: withheld ? null : data.content,
+        attachments: withheld ? [] : (data.attachments || []),
+        replyTo: data.replyTo || null,
+        edited: data.edited || false,
+        editedAt: formatTimestamp(data.editedAt),
+        deleted,
+        hidden: data.hidden || false,
+        read: data.read || false,
+        readBy,
+        timestamp: formatTimestamp(data.timestamp)
+    };
+}
+
+const MAX_GROUP_MEMBERS = 256;
+
+/**
+ * Loads a chat and verifies the user is one of its participants.
+ * Throws a 404/403 httpError otherwise; resolves to { chatRef, chatDoc }.
+ */
+async function getChatForParticipant(chatId, userId) {
+    const chatRef = db.collection('chats').doc(chatId);
+    const chatDoc = await chatRef.get();
+    if (!chatDoc.exists) throw httpError(404, 'Chat not found.');
+    if (!chatDoc.data().participants.includes(userId)) {
+        throw httpError(403, 'Forbidden: You are not a participant in this chat.');
+    }
+    return { chatRef, chatDoc };
+}
+
+/**
+ * Verifies that the chat is a group and that the user is one of its admins.
+ */
+function assertGroupAdmin(chatData, userId) {
+    if (chatData.type !== 'group') throw httpError(400, 'This action is only available for group chats.');
+    if (!(chatData.admins || []).includes(userId)) {
+        throw httpError(403, 'Forbidden: Only group admins can do this.');
+    }
+}
+
+/**
+ * Returns the `participantNames` map entries for the given users, read from their profiles.
+ */
+async function resolveParticipantNames(userIds) {
+    const summaries = await fetchUserSummaries(userIds);
+    const missing = userIds.filter(id => !summaries[id]);
+    if (missing.length > 0) throw httpError(404, `User not found: ${missing.join(', ')}.`);
+    const names = {};
+    userIds.forEach(id => { names[id] = summaries[id].name; });
+    return names;
+}
+
+/**
+ * GET /chats?cursor=&limit=
+ * Lists the authenticated user's conversations, most recently active first,
+ * with the caller's unread message count for each.
+ */
+app.get('/chats', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { cursor } = req.query;
+    const userId = req.user.uid;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const query = db.collection('chats').where('participants', 'array-contains', userId);
+        const { docs, nextCursor } = await paginate(query, [['lastMessageTimestamp', 'desc']], { cursor, limit });
+
+        const chats = docs.map(doc => {
+            const data = doc.data();
+            return {
+                id: doc.id,
+                type: data.type || 'direct',
+                name: data.name || null,
+                avatarUrl: data.avatarUrl || null,
+                admins: data.admins || [],
+                participants: data.participants,
+                participantNames: data.participantNames || {},
+                lastMessage: data.lastMessage || null,
+                lastMessageSenderId: data.lastMessageSenderId || null,
+                lastMessageTimestamp: formatTimestamp(data.lastMessageTimestamp),
+                unreadCount: (data.unreadCounts && data.unreadCounts[userId]) || 0
+            };
+        });
+
+        res.status(200).json({ success: true, chats, nextCursor });
+    } catch (error) {
+        console.error("Error fetching chats:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /chats
+ * Creates a new chat conversation or sends the first message. Participant names are read
+ * from both users' profiles; `senderName` and `recipientName` are still accepted from older
+ * clients but ignored.
+ */
+app.post('/chats', authenticate, validate({
+    body: {
+        recipientId: schema.id({ required: true }),
+        messageContent: schema.string({ max: MAX_MESSAGE_LENGTH }),
+        senderName: schema.string({ max: MAX_USER_NAME_LENGTH }),
+        recipientName: schema.string({ max: MAX_USER_NAME_LENGTH }),
+        replyToId: schema.id({ nullable: true }),
+        attachments: ATTACHMENTS_SCHEMA
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const senderId = req.user.uid;
+    const { recipientId, messageContent, replyToId } = req.body;
+
+    const { errors: attachmentErrors, attachments } = normalizeAttachments(req.body.attachments);
+    if (!messageContent && attachments.length === 0) {
+        return sendValidationError(res, [{ location: 'body', field: 'messageContent', message: 'messageContent or an attachment is required.' }]);
+    }
+    if (attachmentErrors.length > 0) {
+        return sendValidationError(res, attachmentErrors);
+    }
+
+    // Determine a canonical ID for the chat (sort UIDs to ensure uniqueness regardless of who starts it)
+    const participants = [senderId, recipientId].sort();
+    const chatId = participants.join('_');
+
+    const conversationRef = db.collection('chats').doc(chatId);
+    const messageRef = conversationRef.collection('messages').doc();
+
+    try {
+        const participantNames = await resolveParticipantNames(participants);
+
+        // 1. Transaction to update/create the main chat document and create the message
+        await db.runTransaction(async (transaction) => {
+            const conversationDoc = await transaction.get(conversationRef);
+            await assertNotBlocked(senderId, recipientId, transaction);
+            const replyTo = await resolveMessageReferences(transaction, conversationRef, { replyToId, attachments });
+
+            // Chat Document Data
+            const chatData = {
+                type: 'direct',
+                participants: participants,
+                lastMessage: messagePreview(messageContent, attachments),
+                lastMessageId: messageRef.id,
+                lastMessageSenderId: senderId,
+                lastMessageTimestamp: admin.firestore.FieldValue.serverTimestamp(),
+                // Store names for easy display in chat list (Kotlin client uses this)
+                participantNames
+            };
+
+            if (conversationDoc.exists) {
+                // Update existing chat
+                transaction.update(conversationRef, {
+                    ...chatData,
+                    [`unreadCounts.${recipientId}`]: admin.firestore.FieldValue.increment(1)
+                });
+            } else {
+                // Create new chat
+                transaction.set(conversationRef, {
+                    ...chatData,
+                    unreadCounts: { [senderId]: 0, [recipientId]: 1 }
+                });
+            }
+            
+            // Add the new message
+            const newMessage = {
+                senderId: senderId,
+                content: messageContent || '',
+                attachments,
+                replyTo,
+                timestamp: admin.firestore.FieldValue.serverTimestamp(),
+                read: false
+            };
+            transaction.set(messageRef, newMessage);
+            recordChatEvent(transaction, chatId, participants, 'message', { messageId: messageRef.id, actorId: senderId });
+        });
+
+        await notifyUsers([recipientId], {
+            type: 'chat_message',
+            title: name => name,
+            body: messagePreview(messageContent, attachments),
+            data: { chatId, messageId: messageRef.id },
+            actorId: senderId
+        });
+        res.status(201).json({ success: true, message: 'Message sent.', chatId: chatId, messageId: messageRef.id });
+
+    } catch (error) {
+        console.error("Error sending chat message:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /chats/groups
+ * Creates a group conversation. The creator becomes its first admin.
+ */
+app.post('/chats/groups', authenticate, validate({
+    body: {
+        name: schema.string({ required: true, max: MAX_GROUP_NAME_LENGTH }),
+        avatarUrl: schema.url({ nullable: true }),
+        memberIds: schema.array(schema.id(), { max: MAX_GROUP_MEMBERS })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const creatorId = req.user.uid;
+    const { name, avatarUrl, memberIds = [] } = req.body;
+
+    const participants = [...new Set([creatorId, ...memberIds])];
+    if (participants.length > MAX_GROUP_MEMBERS) {
+        return sendValidationError(res, [{ location: 'body', field: 'memberIds', message: `A group can have at most ${MAX_GROUP_MEMBERS} members.` }]);
+    }
+
+    try {
+        const blockedIds = await fetchBlockedUserIds(creatorId);
+        if (participants.some(id => blockedIds.has(id))) {
+            throw httpError(403, 'Forbidden: You cannot add a user you have blocked or who has blocked you.');
+        }
+        const participantNames = await resolveParticipantNames(participants);
+        const unreadCounts = {};
+        participants.forEach(id => { unreadCounts[id] = 0; });
+
+        const chatRef = db.collection('chats').doc();
+        await chatRef.set({
+            type: 'group',
+            name: name.trim(),
+            avatarUrl: avatarUrl || null,
+            createdBy: creatorId,
+            admins: [creatorId],
+            participants,
+            participantNames,
+            unreadCounts,
+            lastMessage: null,
+            lastMessageSenderId: null,
+            lastMessageTimestamp: admin.firestore.FieldValue.serverTimestamp(),
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        res.status(201).json({ success: true, message: 'Group created.', chatId: chatRef.id });
+    } catch (error) {
+        console.error("Error creating group chat:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * PUT /chats/:chatId
+ * Updates a group's name and/or avatar. Group admins only.
+ */
+app.put('/chats/:chatId', authenticate, validate({
+    body: {
+        name: schema.string({ min: 1, max: MAX_GROUP_NAME_LENGTH }),
+        avatarUrl: schema.url({ nullable: true })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { chatId } = req.params;
+    const { name, avatarUrl } = req.body;
+    try {
+        const { chatRef, chatDoc } = await getChatForParticipant(chatId, req.user.uid);
+        assertGroupAdmin(chatDoc.data(), req.user.uid);
+
+        await chatRef.update({
+            ...(name !== undefined && { name: name.trim() }),
+            ...(avatarUrl !== undefined && { avatarUrl: avatarUrl || null })
+        });
+        res.status(200).json({ success: true, message: 'Group updated.' });
+    } catch (error) {
+        console.error("Error updating group chat:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /chats/:chatId/members
+ * Adds users to a group. Group admins only.
+ */
+app.post('/chats/:chatId/members', authenticate, validate({
+    body: {
+        userIds: schema.array(schema.id(), { required: true, min: 1, max: MAX_GROUP_MEMBERS })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { chatId } = req.params;
+    const { userIds } = req.body;
+    try {
+        const { chatRef, chatDoc } = await getChatForParticipant(chatId, req.user.uid);
+        assertGroupAdmin(chatDoc.data(), req.user.uid);
+        const requestedIds = [...new Set(userIds)];
+        const blockedIds = await fetchBlockedUserIds(req.user.uid);
+        const names = await resolveParticipantNames(requestedIds);
+
+        // The member count is re-read with the write so concurrent adds can't overfill the group
+        const added = await db.runTransaction(async (transaction) => {
+            const currentDoc = await transaction.get(chatRef);
+            if (!currentDoc.exists) throw httpError(404, 'Chat not found.');
+            const chatData = currentDoc.data();
+            if (!chatData.participants.includes(req.user.uid)) {
+                throw httpError(403, 'Forbidden: You are not a participant in this chat.');
+            }
+            assertGroupAdmin(chatData, req.user.uid);
+
+            const newMemberIds = requestedIds.filter(id => !chatData.participants.includes(id));
+            if (chatData.participants.length + newMemberIds.length > MAX_GROUP_MEMBERS) {
+                throw httpError(400, `A group can have at most ${MAX_GROUP_MEMBERS} members.`);
+            }
+            if (newMemberIds.some(id => blockedIds.has(id))) {
+                throw httpError(403, 'Forbidden: You cannot add a user you have blocked or who has blocked you.');
+            }
+            if (newMemberIds.length === 0) return [];
+
+            const updates = { participants: [...chatData.participants, ...newMemberIds] };
+            newMemberIds.forEach(id => {
+                updates[`participantNames.${id}`] = names[id];
+                updates[`unreadCounts.${id}`] = 0;
+            });
+            transaction.update(chatRef, updates);
+            return newMemberIds;
+        });
+
+        if (added.length === 0) {
+            return res.status(200).json({ success: true, message: 'No new members to add.', added });
+        }
+        res.status(200).json({ success: true, message: 'Members added.', added });
+    } catch (error) {
+        console.error("Error adding group members:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * Removes a member from a group inside a transaction. If the last admin leaves, the
+ * longest-standing remaining member is promoted so the group is never left without an admin.
+ */
+async function removeGroupMember(chatRef, memberId, performedBy) {
+    await db.runTransaction(async (transaction) => {
+        const chatDoc = await transaction.get(chatRef);
+        if (!chatDoc.exists) throw httpError(404, 'Chat not found.');
+        const chatData = chatDoc.data();
+        if (chatData.type !== 'group') throw httpError(400, 'This action is only available for group chats.');
+        if (!chatData.participants.includes(performedBy)) {
+            throw httpError(403, 'Forbidden: You are not a participant in this chat.');
+        }
+        if (memberId !== performedBy && !(chatData.admins || []).includes(performedBy)) {
+            throw httpError(403, 'Forbidden: Only group admins can remove members.');
+        }
+        if (!chatData.participants.includes(memberId)) throw httpError(404, 'User is not a member of this group.');
+
+        const participants = chatData.participants.filter(id => id !== memberId);
+        let admins = (chatData.admins || []).filter(id => id !== memberId);
+        if (admins.length === 0 && participants.length > 0) {
+            admins = [participants[0]];
+        }
+
+        transaction.update(chatRef, {
+            participants,
+            admins,
+            [`participantNames.${memberId}`]: admin.firestore.FieldValue.delete(),
+            [`unreadCounts.${memberId}`]: admin.firestore.FieldValue.delete(),
+            [`lastReadAt.${memberId}`]: admin.firestore.FieldValue.delete()
+        });
+    });
+}
+
+/**
+ * DELETE /chats/:chatId/members/:userId
+ * Removes a member from a group. Admins can remove anyone; members can only remove themselves.
+ */
+app.delete('/chats/:chatId/members/:userId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { chatId, userId } = req.params;
+    try {
+        await removeGroupMember(db.collection('chats').doc(chatId), userId, req.user.uid);
+        res.status(200).json({ success: true, message: 'Member removed.' });
+    } catch (error) {
+        console.error("Error removing group member:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /chats/:chatId/leave
+ * Leaves a group conversation.
+ */
+app.post('/chats/:chatId/leave', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { chatId } = req.params;
+    try {
+        await removeGroupMember(db.collection('chats').doc(chatId), req.user.uid, req.user.uid);
+        res.status(200).json({ success: true, message: 'You left the group.' });
+    } catch (error) {
+        console.error("Error leaving group chat:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /chats/:chatId/admins/:userId
+ * Promotes a group member to admin. Group admins only.
+ */
+app.post('/chats/:chatId/admins/:userId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { chatId, userId } = req.params;
+    try {
+        const { chatRef, chatDoc } = await getChatForParticipant(chatId, req.user.uid);
+        const chatData = chatDoc.data();
+        assertGroupAdmin(chatData, req.user.uid);
+        if (!chatData.participants.includes(userId)) {
+            return res.status(404).json({ success: false, message: 'User is not a member of this group.' });
+        }
+        await chatRef.update({ admins: admin.firestore.FieldValue.arrayUnion(userId) });
+        res.status(200).json({ success: true, message: 'Member promoted to admin.' });
+    } catch (error) {
+        console.error("Error promoting group admin:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /chats/:chatId/admins/:userId
+ * Demotes a group admin back to a regular member. Group admins only; the last admin
+ * cannot be demoted.
+ */
+app.delete('/chats/:chatId/admins/:userId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { chatId, userId } = req.params;
+    try {
+        const chatRef = db.collection('chats').doc(chatId);
+        await db.runTransaction(async (transaction) => {
+            const chatDoc = await transaction.get(chatRef);
+            if (!chatDoc.exists) throw httpError(404, 'Chat not found.');
+            const chatData = chatDoc.data();
+            assertGroupAdmin(chatData, req.user.uid);
+            const admins = chatData.admins || [];
+            if (!admins.includes(userId)) throw httpError(404, 'User is not an admin of this group.');
+            if (admins.length === 1) throw httpError(400, 'A group must have at least one admin.');
+            transaction.update(chatRef, { admins: admins.filter(id => id !== userId) });
+        });
+        res.status(200).json({ success: true, message: 'Admin demoted.' });
+    } catch (error) {
+        console.error("Error demoting group admin:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /chats/:chatId/messages
+ * Sends a message to an existing conversation (one-to-one or group). Only participants may send.
+ */
+app.post('/chats/:chatId/messages', authenticate, validate({
+    body: {
+        content: schema.string({ max: MAX_MESSAGE_LENGTH }),
+        replyToId: schema.id({ nullable: true }),
+        attachments: ATTACHMENTS_SCHEMA
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { chatId } = req.params;
+    const { content, replyToId } = req.body;
+    const senderId = req.user.uid;
+    const { errors: attachmentErrors, attachments } = normalizeAttachments(req.body.attachments);
+    if (!content && attachments.length === 0) {
+        return sendValidationError(res, [{ location: 'body', field: 'content', message: 'content or an attachment is required.' }]);
+    }
+    if (attachmentErrors.length > 0) {
+        return sendValidationError(res, attachmentErrors);
+    }
+
+    try {
+        const chatRef = db.collection('chats').doc(chatId);
+        const messageRef = chatRef.collection('messages').doc();
+        const chatData = await db.runTransaction(async (transaction) => {
+            const chatDoc = await transaction.get(chatRef);
+            if (!chatDoc.exists) throw httpError(404, 'Chat not found.');
+            const { type, participants } = chatDoc.data();
+            if (!participants.includes(senderId)) {
+                throw httpError(403, 'Forbidden: You are not a participant in this chat.');
+            }
+            if (type !== 'group') {
+                await assertNotBlocked(senderId, participants.find(id => id !== senderId), transaction);
+            }
+            const replyTo = await resolveMessageReferences(transaction, chatRef, { replyToId, attachments });
+
+            const chatUpdate = {
+                lastMessage: messagePreview(content, attachments),
+                lastMessageId: messageRef.id,
+                lastMessageSenderId: senderId,
+                lastMessageTimestamp: admin.firestore.FieldValue.serverTimestamp()
+            };
+            participants.filter(id => id !== senderId).forEach(id => {
+                chatUpdate[`unreadCounts.${id}`] = admin.firestore.FieldValue.increment(1);
+            });
+            transaction.update(chatRef, chatUpdate);
+            transaction.set(messageRef, {
+                senderId,
+                content: content || '',
+                attachments,
+                replyTo,
+                timestamp: admin.firestore.FieldValue.serverTimestamp(),
+                read: false
+            });
+            recordChatEvent(transaction, chatId, participants, 'message', { messageId: messageRef.id, actorId: senderId });
+            return chatDoc.data();
+        });
+
+        const preview = messagePreview(content, attachments);
+        await notifyUsers(chatData.participants, {
+            type: 'chat_message',
+            title: chatData.type === 'group' ? chatData.name : name => name,
+            body: chatData.type === 'group' ? name => `${name}: ${preview}` : preview,
+            data: { chatId, messageId: messageRef.id },
+            actorId: senderId
+        });
+        res.status(201).json({ success: true, message: 'Message sent.', chatId, messageId: messageRef.id });
+    } catch (error) {
+        console.error("Error sending chat message:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /chats/:chatId/messages?cursor=&limit=
+ * Retrieves the message history for a specific chat, paging backwards from the newest message.
+ * Each page is returned in chronological order; `nextCursor` points at the older messages.
+ */
+app.get('/chats/:chatId/messages', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { chatId } = req.params;
+    const { cursor } = req.query;
+    const userId = req.user.uid;
+
+    try {
+        const limit = parsePageLimit(req.query.limit, 50);
+        // Ensure the authenticated user is a participant in this chat
+        const { chatRef } = await getChatForParticipant(chatId, userId);
+
+        const { docs, nextCursor } = await paginate(
+            chatRef.collection('messages'),
+            [['timestamp', 'desc']],
+            { cursor, limit }
+        );
+
+        // Messages the caller deleted "for me" are hidden from their history only, as are
+        // messages from anyone blocked in either direction (e.g. in a shared group)
+        const blockedIds = await fetchBlockedUserIds(userId);
+        const messages = docs.reverse()
+            .filter(doc => !(doc.data().deletedFor || []).includes(userId) && !blockedIds.has(doc.data().senderId))
+            .map(formatMessage);
+        
+        res.status(200).json({ success: true, messages, nextCursor });
+
+    } catch (error) {
+        console.error("Error fetching chat messages:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * PUT /chats/:chatId/messages/:messageId
+ * Edits the text of a message. Only the sender may edit, and deleted messages can't be edited.
+ */
+app.put('/chats/:chatId/messages/:messageId', authenticate, validate({
+    body: {
+        content: schema.string({ required: true, max: MAX_MESSAGE_LENGTH })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { chatId, messageId } = req.params;
+    const { content } = req.body;
+    const userId = req.user.uid;
+
+    try {
+        const chatRef = db.collection('chats').doc(chatId);
+        const messageRef = chatRef.collection('messages').doc(messageId);
+        await db.runTransaction(async (transaction) => {
+            const [chatDoc, messageDoc] = await transaction.getAll(chatRef, messageRef);
+            if (!chatDoc.exists) throw httpError(404, 'Chat not found.');
+            if (!chatDoc.data().participants.includes(userId)) {
+                throw httpError(403, 'Forbidden: You are not a participant in this chat.');
+            }
+            if (!messageDoc.exists) throw httpError(404, 'Message not found.');
+            const message = messageDoc.data();
+            if (message.senderId !== userId) throw httpError(403, 'Forbidden: You can only edit your own messages.');
+            if (message.deletedForEveryone) throw httpError(409, 'Deleted messages cannot be edited.');
+
+            transaction.update(messageRef, {
+                content,
+                edited: true,
+                editedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            // Keep the inbox preview in sync when the latest message changes
+            if (chatDoc.data().lastMessageId === messageId) {
+                transaction.update(chatRef, { lastMessage: messagePreview(content, message.attachments) });
+            }
+            recordChatEvent(transaction, chatId, chatDoc.data().participants, 'message_edited', { messageId, actorId: userId });
+        });
+        res.status(200).json({ success: true, message: 'Message updated.' });
+    } catch (error) {
+        console.error("Error editing chat message:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /chats/:chatId/messages/:messageId?scope=me|everyone
+ * Deletes a message. `scope=me` (the default) hides it from the caller's history only;
+ * `scope=everyone` removes its content for all participants and is limited to the sender
+ * within DELETE_FOR_EVERYONE_WINDOW_MS of sending.
+ */
+app.delete('/chats/:chatId/messages/:messageId', authenticate, validate({ query: { scope: schema.string({ oneOf: ['me', 'everyone'] }) } }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { chatId, messageId } = req.params;
+    const { scope = 'me' } = req.query;
+    const userId = req.user.uid;
+
+    try {
+        const chatRef = db.collection('chats').doc(chatId);
+        const messageRef = chatRef.collection('messages').doc(messageId);
+        await db.runTransaction(async (transaction) => {
+            const [chatDoc, messageDoc] = await transaction.getAll(chatRef, messageRef);
+            if (!chatDoc.exists) throw httpError(404, 'Chat not found.');
+            if (!chatDoc.data().participants.includes(userId)) {
+                throw httpError(403, 'Forbidden: You are not a participant in this chat.');
+            }
+            if (!messageDoc.exists) throw httpError(404, 'Message not found.');
+            const message = messageDoc.data();
+
+            if (scope === 'me') {
+                transaction.update(messageRef, { deletedFor: admin.firestore.FieldValue.arrayUnion(userId) });
+                return;
+            }
+
+            if (message.senderId !== userId) {
+                throw httpError(403, 'Forbidden: You can only delete your own messages for everyone.');
+            }
+            if (message.deletedForEveryone) return;
+            const sentAt = message.timestamp ? message.timestamp.toMillis() : 0;
+            if (Date.now() - sentAt > DELETE_FOR_EVERYONE_WINDOW_MS) {
+                throw httpError(409, 'This message is too old to be deleted for everyone.');
+            }
+
+            deleteMessageForEveryone(transaction, chatDoc, messageRef);
+        });
+        res.status(200).json({ success: true, message: 'Message deleted.' });
+    } catch (error) {
+        console.error("Error deleting chat message:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /chats/:chatId/read
+ * Marks every message from other participants as read by the authenticated user,
+ * recording a read receipt on each and taking them off the caller's unread count.
+ */
+app.post('/chats/:chatId/read', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { chatId } = req.params;
+    const userId = req.user.uid;
+
+    try {
+        const { chatRef, chatDoc } = await getChatForParticipant(chatId, userId);
+        const chatData = chatDoc.data();
+
+        // Only messages newer than the caller's previous read marker can still be unread
+        let query = chatRef.collection('messages');
+        const lastReadAt = chatData.lastReadAt && chatData.lastReadAt[userId];
+        if (lastReadAt) query = query.where('timestamp', '>', lastReadAt);
+        const snapshot = await query.get();
+        const unreadDocs = snapshot.docs.filter(doc => {
+            const data = doc.data();
+            return data.senderId !== userId && !(data.readBy && data.readBy[userId]);
+        });
+
+        const readAt = admin.firestore.FieldValue.serverTimestamp();
+        await commitInBatches(unreadDocs, (batch, doc) => {
+            batch.update(doc.ref, { read: true, [`readBy.${userId}`]: readAt });
+        });
+
+        // Advance the read marker to the newest message seen, so anything that arrived
+        // while this request ran is still picked up by the next call
+        const newestTimestamp = snapshot.docs.reduce((newest, doc) => {
+            const timestamp = doc.data().timestamp;
+            return timestamp && (!newest || timestamp.toMillis() > newest.toMillis()) ? timestamp : newest;
+        }, lastReadAt || null);
+        // Only subtract what was marked: messages sent during the scan stay unread
+        await db.runTransaction(async (transaction) => {
+            const currentDoc = await transaction.get(chatRef);
+            const { unreadCounts = {}, lastReadAt: markers = {} } = currentDoc.data();
+            const marker = markers[userId];
+            // A concurrent call that already read past our newest message counted these too
+            if (marker && (!lastReadAt || !marker.isEqual(lastReadAt))
+                && newestTimestamp && marker.toMillis() >= newestTimestamp.toMillis()) return;
+            transaction.update(chatRef, {
+                [`unreadCounts.${userId}`]: Math.max(0, (unreadCounts[userId] || 0) - unreadDocs.length),
+                ...(newestTimestamp && { [`lastReadAt.${userId}`]: newestTimestamp })
+            });
+            // One read receipt event covers every message up to `readUpTo`
+            if (unreadDocs.length > 0) {
+                recordChatEvent(transaction, chatId, chatData.participants, 'read', { actorId: userId, readUpTo: newestTimestamp });
+            }
+        });
+
+        res.status(200).json({ success: true, message: 'Messages marked as read.', markedCount: unreadDocs.length });
+    } catch (error) {
+        console.error("Error marking chat as read:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+
+// -------------------------------------------------------------------------
+// REALTIME CHAT ROUTES (EVENTS, TYPING & PRESENCE)
+// -------------------------------------------------------------------------
+
+const CHAT_EVENTS_PAGE_SIZE = 100;
+const CHAT_EVENTS_POLL_MS = 2000;
+const CHAT_EVENT_RETENTION_MS = 24 * 60 * 60 * 1000; // Clients away longer reload from GET /chats/:chatId/messages
+const CHAT_EVENT_CURSOR_END_ID = '~';
+// Both windows stay under the function maxDuration (60 s) set in vercel.json
+const MAX_LONG_POLL_SECONDS = 25;
+const CHAT_STREAM_MAX_MS = 50 * 1000; // Clients reconnect with Last-Event-ID afterwards
+const CHAT_STREAM_RETRY_MS = 2000;
+const TYPING_EVENT_TTL_MS = 10 * 1000;
+const PRESENCE_HEARTBEAT_MS = 30 * 1000;
+const PRESENCE_ONLINE_WINDOW_MS = 2 * PRESENCE_HEARTBEAT_MS;
+
+/**
+ * Resolves after `ms` milliseconds.
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * A `since` cursor pointing at the present moment, for clients that connect without one.
+ * Firestore rejects an empty document ID as a query boundary, so the tie-breaker is an ID
+ * that sorts after every auto-generated (alphanumeric) one.
+ */
+function currentChatEventCursor() {
+    return encodeCursor([admin.firestore.Timestamp.now(), CHAT_EVENT_CURSOR_END_ID]);
+}
+
+/**
+ * Marks the user as seen now. Presence is best-effort, so failures are only logged.
+ */
+async function touchPresence(userId) {
+    try {
+        await db.collection('users').doc(userId).update({ lastSeenAt: admin.firestore.FieldValue.serverTimestamp() });
+    } catch (error) {
+        console.error("Error updating presence:", error);
+    }
+}
+
+/**
+ * Formats a user's presence. Users count as online while a stream or long-poll of theirs
+ * has been active within PRESENCE_ONLINE_WINDOW_MS.
+ */
+function formatPresence(doc) {
+    const { lastSeenAt } = doc.data();
+    return {
+        userId: doc.id,
+        online: Boolean(lastSeenAt) && Date.now() - lastSeenAt.toMillis() < PRESENCE_ONLINE_WINDOW_MS,
+        lastSeenAt: formatTimestamp(lastSeenAt)
+    };
+}
+
+/**
+ * Reads the caller's chat events after `since`, oldest first. Message events carry the
+ * message as it is now (so an edit that follows shows up either way); messages the caller
+ * deleted for themselves, anything from blocked users, their own typing and stale typing
+ * events are left out. Resolves to { events, cursor, hasMore }, where `cursor` is the
+ * `since` to use next and each event has the cursor just after itself.
+ */
+async function fetchChatEvents(userId, since, blockedIds) {
+    const query = db.collection('chat_events').where('participants', 'array-contains', userId);
+    const { docs, nextCursor } = await paginate(query, [['createdAt', 'asc']], { cursor: since, limit: CHAT_EVENTS_PAGE_SIZE });
+
+    const messageRefs = docs
+        .filter(doc => doc.data().messageId)
+        .map(doc => db.collection('chats').doc(doc.data().chatId).collection('messages').doc(doc.data().messageId));
+    const messageDocs = messageRefs.length > 0 ? await db.getAll(...messageRefs) : [];
+    const messagesByPath = new Map(messageDocs.filter(doc => doc.exists).map(doc => [doc.ref.path, doc]));
+
+    const events = [];
+    docs.forEach(doc => {
+        const data = doc.data();
+        if (data.actorId && blockedIds.has(data.actorId)) return;
+        const event = {
+            id: doc.id,
+            cursor: encodeCursor([data.createdAt, doc.id]),
+            type: data.type,
+            chatId: data.chatId,
+            userId: data.actorId || null,
+            createdAt: formatTimestamp(data.createdAt)
+        };
+
+        if (data.type === 'typing') {
+            if (data.actorId === userId || Date.now() - data.createdAt.toMillis() > TYPING_EVENT_TTL_MS) return;
+            event.typing = data.typing;
+        } else if (data.type === 'read') {
+            event.readUpTo = formatTimestamp(data.readUpTo);
+        } else if (data.messageId) {
+            const messageDoc = messagesByPath.get(`chats/${data.chatId}/messages/${data.messageId}`);
+            if (!messageDoc || (messageDoc.data().deletedFor || []).includes(userId)) return;
+            if (blockedIds.has(messageDoc.data().senderId)) return;
+            event.message = formatMessage(messageDoc);
+        }
+        events.push(event);
+    });
+
+    const lastDoc = docs[docs.length - 1];
+    const cursor = lastDoc ? encodeCursor([lastDoc.get('createdAt'), lastDoc.id]) : since;
+    return { events, cursor, hasMore: Boolean(nextCursor) };
+}
+
+/**
+ * GET /chats/events?since=&wait=
+ * Long-polling fallback for the event stream (e.g. where responses can't be streamed):
+ * new messages, edits, deletions, read receipts and typing indicators across all of the
+ * caller's chats. Waits up to `wait` seconds (default and maximum MAX_LONG_POLL_SECONDS)
+ * for something to happen. Send the returned `cursor` back as `since` on the next call;
+ * without `since`, only events from now on are returned.
+ */
+app.get('/chats/events', authenticate, validate({
+    query: {
+        since: schema.string({ max: MAX_CURSOR_LENGTH }),
+        wait: schema.integer({ min: 0, max: MAX_LONG_POLL_SECONDS })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const userId = req.user.uid;
+    const wait = req.query.wait === undefined ? MAX_LONG_POLL_SECONDS : req.query.wait;
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    try {
+        let since = req.query.since || currentChatEventCursor();
+        const deadline = Date.now() + wait * 1000;
+        const [blockedIds] = await Promise.all([fetchBlockedUserIds(userId), touchPresence(userId)]);
+
+        let page = await fetchChatEvents(userId, since, blockedIds);
+        // Keep polling while nothing deliverable arrived, moving past skipped events
+        while (page.events.length === 0 && !page.hasMore && !closed && Date.now() + CHAT_EVENTS_POLL_MS <= deadline) {
+            since = page.cursor;
+            await sleep(CHAT_EVENTS_POLL_MS);
+            page = await fetchChatEvents(userId, since, blockedIds);
+        }
+        res.status(200).json({ success: true, events: page.events, cursor: page.cursor, hasMore: page.hasMore });
+    } catch (error) {
+        console.error("Error long-polling chat events:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /chats/events/stream?since=
+ * Server-Sent Events stream of the same events as GET /chats/events. Each SSE message has
+ * the event type as its `event` name, the event JSON as `data` and its cursor as `id`, so a
+ * reconnecting EventSource resumes through `Last-Event-ID`. The stream closes after
+ * CHAT_STREAM_MAX_MS (serverless functions can't run forever) and clients reconnect.
+ * While it is open the caller counts as online.
+ */
+app.get('/chats/events/stream', authenticate, validate({
+    query: { since: schema.string({ max: MAX_CURSOR_LENGTH }) }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const userId = req.user.uid;
+    let cursor = req.query.since || req.get('Last-Event-ID') || null;
+    try {
+        if (cursor) decodeCursor(cursor);
+    } catch (error) {
+        return res.status(error.status).json({ success: false, message: error.message });
+    }
+    cursor = cursor || currentChatEventCursor();
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${CHAT_STREAM_RETRY_MS}\n\n`);
+
+    try {
+        const blockedIds = await fetchBlockedUserIds(userId);
+        const deadline = Date.now() + CHAT_STREAM_MAX_MS;
+        let lastHeartbeat = 0;
+        while (!closed && Date.now() < deadline) {
+            // The heartbeat keeps proxies from timing the connection out and refreshes presence
+            if (Date.now() - lastHeartbeat >= PRESENCE_HEARTBEAT_MS) {
+                await touchPresence(userId);
+                res.write(': heartbeat\n\n');
+                lastHeartbeat = Date.now();
+            }
+            const page = await fetchChatEvents(userId, cursor, blockedIds);
+            page.events.forEach(event => {
+                res.write(`id: ${event.cursor}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+            });
+            cursor = page.cursor;
+            if (!page.hasMore) await sleep(CHAT_EVENTS_POLL_MS);
+        }
+    } catch (error) {
+        console.error("Error streaming chat events:", error);
+        res.write(`event: error\ndata: ${JSON.stringify({ success: false, message: error.message })}\n\n`);
+    }
+    res.end();
+});
+
+/**
+ * POST /chats/:chatId/typing
+ * Tells the other participants the caller started (`typing: true`) or stopped typing.
+ * Typing events expire after TYPING_EVENT_TTL_MS, so clients should repeat `true` every
+ * few seconds while the user keeps typing rather than on every keystroke.
+ */
+app.post('/chats/:chatId/typing', authenticate, validate({
+    body: { typing: schema.boolean({ required: true }) }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { chatId } = req.params;
+    try {
+        const { chatDoc } = await getChatForParticipant(chatId, req.user.uid);
+        const batch = db.batch();
+        recordChatEvent(batch, chatId, chatDoc.data().participants, 'typing', {
+            actorId: req.user.uid,
+            typing: req.body.typing
+        });
+        await batch.commit();
+        res.status(200).json({ success: true, message: 'Typing status sent.' });
+    } catch (error) {
+        console.error("Error sending typing status:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /chats/:chatId/presence
+ * Online status and last-seen time of the other participants in a chat. Users blocked in
+ * either direction are left out.
+ */
+app.get('/chats/:chatId/presence', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { chatId } = req.params;
+    const userId = req.user.uid;
+    try {
+        const { chatDoc } = await getChatForParticipant(chatId, userId);
+        const blockedIds = await fetchBlockedUserIds(userId);
+        const otherIds = chatDoc.data().participants.filter(id => id !== userId && !blockedIds.has(id));
+
+        const userDocs = [];
+        for (const ids of chunk(otherIds, MAX_PAGE_SIZE)) {
+            userDocs.push(...await db.getAll(...ids.map(id => db.collection('users').doc(id))));
+        }
+        const presence = userDocs.filter(doc => doc.exists).map(formatPresence);
+        res.status(200).json({ success: true, presence });
+    } catch (error) {
+        console.error("Error fetching chat presence:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /cron/chat-events/cleanup
+ * Scheduled job (see `crons` in vercel.json) that deletes chat events older than
+ * CHAT_EVENT_RETENTION_MS, one batch per run.
+ */
+app.get('/cron/chat-events/cleanup', authenticateCron, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const snapshot = await db.collection('chat_events')
+            .where('createdAt', '<=', admin.firestore.Timestamp.fromMillis(Date.now() - CHAT_EVENT_RETENTION_MS))
+            .limit(BATCH_WRITE_LIMIT)
+            .get();
+        await commitInBatches(snapshot.docs, (batch, doc) => batch.delete(doc.ref));
+        console.log(`[Backend Log] Deleted ${snapshot.size} old chat events.`);
+        res.status(200).json({ success: true, deletedCount: snapshot.size });
+    } catch (error) {
+        console.error("Error cleaning up chat events:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+
+// -------------------------------------------------------------------------
+// CHURCHES, GROUPS & EVENTS ROUTES
+// -------------------------------------------------------------------------
+
+const MAX_CHURCH_NAME_LENGTH = 100;
+const MAX_CHURCH_DESCRIPTION_LENGTH = 2000;
+
+/**
+ * Returns the user's role in a church: 'owner' (its creator), 'admin', 'member' or null.
+ * Churches created before roles existed have no `admins` field; their creator is still the owner.
+ */
+function churchRole(churchData, userId) {
+    if (churchData.createdBy === userId) return 'owner';
+    if ((churchData.admins || []).includes(userId)) return 'admin';
+    if ((churchData.members || []).includes(userId)) return 'member';
+    return null;
+}
+
+/**
+ * True for church roles allowed to administer the church (owner and admins).
+ */
+function isChurchAdmin(churchData, userId) {
+    const role = churchRole(churchData, userId);
+    return role === 'owner' || role === 'admin';
+}
+
+/**
+ * True if a moderator hid the church from `user` (null for anonymous callers). Hidden
+ * churches stay visible to their own admins and to moderators.
+ */
+function isChurchHiddenFrom(churchData, user) {
+    return Boolean(churchData.hidden) && !(user && (isChurchAdmin(churchData, user.uid) || isModerator(user)));
+}
+
+/**
+ * Loads a church and verifies the user is its owner or an admin.
+ * Throws a 404/403 httpError otherwise; resolves to { churchRef, churchDoc }.
+ */
+async function getChurchForAdmin(churchId, userId) {
+    const churchRef = db.collection('churches').doc(churchId);
+    const churchDoc = await churchRef.get();
+    if (!churchDoc.exists) throw httpError(404, 'Church not found.');
+    if (!isChurchAdmin(churchDoc.data(), userId)) {
+        throw httpError(403, 'Forbidden: Only church admins can do this.');
+    }
+    return { churchRef, churchDoc };
+}
+
+/**
+ * Formats a church document for the Android client, including the caller's role.
+ */
+function formatChurch(doc, userId) {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        name: data.name,
+        description: data.description,
+        createdBy: data.createdBy,
+        admins: data.admins || [data.createdBy],
+        members: data.members || [],
+        followerCount: data.followerCount || 0,
+        myRole: churchRole(data, userId)
+    };
+}
+
+/**
+ * Removes a member from a church, keeping `followerCount` and the user's `churches` array
+ * in step. The owner can't be removed. `performedBy` must be the member themself or a
+ * church admin; admins can't remove each other, only the owner can.
+ */
+async function removeChurchMember(churchId, memberId, performedBy) {
+    const churchRef = db.collection('churches').doc(churchId);
+    const userRef = db.collection('users').doc(memberId);
+    await db.runTransaction(async (transaction) => {
+        const churchDoc = await transaction.get(churchRef);
+        if (!churchDoc.exists) throw httpError(404, 'Church not found.');
+        const churchData = churchDoc.data();
+
+        const memberRole = churchRole(churchData, memberId);
+        if (!memberRole) throw httpError(404, 'User is not a member of this church.');
+        if (memberRole === 'owner') {
+            throw httpError(400, 'The church owner cannot leave or be removed. Delete the church instead.');
+        }
+        if (memberId !== performedBy) {
+            const performerRole = churchRole(churchData, performedBy);
+            const allowed = performerRole === 'owner' || (performerRole === 'admin' && memberRole === 'member');
+            if (!allowed) throw httpError(403, 'Forbidden: You cannot remove this member.');
+        }
+
+        transaction.update(churchRef, {
+            members: admin.firestore.FieldValue.arrayRemove(memberId),
+            admins: admin.firestore.FieldValue.arrayRemove(memberId),
+            followerCount: admin.firestore.FieldValue.increment(-1)
+        });
+        transaction.set(userRef, { churches: admin.firestore.FieldValue.arrayRemove(churchId) }, { merge: true });
+    });
+}
+
+/**
+ * GET /churches?cursor=&limit=
+ * Fetches a page of churches/groups, newest first (Required for ChurchesViewModel).
+ */
+app.get('/churches', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const { docs, nextCursor } = await paginate(db.collection('churches'), [['createdAt', 'desc']], { cursor, limit });
+        const churches = docs
+            .filter(doc => !doc.data().hidden)
+            .map(doc => formatChurch(doc, req.user.uid));
+        res.status(200).json({ success: true, churches, nextCursor });
+    } catch (error) {
+        console.error("Error fetching churches:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /churches
+ * Creates a new church/group.
+ */
+app.post('/churches', authenticate, validate({
+    body: {
+        name: schema.string({ required: true, max: MAX_CHURCH_NAME_LENGTH }),
+        description: schema.string({ max: MAX_CHURCH_DESCRIPTION_LENGTH, nullable: true }),
+        country: schema.string({ max: MAX_COUNTRY_LENGTH, nullable: true })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { name, description, country } = req.body;
+    try {
+        // Default the church's country to its creator's, so search can filter by country
+        const creatorDoc = await db.collection('users').doc(req.user.uid).get();
+        const newChurch = {
+            name,
+            description: description || '',
+            country: country || (creatorDoc.data() || {}).country || null,
+            createdBy: req.user.uid,
+            admins: [req.user.uid],
+            members: [req.user.uid],
+            followerCount: 1,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        const churchRef = await db.collection('churches').add(newChurch);
+        await syncSearchIndex('church', churchRef.id, newChurch);
+        await db.collection('users').doc(req.user.uid).set({
+            churches: admin.firestore.FieldValue.arrayUnion(churchRef.id)
+        }, { merge: true });
+        res.status(201).json({ success: true, message: 'Church created.', churchId: churchRef.id });
+    } catch (error) {
+        console.error("Error creating church:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /churches/:churchId
+ * Fetches a single church with the caller's role in it.
+ */
+app.get('/churches/:churchId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId } = req.params;
+    try {
+        const churchDoc = await db.collection('churches').doc(churchId).get();
+        if (!churchDoc.exists || isChurchHiddenFrom(churchDoc.data(), req.user)) {
+            return res.status(404).json({ success: false, message: 'Church not found.' });
+        }
+        res.status(200).json({ success: true, church: formatChurch(churchDoc, req.user.uid) });
+    } catch (error) {
+        console.error("Error fetching church:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * PUT /churches/:churchId
+ * Updates a church's name and/or description. Church owner and admins only.
+ */
+app.put('/churches/:churchId', authenticate, validate({
+    body: {
+        name: schema.string({ min: 1, max: MAX_CHURCH_NAME_LENGTH }),
+        description: schema.string({ max: MAX_CHURCH_DESCRIPTION_LENGTH, nullable: true }),
+        country: schema.string({ max: MAX_COUNTRY_LENGTH, nullable: true })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId } = req.params;
+    const { name, description, country } = req.body;
+    try {
+        const { churchRef } = await getChurchForAdmin(churchId, req.user.uid);
+        await churchRef.update({
+            ...(name !== undefined && { name }),
+            ...(description !== undefined && { description: description || '' }),
+            ...(country !== undefined && { country: country || null })
+        });
+        const updatedDoc = await churchRef.get();
+        await syncSearchIndex('church', churchId, updatedDoc.data());
+        res.status(200).json({ success: true, message: 'Church updated.' });
+    } catch (error) {
+        console.error("Error updating church:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * Deletes a church with its events, removing it from every member's `churches` list
+ * and from search. Posts and media attached to the church stay with their authors and
+ * uploaders, unlinked from it.
+ */
+async function deleteChurch(churchDoc) {
+    const memberIds = churchDoc.data().members || [];
+    await commitInBatches(memberIds, (batch, memberId) => {
+        batch.set(db.collection('users').doc(memberId), {
+            churches: admin.firestore.FieldValue.arrayRemove(churchDoc.id)
+        }, { merge: true });
+    });
+    const [postsSnapshot, mediaSnapshot] = await Promise.all([
+        db.collection('posts').where('churchId', '==', churchDoc.id).get(),
+        db.collection('media').where('churchId', '==', churchDoc.id).get()
+    ]);
+    await commitInBatches([...postsSnapshot.docs, ...mediaSnapshot.docs], (batch, doc) => {
+        batch.update(doc.ref, { churchId: null });
+    });
+    await db.recursiveDelete(churchDoc.ref);
+    await syncSearchIndex('church', churchDoc.id, null);
+}
+
+/**
+ * DELETE /churches/:churchId
+ * Deletes a church and its events, and removes it from every member's `churches` list.
+ * Church owner only.
+ */
+app.delete('/churches/:churchId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId } = req.params;
+    try {
+        const churchRef = db.collection('churches').doc(churchId);
+        const churchDoc = await churchRef.get();
+        if (!churchDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Church not found.' });
+        }
+        if (churchRole(churchDoc.data(), req.user.uid) !== 'owner') {
+            return res.status(403).json({ success: false, message: 'Forbidden: Only the church owner can delete it.' });
+        }
+
+        await deleteChurch(churchDoc);
+
+        res.status(200).json({ success: true, message: 'Church deleted.' });
+    } catch (error) {
+        console.error("Error deleting church:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /churches/:churchId/members?cursor=&limit=
+ * Lists a church's members with their roles.
+ */
+app.get('/churches/:churchId/members', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId } = req.params;
+    const { cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const churchDoc = await db.collection('churches').doc(churchId).get();
+        if (!churchDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Church not found.' });
+        }
+        const churchData = churchDoc.data();
+
+        // Members live in an array on the church document, so the cursor is an offset into it
+        const [offset] = cursor ? decodeCursor(cursor) : [0];
+        if (!Number.isInteger(offset) || offset < 0) throw httpError(400, 'Invalid cursor.');
+        const memberIds = (churchData.members || []).slice(offset, offset + limit);
+        const summaries = await fetchUserSummaries(memberIds);
+
+        const members = memberIds.map(memberId => ({
+            ...(summaries[memberId] || { id: memberId, name: null, photoUrl: null }),
+            role: churchRole(churchData, memberId)
+        }));
+        const nextOffset = offset + memberIds.length;
+        const nextCursor = nextOffset < (churchData.members || []).length ? encodeCursor([nextOffset]) : null;
+
+        res.status(200).json({ success: true, members, nextCursor });
+    } catch (error) {
+        console.error("Error fetching church members:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /churches/:churchId/admins/:userId
+ * Promotes a church member to admin. Church owner and admins only.
+ */
+app.post('/churches/:churchId/admins/:userId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId, userId } = req.params;
+    try {
+        const { churchRef, churchDoc } = await getChurchForAdmin(churchId, req.user.uid);
+        if (churchRole(churchDoc.data(), userId) !== 'member') {
+            return res.status(400).json({ success: false, message: 'Only regular members can be promoted to admin.' });
+        }
+        await churchRef.update({ admins: admin.firestore.FieldValue.arrayUnion(userId) });
+        res.status(200).json({ success: true, message: 'Member promoted to admin.' });
+    } catch (error) {
+        console.error("Error promoting church admin:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /churches/:churchId/admins/:userId
+ * Demotes a church admin to a regular member. Church owner and admins only; the owner can't be demoted.
+ */
+app.delete('/churches/:churchId/admins/:userId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId, userId } = req.params;
+    try {
+        const { churchRef, churchDoc } = await getChurchForAdmin(churchId, req.user.uid);
+        const role = churchRole(churchDoc.data(), userId);
+        if (role === 'owner') {
+            return res.status(400).json({ success: false, message: 'The church owner cannot be demoted.' });
+        }
+        if (role !== 'admin') {
+            return res.status(404).json({ success: false, message: 'User is not an admin of this church.' });
+        }
+        await churchRef.update({ admins: admin.firestore.FieldValue.arrayRemove(userId) });
+        res.status(200).json({ success: true, message: 'Admin demoted to member.' });
+    } catch (error) {
+        console.error("Error demoting church admin:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /churches/:churchId/members/:userId
+ * Removes a member from a church. Admins can remove members; only the owner can remove admins.
+ */
+app.delete('/churches/:churchId/members/:userId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId, userId } = req.params;
+    try {
+        await removeChurchMember(churchId, userId, req.user.uid);
+        res.status(200).json({ success: true, message: 'Member removed.' });
+    } catch (error) {
+        console.error("Error removing church member:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /churches/:churchId/follow
+ * Allows a user to follow/join a church (Required for ChurchesViewModel).
+ */
+app.post('/churches/:churchId/follow', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId } = req.params;
+    try {
+        const churchRef = db.collection('churches').doc(churchId);
+        await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(churchRef);
+            if (!doc.exists) throw httpError(404, "Church not found.");
+            
+            const currentMembers = doc.data().members || [];
+            if (currentMembers.includes(req.user.uid)) {
+                // Already a member, do nothing
+                return Promise.resolve({ success: true, message: 'Already joined.' });
+            }
+
+            // Atomically update members array and follower count
+            transaction.update(churchRef, {
+                members: admin.firestore.FieldValue.arrayUnion(req.user.uid),
+                followerCount: admin.firestore.FieldValue.increment(1)
+            });
+        });
+
+        // Also update the user's profile to track which churches they follow
+        const userRef = db.collection('users').doc(req.user.uid);
+        await userRef.update({
+             churches: admin.firestore.FieldValue.arrayUnion(churchId)
+        });
+
+        res.status(200).json({ success: true, message: 'Successfully followed church.' });
+    } catch (error) {
+        console.error("Error following church:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /churches/:churchId/follow
+ * Leaves (unfollows) a church. The owner cannot leave their own church.
+ */
+app.delete('/churches/:churchId/follow', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId } = req.params;
+    try {
+        await removeChurchMember(churchId, req.user.uid, req.user.uid);
+        res.status(200).json({ success: true, message: 'Successfully left church.' });
+    } catch (error) {
+        console.error("Error leaving church:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// -------------------------------------------------------------------------
+// CHURCH EVENTS, RSVP & CALENDAR ROUTES
+// -------------------------------------------------------------------------
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MAX_RECURRENCE_COUNT = 520;
+const DEFAULT_EVENT_DURATION_MS = 60 * 60 * 1000;
+// Open-ended recurring series are stored with this end date so range queries still match them
+const OPEN_ENDED_SERIES_END = new Date('9999-12-31T23:59:59Z');
+const RSVP_STATUSES = { going: 'going', interested: 'interested', not_going: 'notGoing' };
+const DEFAULT_REMINDER_MINUTES = 60;
+const MAX_REMINDER_MINUTES = 7 * 24 * 60;
+// The reminders cron reads events in pages and checks this many events' RSVPs at a time
+const REMINDER_EVENTS_PAGE_SIZE = 100;
+const REMINDER_RSVP_CONCURRENCY = 10;
+const MAX_EVENT_TITLE_LENGTH = 200;
+const MAX_EVENT_DETAILS_LENGTH = 5000;
+const MAX_EVENT_LOCATION_LENGTH = 200;
+
+// Event body fields for create and update; validateEventInput() checks which are required
+// and how the dates relate
+const EVENT_FIELDS = {
+    title: schema.string({ min: 1, max: MAX_EVENT_TITLE_LENGTH }),
+    details: schema.string({ min: 1, max: MAX_EVENT_DETAILS_LENGTH }),
+    location: schema.string({ max: MAX_EVENT_LOCATION_LENGTH, nullable: true }),
+    eventDate: schema.date(),
+    endDate: schema.date({ nullable: true }),
+    recurrence: schema.object({
+        frequency: schema.string({ required: true, oneOf: RECURRENCE_FREQUENCIES }),
+        interval: schema.integer({ min: 1, max: 12 }),
+        until: schema.date(),
+        count: schema.integer({ min: 1, max: MAX_RECURRENCE_COUNT })
+    }, { nullable: true })
+};
+
+/**
+ * Parses a date string or millisecond timestamp. Returns null for missing or invalid input
+ * (unlike `new Date()`, which silently yields an Invalid Date).
+ */
+function parseDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Returns the start of the k-th occurrence (0-based) of an event series as a Date.
+ * `event` holds JS Dates: { eventDate, recurrence }.
+ */
+function occurrenceStart(event, k) {
+    const start = event.eventDate;
+    if (!event.recurrence || k === 0) return new Date(start.getTime());
+    const { frequency, interval } = event.recurrence;
+    if (frequency === 'monthly') {
+        // Clamp to the end of shorter months (Jan 31 -> Feb 28) instead of rolling over
+        const date = new Date(start.getTime());
+        date.setUTCDate(1);
+        date.setUTCMonth(date.getUTCMonth() + k * interval);
+        const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+        date.setUTCDate(Math.min(start.getUTCDate(), daysInMonth));
+        return date;
+    }
+    const dayMs = 24 * 60 * 60 * 1000;
+    const stepMs = (frequency === 'weekly' ? 7 : 1) * dayMs * interval;
+    return new Date(start.getTime() + k * stepMs);
+}
+
+/**
+ * True if the k-th occurrence exists, i.e. the series hasn't ended by count or `until`.
+ */
+function occurrenceExists(event, k) {
+    if (k < 0) return false;
+    if (!event.recurrence) return k === 0;
+    const { count, until } = event.recurrence;
+    if (count && k >= count) return false;
+    if (until && occurrenceStart(event, k) > until) return false;
+    return true;
+}
+
+/**
+ * Finds the first occurrence of an event that hasn't finished by `from`.
+ * Resolves to { start, end } Dates, or null when the series is over.
+ */
+function nextOccurrence(event, from) {
+    const durationMs = event.endDate ? event.endDate - event.eventDate : DEFAULT_EVENT_DURATION_MS;
+    let k = 0;
+    if (event.recurrence) {
+        // Jump just before `from` instead of walking the whole series, then step forward
+        const { frequency, interval } = event.recurrence;
+        const target = new Date(from.getTime() - durationMs);
+        let steps;
+        if (frequency === 'monthly') {
+            const months = (target.getUTCFullYear() - event.eventDate.getUTCFullYear()) * 12
+                + (target.getUTCMonth() - event.eventDate.getUTCMonth());
+            steps = Math.floor(months / interval);
+        } else {
+            const stepMs = (frequency === 'weekly' ? 7 : 1) * 24 * 60 * 60 * 1000 * interval;
+            steps = Math.floor((target - event.eventDate) / stepMs);
+        }
+        k = Math.max(0, steps - 1);
+    }
+    for (; occurrenceExists(event, k); k++) {
+        const start = occurrenceStart(event, k);
+        const end = new Date(start.getTime() + durationMs);
+        if (end >= from) return { start, end };
+        if (!event.recurrence) break;
+    }
+    return null;
+}
+
+/**
+ * Computes the end of the last occurrence of a series, used for upcoming/past range queries.
+ */
+function seriesEndDate(event) {
+    const durationMs = event.endDate ? event.endDate - event.eventDate : DEFAULT_EVENT_DURATION_MS;
+    if (!event.recurrence) return new Date(event.eventDate.getTime() + durationMs);
+    const { count, until } = event.recurrence;
+    if (count) return new Date(occurrenceStart(event, count - 1).getTime() + durationMs);
+    if (until) return new Date(until.getTime() + durationMs);
+    return OPEN_ENDED_SERIES_END;
+}
+
+/**
+ * Finds the start of the first occurrence that begins at or after `from`, skipping one
+ * already under way. Returns null when the series has no such occurrence.
+ */
+function nextStartAfter(event, from) {
+    let occurrence = nextOccurrence(event, from);
+    while (occurrence && occurrence.start < from) {
+        occurrence = nextOccurrence(event, new Date(occurrence.end.getTime() + 1));
+    }
+    return occurrence ? occurrence.start : null;
+}
+
+/**
+ * Applies the event rules EVENT_FIELDS can't express: which fields a new event needs and how
+ * its dates relate. With `partial`, only the provided fields are applied (for updates);
+ * `existing` supplies the stored values the update is merged with.
+ * Returns { errors, event }: `errors` for sendValidationError() and `event` with JS Dates.
+ */
+function validateEventInput(body, { partial = false, existing = {} } = {}) {
+    const errors = [];
+    const fail = (field, message) => errors.push({ location: 'body', field, message: `${field} ${message}` });
+    const has = field => body[field] !== undefined;
+    const event = { ...existing };
+
+    if (!partial) {
+        ['title', 'details', 'eventDate'].forEach(field => {
+            if (!has(field)) fail(field, 'is required.');
+        });
+    }
+    if (has('title')) event.title = body.title;
+    if (has('details')) event.details = body.details;
+    if (has('location')) event.location = body.location;
+    if (has('eventDate')) event.eventDate = parseDate(body.eventDate);
+    if (has('endDate')) event.endDate = parseDate(body.endDate);
+    if (event.eventDate && event.endDate && event.endDate <= event.eventDate) {
+        fail('endDate', 'must be after eventDate.');
+    }
+
+    if (has('recurrence')) {
+        const { recurrence } = body;
+        if (recurrence === null) {
+            event.recurrence = null;
+        } else {
+            const until = parseDate(recurrence.until);
+            const count = recurrence.count === undefined ? null : recurrence.count;
+            if (until && count !== null) fail('recurrence', 'can have either until or count, not both.');
+            if (until && event.eventDate && until < event.eventDate) fail('recurrence.until', 'must be after eventDate.');
+            event.recurrence = { frequency: recurrence.frequency, interval: recurrence.interval || 1, until, count };
+        }
+    }
+
+    event.location = event.location || null;
+    event.endDate = event.endDate || null;
+    event.recurrence = event.recurrence || null;
+    return { errors, event };
+}
+
+/**
+ * Converts a validated event (JS Dates) into Firestore fields. `nextStartAt` is the start of
+ * the next occurrence as of now; the reminders cron moves it on as occurrences begin.
+ */
+function eventToFirestore(event) {
+    const toTimestamp = date => (date ? admin.firestore.Timestamp.fromDate(date) : null);
+    return {
+        title: event.title,
+        details: event.details,
+        location: event.location,
+        eventDate: toTimestamp(event.eventDate),
+        endDate: toTimestamp(event.endDate),
+        recurrence: event.recurrence ? { ...event.recurrence, until: toTimestamp(event.recurrence.until) } : null,
+        seriesEndDate: toTimestamp(seriesEndDate(event)),
+        nextStartAt: toTimestamp(nextStartAfter(event, new Date()))
+    };
+}
+
+/**
+ * Converts a stored event document back into the JS-Date shape used by the recurrence helpers.
+ * Events created before validation existed may have stored an unparseable date; they yield null.
+ */
+function eventFromFirestore(data) {
+    const toDate = timestamp => (timestamp && timestamp.toDate ? timestamp.toDate() : null);
+    const eventDate = toDate(data.eventDate);
+    if (!eventDate || isNaN(eventDate.getTime())) return null;
+    return {
+        title: data.title,
+        details: data.details,
+        location: data.location || null,
+        eventDate,
+        endDate: toDate(data.endDate),
+        recurrence: data.recurrence ? { ...data.recurrence, until: toDate(data.recurrence.until) } : null
+    };
+}
+
+/**
+ * Formats an event document for the Android client. `occurrence` is the next (or current)
+ * occurrence, when known.
+ */
+function formatEvent(doc, occurrence) {
+    const data = doc.data();
+    const toClient = date => (date ? formatTimestamp(admin.firestore.Timestamp.fromDate(date)) : null);
+    return {
+        id: doc.id,
+        churchId: data.churchId || doc.ref.parent.parent.id,
+        title: data.title,
+        details: data.details,
+        location: data.location || null,
+        eventDate: formatTimestamp(data.eventDate),
+        endDate: formatTimestamp(data.endDate),
+        recurrence: data.recurrence ? { ...data.recurrence, until: formatTimestamp(data.recurrence.until) } : null,
+        nextOccurrence: occurrence ? { start: toClient(occurrence.start), end: toClient(occurrence.end) } : null,
+        attendeeCounts: { going: 0, interested: 0, notGoing: 0, ...(data.attendeeCounts || {}) },
+        postedBy: data.postedBy,
+        createdAt: formatTimestamp(data.createdAt)
+    };
+}
+
+/**
+ * Sorts active event documents by their next occurrence and returns one offset-paginated page.
+ */
+function pageUpcomingEvents(docs, now, { cursor, limit }) {
+    const upcoming = docs
+        .map(doc => {
+            const event = eventFromFirestore(doc.data());
+            return { doc, occurrence: event && nextOccurrence(event, now) };
+        })
+        .filter(({ occurrence }) => occurrence)
+        .sort((a, b) => a.occurrence.start - b.occurrence.start || compareFieldValues(a.doc.id, b.doc.id));
+
+    const [offset] = cursor ? decodeCursor(cursor) : [0];
+    if (!Number.isInteger(offset) || offset < 0) throw httpError(400, 'Invalid cursor.');
+    const page = upcoming.slice(offset, offset + limit);
+    const nextCursor = offset + page.length < upcoming.length ? encodeCursor([offset + page.length]) : null;
+    return { events: page.map(({ doc, occurrence }) => formatEvent(doc, occurrence)), nextCursor };
+}
+
+/**
+ * POST /churches/:churchId/events
+ * Creates a new event for a church to advertise. Church owner and admins only.
+ * Optional: `endDate`, `location`, and `recurrence` ({ frequency: daily|weekly|monthly,
+ * interval, until | count }) for repeating events such as weekly services.
+ */
+app.post('/churches/:churchId/events', authenticate, validate({ body: EVENT_FIELDS }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId } = req.params;
+    const { errors, event } = validateEventInput(req.body);
+    if (errors.length > 0) return sendValidationError(res, errors);
+    try {
+        const { churchRef, churchDoc } = await getChurchForAdmin(churchId, req.user.uid);
+        const eventRef = churchRef.collection('events');
+        const newEvent = await eventRef.add({
+            ...eventToFirestore(event),
+            churchId,
+            attendeeCounts: { going: 0, interested: 0, notGoing: 0 },
+            postedBy: req.user.uid,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        await fanOutNotification(churchDoc.data().members || [], {
+            type: 'church_event',
+            title: churchDoc.data().name,
+            body: `New event: ${event.title}`,
+            data: { churchId, eventId: newEvent.id },
+            actorId: req.user.uid
+        });
+        res.status(201).json({ success: true, message: 'Event created.', eventId: newEvent.id });
+    } catch (error) {
+        console.error("Error creating church event:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /churches/:churchId/events?when=upcoming|past&cursor=&limit=
+ * Lists a church's events. Upcoming events (default) are ordered by their next occurrence;
+ * past events (series that have fully ended) are ordered most recent first.
+ */
+app.get('/churches/:churchId/events', authenticate, validate({
+    query: {
+        when: schema.string({ oneOf: ['upcoming', 'past'] }),
+        ...PAGE_QUERY
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId } = req.params;
+    const { when = 'upcoming', cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const churchRef = db.collection('churches').doc(churchId);
+        const churchDoc = await churchRef.get();
+        if (!churchDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Church not found.' });
+        }
+
+        const now = new Date();
+        const nowTimestamp = admin.firestore.Timestamp.fromDate(now);
+        if (when === 'past') {
+            const query = churchRef.collection('events').where('seriesEndDate', '<', nowTimestamp);
+            const { docs, nextCursor } = await paginate(query, [['seriesEndDate', 'desc']], { cursor, limit });
+            return res.status(200).json({ success: true, events: docs.map(doc => formatEvent(doc, null)), nextCursor });
+        }
+
+        const snapshot = await churchRef.collection('events').where('seriesEndDate', '>=', nowTimestamp).get();
+        const { events, nextCursor } = pageUpcomingEvents(snapshot.docs, now, { cursor, limit });
+        res.status(200).json({ success: true, events, nextCursor });
+    } catch (error) {
+        console.error("Error fetching church events:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /events/upcoming?cursor=&limit=
+ * Lists upcoming events from all the churches the caller has joined, soonest first.
+ */
+app.get('/events/upcoming', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const userDoc = await db.collection('users').doc(req.user.uid).get();
+        const churchIds = (userDoc.data() || {}).churches || [];
+
+        const now = new Date();
+        const nowTimestamp = admin.firestore.Timestamp.fromDate(now);
+        const snapshots = await Promise.all(chunk(churchIds, FIRESTORE_IN_LIMIT).map(ids => (
+            db.collectionGroup('events')
+                .where('churchId', 'in', ids)
+                .where('seriesEndDate', '>=', nowTimestamp)
+                .get()
+        )));
+        const docs = snapshots.flatMap(snapshot => snapshot.docs);
+
+        const { events, nextCursor } = pageUpcomingEvents(docs, now, { cursor, limit });
+        res.status(200).json({ success: true, events, nextCursor });
+    } catch (error) {
+        console.error("Error fetching upcoming events:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /churches/:churchId/events/:eventId
+ * Fetches a single event with its next occurrence and the caller's RSVP.
+ */
+app.get('/churches/:churchId/events/:eventId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId, eventId } = req.params;
+    try {
+        const eventRef = db.collection('churches').doc(churchId).collection('events').doc(eventId);
+        const [eventDoc, rsvpDoc] = await db.getAll(eventRef, eventRef.collection('rsvps').doc(req.user.uid));
+        if (!eventDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Event not found.' });
+        }
+        const event = eventFromFirestore(eventDoc.data());
+        res.status(200).json({
+            success: true,
+            event: {
+                ...formatEvent(eventDoc, event && nextOccurrence(event, new Date())),
+                myRsvp: rsvpDoc.exists ? rsvpDoc.data().status : null
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching church event:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * PUT /churches/:churchId/events/:eventId
+ * Updates an event. Church owner and admins only.
+ */
+app.put('/churches/:churchId/events/:eventId', authenticate, validate({ body: EVENT_FIELDS }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId, eventId } = req.params;
+    try {
+        const { churchRef } = await getChurchForAdmin(churchId, req.user.uid);
+        const eventRef = churchRef.collection('events').doc(eventId);
+        const eventDoc = await eventRef.get();
+        if (!eventDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Event not found.' });
+        }
+
+        const existing = eventFromFirestore(eventDoc.data());
+        if (!existing) {
+            return res.status(409).json({ success: false, message: 'This event has an invalid stored date; delete it and create it again.' });
+        }
+        const { errors, event } = validateEventInput(req.body, { partial: true, existing });
+        if (errors.length > 0) return sendValidationError(res, errors);
+        await eventRef.update({
+            ...eventToFirestore(event),
+            churchId,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        res.status(200).json({ success: true, message: 'Event updated.' });
+    } catch (error) {
+        console.error("Error updating church event:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /churches/:churchId/events/:eventId
+ * Deletes an event and its RSVPs. Church owner and admins only.
+ */
+app.delete('/churches/:churchId/events/:eventId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId, eventId } = req.params;
+    try {
+        const { churchRef } = await getChurchForAdmin(churchId, req.user.uid);
+        const eventRef = churchRef.collection('events').doc(eventId);
+        const eventDoc = await eventRef.get();
+        if (!eventDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Event not found.' });
+        }
+        await db.recursiveDelete(eventRef);
+        res.status(200).json({ success: true, message: 'Event deleted.' });
+    } catch (error) {
+        console.error("Error deleting church event:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * Sets (or with a null status, removes) the user's RSVP for an event, keeping
+ * `attendeeCounts` in step. Resolves to the updated counts.
+ */
+async function setEventRsvp(eventRef, userId, status, reminderMinutesBefore) {
+    const rsvpRef = eventRef.collection('rsvps').doc(userId);
+    return db.runTransaction(async (transaction) => {
+        const [eventDoc, rsvpDoc] = await transaction.getAll(eventRef, rsvpRef);
+        if (!eventDoc.exists) throw httpError(404, 'Event not found.');
+
+        const counts = { going: 0, interested: 0, notGoing: 0, ...(eventDoc.data().attendeeCounts || {}) };
+        const previous = rsvpDoc.exists ? rsvpDoc.data().status : null;
+        const updates = {};
+        if (previous && previous !== status) {
+            updates[`attendeeCounts.${RSVP_STATUSES[previous]}`] = admin.firestore.FieldValue.increment(-1);
+            counts[RSVP_STATUSES[previous]] = Math.max(0, counts[RSVP_STATUSES[previous]] - 1);
+        }
+        if (status && previous !== status) {
+            updates[`attendeeCounts.${RSVP_STATUSES[status]}`] = admin.firestore.FieldValue.increment(1);
+            counts[RSVP_STATUSES[status]] += 1;
+        }
+
+        if (status) {
+            transaction.set(rsvpRef, {
+                userId,
+                status,
+                reminderMinutesBefore: status === 'not_going' ? null : reminderMinutesBefore,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            }, { merge: true });
+        } else if (rsvpDoc.exists) {
+            transaction.delete(rsvpRef);
+        }
+        if (Object.keys(updates).length > 0) transaction.update(eventRef, updates);
+        return counts;
+    });
+}
+
+/**
+ * POST /churches/:churchId/events/:eventId/rsvp
+ * RSVPs to an event with `status` going, interested or not_going. Going/interested RSVPs get a
+ * reminder `reminderMinutesBefore` each occurrence (default 60; null for no reminder).
+ */
+app.post('/churches/:churchId/events/:eventId/rsvp', authenticate, validate({
+    body: {
+        status: schema.string({ required: true, oneOf: Object.keys(RSVP_STATUSES) }),
+        reminderMinutesBefore: schema.integer({ min: 0, max: MAX_REMINDER_MINUTES, nullable: true })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId, eventId } = req.params;
+    const { status } = req.body;
+    const reminderMinutesBefore = req.body.reminderMinutesBefore === undefined
+        ? DEFAULT_REMINDER_MINUTES
+        : req.body.reminderMinutesBefore;
+    try {
+        const eventRef = db.collection('churches').doc(churchId).collection('events').doc(eventId);
+        const attendeeCounts = await setEventRsvp(eventRef, req.user.uid, status, reminderMinutesBefore);
+        res.status(200).json({ success: true, message: 'RSVP saved.', myRsvp: status, attendeeCounts });
+    } catch (error) {
+        console.error("Error saving RSVP:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /churches/:churchId/events/:eventId/rsvp
+ * Withdraws the caller's RSVP.
+ */
+app.delete('/churches/:churchId/events/:eventId/rsvp', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId, eventId } = req.params;
+    try {
+        const eventRef = db.collection('churches').doc(churchId).collection('events').doc(eventId);
+        const attendeeCounts = await setEventRsvp(eventRef, req.user.uid, null, null);
+        res.status(200).json({ success: true, message: 'RSVP removed.', myRsvp: null, attendeeCounts });
+    } catch (error) {
+        console.error("Error removing RSVP:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /churches/:churchId/events/:eventId/attendees?status=going&cursor=&limit=
+ * Lists the users who RSVP'd to an event with the given status (default going).
+ */
+app.get('/churches/:churchId/events/:eventId/attendees', authenticate, validate({
+    query: {
+        status: schema.string({ oneOf: Object.keys(RSVP_STATUSES) }),
+        ...PAGE_QUERY
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { churchId, eventId } = req.params;
+    const { status = 'going', cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const eventRef = db.collection('churches').doc(churchId).collection('events').doc(eventId);
+        const eventDoc = await eventRef.get();
+        if (!eventDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Event not found.' });
+        }
+        const query = eventRef.collection('rsvps').where('status', '==', status);
+        const { docs, nextCursor } = await paginate(query, [['updatedAt', 'desc']], { cursor, limit });
+        const summaries = await fetchUserSummaries(docs.map(doc => doc.id));
+        const attendees = docs.map(doc => summaries[doc.id] || { id: doc.id, name: null, photoUrl: null });
+        res.status(200).json({ success: true, attendees, nextCursor });
+    } catch (error) {
+        console.error("Error fetching event attendees:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * Escapes a text value for an iCalendar property (RFC 5545 §3.3.11).
+ */
+function escapeIcsText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds an iCalendar content line to 75 octets per line (RFC 5545 §3.1).
+ */
+function foldIcsLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Formats a Date as an iCalendar UTC date-time, e.g. 20250105T090000Z.
+ */
+function formatIcsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Builds the VEVENT lines for an event document, with an RRULE for recurring series.
+ */
+function buildIcsEvent(doc, stampDate) {
+    const event = eventFromFirestore(doc.data());
+    if (!event) return [];
+    const durationMs = event.endDate ? event.endDate - event.eventDate : DEFAULT_EVENT_DURATION_MS;
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${doc.id}@lonyichat`,
+        `DTSTAMP:${formatIcsDate(stampDate)}`,
+        `DTSTART:${formatIcsDate(event.eventDate)}`,
+        `DTEND:${formatIcsDate(new Date(event.eventDate.getTime() + durationMs))}`,
+        `SUMMARY:${escapeIcsText(event.title)}`,
+        `DESCRIPTION:${escapeIcsText(event.details)}`
+    ];
+    if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+    if (event.recurrence) {
+        const { frequency, interval, count, until } = event.recurrence;
+        let rule = `RRULE:FREQ=${frequency.toUpperCase()};INTERVAL=${interval}`;
+        const day = event.eventDate.getUTCDate();
+        if (frequency === 'monthly' && day > 28) {
+            // Same clamping as occurrenceStart: the last existing day up to `day` in each month
+            const days = Array.from({ length: day - 27 }, (_, i) => 28 + i);
+            rule += `;BYMONTHDAY=${days.join(',')};BYSETPOS=-1`;
+        }
+        if (count) rule += `;COUNT=${count}`;
+        if (until) rule += `;UNTIL=${formatIcsDate(until)}`;
+        lines.push(rule);
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * GET /churches/:churchId/calendar.ics
+ * Public iCalendar feed of a church's events that members can subscribe to from calendar apps.
+ */
+app.get('/churches/:churchId/calendar.ics', validate(), async (req, res) => {
+    // This endpoint is public so calendar apps can poll it without a Firebase token
+    if (!checkDbConnection(res)) return;
+    const { churchId } = req.params;
+    try {
+        const churchRef = db.collection('churches').doc(churchId);
+        const churchDoc = await churchRef.get();
+        // Calendar apps poll anonymously, so a hidden church's feed is gone for everyone
+        if (!churchDoc.exists || isChurchHiddenFrom(churchDoc.data(), null)) {
+            return res.status(404).json({ success: false, message: 'Church not found.' });
+        }
+        const churchName = churchDoc.data().name;
+        const eventsSnapshot = await churchRef.collection('events').get();
+
+        const stampDate = new Date();
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//LonyiChat//Church Events//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeIcsText(churchName)}`,
+            ...eventsSnapshot.docs.flatMap(doc => buildIcsEvent(doc, stampDate)),
+            'END:VCALENDAR'
+        ];
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `inline; filename="${churchId}.ics"`);
+        res.status(200).send(lines.map(foldIcsLine).join('\r\n') + '\r\n');
+    } catch (error) {
+        console.error("Error building church calendar:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * Moves an event's `nextStartAt` on to its next occurrence once the stored one has begun
+ * (or to null when the series is over). Re-read in a transaction so a concurrent edit of
+ * the event wins. Resolves to the new start, or null.
+ */
+async function advanceEventStart(eventRef, now) {
+    return db.runTransaction(async (transaction) => {
+        const eventDoc = await transaction.get(eventRef);
+        if (!eventDoc.exists) return null;
+        const event = eventFromFirestore(eventDoc.data());
+        const start = event && nextStartAfter(event, now);
+        transaction.update(eventRef, { nextStartAt: start ? admin.firestore.Timestamp.fromDate(start) : null });
+        return start;
+    });
+}
+
+/**
+ * Sends the reminders that are due for an event's next occurrence. Resolves to the number sent.
+ */
+async function sendEventReminders(eventDoc, now, horizon) {
+    const stored = eventDoc.data().nextStartAt.toDate();
+    const start = stored < now ? await advanceEventStart(eventDoc.ref, now) : stored;
+    if (!start || start > horizon) return 0;
+
+    const startMillis = start.getTime();
+    const rsvpsSnapshot = await eventDoc.ref.collection('rsvps')
+        .where('status', 'in', ['going', 'interested'])
+        .get();
+    const due = rsvpsSnapshot.docs.filter(rsvpDoc => {
+        const { reminderMinutesBefore, remindedFor } = rsvpDoc.data();
+        if (reminderMinutesBefore === null || reminderMinutesBefore === undefined) return false;
+        if (remindedFor === startMillis) return false;
+        return now.getTime() >= startMillis - reminderMinutesBefore * 60 * 1000;
+    });
+
+    // Mark the RSVPs first so an overlapping run can't remind anyone twice
+    await commitInBatches(due, (batch, rsvpDoc) => {
+        batch.update(rsvpDoc.ref, { remindedFor: startMillis });
+    });
+    await notifyUsers(due.map(rsvpDoc => rsvpDoc.id), {
+        type: 'event_reminder',
+        title: eventDoc.data().title,
+        body: `Starts at ${start.toISOString()}`,
+        data: { churchId: eventDoc.data().churchId, eventId: eventDoc.id }
+    });
+    return due.length;
+}
+
+/**
+ * GET /cron/events/reminders
+ * Scheduled job (see `crons` in vercel.json) that writes a reminder notification for each
+ * going/interested RSVP whose reminder time has arrived. Each occurrence is reminded once.
+ * Only events whose `nextStartAt` falls within the longest reminder lead time are read.
+ */
+app.get('/cron/events/reminders', authenticateCron, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const now = new Date();
+        const horizon = new Date(now.getTime() + MAX_REMINDER_MINUTES * 60 * 1000);
+        const baseQuery = db.collectionGroup('events')
+            .where('nextStartAt', '<=', admin.firestore.Timestamp.fromDate(horizon))
+            .orderBy('nextStartAt')
+            .limit(REMINDER_EVENTS_PAGE_SIZE);
+
+        let reminderCount = 0;
+        let lastDoc = null;
+        do {
+            const page = await (lastDoc ? baseQuery.startAfter(lastDoc) : baseQuery).get();
+            for (let i = 0; i < page.docs.length; i += REMINDER_RSVP_CONCURRENCY) {
+                const counts = await Promise.all(page.docs
+                    .slice(i, i + REMINDER_RSVP_CONCURRENCY)
+                    .map(eventDoc => sendEventReminders(eventDoc, now, horizon)));
+                reminderCount += counts.reduce((sum, count) => sum + count, 0);
+            }
+            lastDoc = page.docs.length === REMINDER_EVENTS_PAGE_SIZE ? page.docs[page.docs.length - 1] : null;
+        } while (lastDoc);
+
+        console.log(`[Backend Log] Sent ${reminderCount} event reminders.`);
+        res.status(200).json({ success: true, reminderCount });
+    } catch (error) {
+        console.error("Error sending event reminders:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// -------------------------------------------------------------------------
+// MEDIA ROUTES (VIDEOS, LIVESTREAMS, TESTIMONIES)
+// -------------------------------------------------------------------------
+
+const MEDIA_TYPES = ['video', 'livestream', 'testimony'];
+const LIVESTREAM_STATUSES = ['scheduled', 'live', 'ended'];
+const MAX_MEDIA_TITLE_LENGTH = 200;
+const MAX_MEDIA_DESCRIPTION_LENGTH = 5000;
+
+/**
+ * Formats a media document for the Android client. Livestreams also report their
+ * scheduled/live/ended status. `liked` is whether the caller liked the item.
+ */
+function formatMedia(doc, liked = false) {
+    const data = doc.data();
+    const media = {
+        id: doc.id,
+        title: data.title,
+        description: data.description,
+        url: data.url,
+        mediaType: data.mediaType,
+        uploaderId: data.uploaderId,
+        churchId: data.churchId || null,
+        viewCount: data.viewCount || 0,
+        likeCount: data.likeCount || 0,
+        liked,
+        createdAt: formatTimestamp(data.createdAt)
+    };
+    if (data.mediaType === 'livestream') {
+        // Livestreams created before statuses existed are treated as already live
+        media.liveStatus = data.liveStatus || 'live';
+        media.scheduledStartAt = formatTimestamp(data.scheduledStartAt);
+        media.startedAt = formatTimestamp(data.startedAt);
+        media.endedAt = formatTimestamp(data.endedAt);
+    }
+    return media;
+}
+
+/**
+ * Resolves to the set of media IDs, among `mediaDocs`, that the user has liked.
+ */
+async function fetchLikedMediaIds(mediaDocs, userId) {
+    if (mediaDocs.length === 0) return new Set();
+    const likeDocs = await db.getAll(...mediaDocs.map(doc => doc.ref.collection('likes').doc(userId)));
+    return new Set(mediaDocs.filter((doc, index) => likeDocs[index].exists).map(doc => doc.id));
+}
+
+/**
+ * Media can be managed by its uploader and, when attached to a church, by that church's admins.
+ */
+function canManageMedia(mediaData, churchData, userId) {
+    return mediaData.uploaderId === userId || Boolean(churchData && isChurchAdmin(churchData, userId));
+}
+
+/**
+ * Loads a visible media item. Hidden items are only visible to their uploader and moderators.
+ * Throws a 404 httpError otherwise.
+ */
+async function getVisibleMedia(mediaId, user) {
+    const mediaDoc = await db.collection('media').doc(mediaId).get();
+    if (!mediaDoc.exists || (mediaDoc.data().hidden && mediaDoc.data().uploaderId !== user.uid && !isModerator(user))) {
+        throw httpError(404, 'Media not found.');
+    }
+    return mediaDoc;
+}
+
+/**
+ * Writes a media item from already-validated fields and adds it to search.
+ * `uploaderId` is null for items published without attribution (anonymous testimonies).
+ * Resolves to the new document's reference.
+ */
+async function createMediaItem(uploaderId, { title, description, url, mediaType, churchId, scheduledStart }) {
+    const uploaderDoc = uploaderId ? await db.collection('users').doc(uploaderId).get() : null;
+    const newMedia = {
+        title,
+        description: description || '',
+        url,
+        mediaType,
+        uploaderId,
+        churchId: churchId || null,
+        country: ((uploaderDoc && uploaderDoc.data()) || {}).country || null,
+        viewCount: 0,
+        likeCount: 0,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (mediaType === 'livestream') {
+        Object.assign(newMedia, {
+            liveStatus: 'scheduled',
+            scheduledStartAt: scheduledStart ? admin.firestore.Timestamp.fromDate(scheduledStart) : null,
+            startedAt: null,
+            endedAt: null
+        });
+    }
+    const mediaRef = await db.collection('media').add(newMedia);
+    await syncSearchIndex('media', mediaRef.id, newMedia);
+    return mediaRef;
+}
+
+/**
+ * GET /media?mediaType=&uploaderId=&churchId=&liveStatus=&cursor=&limit=
+ * Fetches a page of media items, newest first (Required for MediaViewModel).
+ * Filter by type, uploader or church; `liveStatus` (scheduled | live | ended) implies livestreams.
+ */
+app.get('/media', authenticate, validate({
+    query: {
+        mediaType: schema.string({ oneOf: MEDIA_TYPES }),
+        uploaderId: schema.id(),
+        churchId: schema.id(),
+        liveStatus: schema.string({ oneOf: LIVESTREAM_STATUSES }),
+        ...PAGE_QUERY
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { mediaType, uploaderId, churchId, liveStatus, cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit, 10);
+        let query = db.collection('media');
+        if (mediaType) query = query.where('mediaType', '==', mediaType);
+        if (uploaderId) query = query.where('uploaderId', '==', uploaderId);
+        if (churchId) query = query.where('churchId', '==', churchId);
+        if (liveStatus) query = query.where('liveStatus', '==', liveStatus);
+        const { docs, nextCursor } = await paginate(query, [['createdAt', 'desc']], { cursor, limit });
+        const visibleDocs = docs.filter(doc => !doc.data().hidden);
+        const likedIds = await fetchLikedMediaIds(visibleDocs, req.user.uid);
+        const media = visibleDocs.map(doc => formatMedia(doc, likedIds.has(doc.id)));
+        res.status(200).json({ success: true, media, nextCursor });
+    } catch (error) {
+        console.error("Error fetching media:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /media/:mediaId
+ * Fetches a single media item.
+ */
+app.get('/media/:mediaId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const mediaDoc = await getVisibleMedia(req.params.mediaId, req.user);
+        const likedIds = await fetchLikedMediaIds([mediaDoc], req.user.uid);
+        res.status(200).json({ success: true, media: formatMedia(mediaDoc, likedIds.has(mediaDoc.id)) });
+    } catch (error) {
+        console.error("Error fetching media item:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /media
+ * Uploads metadata for a video, testimony, or livestream.
+ * Body: { title, description?, url, mediaType, churchId?, scheduledStartAt? }
+ * `churchId` attaches the item to a church the uploader belongs to. Livestreams start out
+ * `scheduled` (optionally for `scheduledStartAt`) until they are started.
+ */
+app.post('/media', authenticate, validate({
+    body: {
+        title: schema.string({ required: true, max: MAX_MEDIA_TITLE_LENGTH }),
+        description: schema.string({ max: MAX_MEDIA_DESCRIPTION_LENGTH }),
+        url: schema.url({ required: true }),
+        mediaType: schema.string({ required: true, oneOf: MEDIA_TYPES }),
+        churchId: schema.id(),
+        scheduledStartAt: schema.date()
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { title, description, url, mediaType, churchId, scheduledStartAt } = req.body;
+    if (scheduledStartAt && mediaType !== 'livestream') {
+        return sendValidationError(res, [{ location: 'body', field: 'scheduledStartAt', message: 'scheduledStartAt is only allowed for livestreams.' }]);
+    }
+    const scheduledStart = scheduledStartAt ? new Date(scheduledStartAt) : null;
+    try {
+        if (churchId) {
+            const churchDoc = await db.collection('churches').doc(churchId).get();
+            if (!churchDoc.exists) {
+                return res.status(404).json({ success: false, message: 'Church not found.' });
+            }
+            if (!churchRole(churchDoc.data(), req.user.uid)) {
+                return res.status(403).json({ success: false, message: 'Forbidden: Only church members can add media to a church.' });
+            }
+        }
+        const mediaRef = await createMediaItem(req.user.uid, { title, description, url, mediaType, churchId, scheduledStart });
+        res.status(201).json({ success: true, message: 'Media created.', mediaId: mediaRef.id });
+    } catch (error) {
+        console.error("Error creating media item:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * Moves a livestream to `nextStatus` if it's currently in `fromStatus`, recording when it
+ * happened in `timestampField`. Only the uploader or the church's admins may do this.
+ * Resolves to the media data before the change.
+ */
+async function transitionLivestream(mediaId, userId, fromStatus, nextStatus, timestampField) {
+    const mediaRef = db.collection('media').doc(mediaId);
+    return db.runTransaction(async (transaction) => {
+        const mediaDoc = await transaction.get(mediaRef);
+        if (!mediaDoc.exists) throw httpError(404, 'Media not found.');
+        const mediaData = mediaDoc.data();
+        if (mediaData.mediaType !== 'livestream') throw httpError(400, 'Only livestreams can be started or ended.');
+
+        const churchDoc = mediaData.churchId
+            ? await transaction.get(db.collection('churches').doc(mediaData.churchId))
+            : null;
+        if (!canManageMedia(mediaData, churchDoc && churchDoc.exists ? churchDoc.data() : null, userId)) {
+            throw httpError(403, 'Forbidden: Only the uploader or church admins can manage this livestream.');
+        }
+        const currentStatus = mediaData.liveStatus || 'live';
+        if (currentStatus !== fromStatus) {
+            throw httpError(409, `The livestream is ${currentStatus}.`);
+        }
+
+        transaction.update(mediaRef, {
+            liveStatus: nextStatus,
+            [timestampField]: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { ...mediaData, church: churchDoc && churchDoc.exists ? churchDoc.data() : null };
+    });
+}
+
+/**
+ * POST /media/:mediaId/livestream/start
+ * Marks a scheduled livestream as live and lets the church's members know.
+ * Uploader or church admins only.
+ */
+app.post('/media/:mediaId/livestream/start', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { mediaId } = req.params;
+    try {
+        const livestream = await transitionLivestream(mediaId, req.user.uid, 'scheduled', 'live', 'startedAt');
+        if (livestream.church) {
+            await fanOutNotification(livestream.church.members || [], {
+                type: 'livestream_live',
+                title: livestream.church.name,
+                body: `Live now: ${livestream.title}`,
+                data: { churchId: livestream.churchId, mediaId },
+                actorId: req.user.uid
+            });
+        }
+        res.status(200).json({ success: true, message: 'Livestream is live.' });
+    } catch (error) {
+        console.error("Error starting livestream:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /media/:mediaId/livestream/end
+ * Marks a live livestream as ended. Uploader or church admins only.
+ */
+app.post('/media/:mediaId/livestream/end', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        await transitionLivestream(req.params.mediaId, req.user.uid, 'live', 'ended', 'endedAt');
+        res.status(200).json({ success: true, message: 'Livestream ended.' });
+    } catch (error) {
+        console.error("Error ending livestream:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /cron/media/livestream-status?cursor=
+ * Backfills `liveStatus` on one page of livestreams created before statuses existed. They
+ * are reported as live (see formatMedia()) but, without the field, `?liveStatus=live` can't
+ * match them. Call repeatedly with the returned `nextCursor` until it is null.
+ */
+app.get('/cron/media/livestream-status', authenticateCron, validate({
+    query: { cursor: schema.string({ max: MAX_CURSOR_LENGTH }) }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const { docs, nextCursor } = await paginate(
+            db.collection('media').where('mediaType', '==', 'livestream'),
+            [],
+            { cursor: req.query.cursor, limit: MAX_PAGE_SIZE }
+        );
+        let updatedCount = 0;
+        for (const doc of docs.filter(mediaDoc => mediaDoc.data().liveStatus === undefined)) {
+            // Re-read in a transaction so a livestream started or ended meanwhile keeps its status
+            const updated = await db.runTransaction(async (transaction) => {
+                const mediaDoc = await transaction.get(doc.ref);
+                if (!mediaDoc.exists || mediaDoc.data().liveStatus !== undefined) return false;
+                transaction.update(doc.ref, {
+                    liveStatus: 'live',
+                    scheduledStartAt: null,
+                    startedAt: mediaDoc.data().createdAt || null,
+                    endedAt: null
+                });
+                return true;
+            });
+            if (updated) updatedCount++;
+        }
+        res.status(200).json({ success: true, updatedCount, nextCursor });
+    } catch (error) {
+        console.error("Error backfilling livestream statuses:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /media/:mediaId/view
+ * Records that the caller viewed a media item. `viewCount` counts each viewer once.
+ */
+app.post('/media/:mediaId/view', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const mediaDoc = await getVisibleMedia(req.params.mediaId, req.user);
+        const viewerRef = mediaDoc.ref.collection('viewers').doc(req.user.uid);
+        const firstView = await db.runTransaction(async (transaction) => {
+            const viewerDoc = await transaction.get(viewerRef);
+            if (viewerDoc.exists) return false;
+            transaction.set(viewerRef, { userId: req.user.uid, viewedAt: admin.firestore.FieldValue.serverTimestamp() });
+            transaction.update(mediaDoc.ref, { viewCount: admin.firestore.FieldValue.increment(1) });
+            return true;
+        });
+        res.status(200).json({ success: true, message: firstView ? 'View recorded.' : 'Already viewed.' });
+    } catch (error) {
+        console.error("Error recording media view:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /media/:mediaId/like
+ * Likes a media item. Liking it again is a no-op.
+ */
+app.post('/media/:mediaId/like', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const mediaDoc = await getVisibleMedia(req.params.mediaId, req.user);
+        const likeRef = mediaDoc.ref.collection('likes').doc(req.user.uid);
+        const liked = await db.runTransaction(async (transaction) => {
+            const likeDoc = await transaction.get(likeRef);
+            if (likeDoc.exists) return false;
+            transaction.set(likeRef, { userId: req.user.uid, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+            transaction.update(mediaDoc.ref, { likeCount: admin.firestore.FieldValue.increment(1) });
+            return true;
+        });
+        res.status(200).json({ success: true, message: liked ? 'Media liked.' : 'Media already liked.' });
+    } catch (error) {
+        console.error("Error liking media:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /media/:mediaId/like
+ * Removes the caller's like from a media item.
+ */
+app.delete('/media/:mediaId/like', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const mediaRef = db.collection('media').doc(req.params.mediaId);
+        const likeRef = mediaRef.collection('likes').doc(req.user.uid);
+        const removed = await db.runTransaction(async (transaction) => {
+            const [mediaDoc, likeDoc] = await transaction.getAll(mediaRef, likeRef);
+            if (!mediaDoc.exists) throw httpError(404, 'Media not found.');
+            if (!likeDoc.exists) return false;
+            transaction.delete(likeRef);
+            transaction.update(mediaRef, { likeCount: admin.firestore.FieldValue.increment(-1) });
+            return true;
+        });
+        res.status(200).json({ success: true, message: removed ? 'Like removed.' : 'Media was not liked.' });
+    } catch (error) {
+        console.error("Error unliking media:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// -------------------------------------------------------------------------
+// PRAYER REQUESTS ROUTES
+// -------------------------------------------------------------------------
+
+// 'church' requests are visible to the members of `churchId`; 'friends' ones to the author's friends
+const PRAYER_VISIBILITIES = ['public', 'church', 'friends'];
+const PRAYER_STATUSES = ['open', 'answered'];
+const PRAYER_SCOPES = ['all', 'public', 'church', 'friends', 'mine'];
+const MAX_PRAYER_TITLE_LENGTH = 120;
+const MAX_PRAYER_CONTENT_LENGTH = 5000;
+const MAX_ENCOURAGEMENT_LENGTH = 1000;
+const MAX_TESTIMONY_LENGTH = 5000;
+
+/**
+ * Formats a prayer request. Anonymous requests only reveal their author to the author
+ * themself. `authors` is a fetchUserSummaries() map and `prayingIds` the set of requests the
+ * caller has committed to pray for.
+ */
+function formatPrayerRequest(doc, userId, authors, prayingIds) {
+    const data = doc.data();
+    const isMine = data.authorId === userId;
+    return {
+        id: doc.id,
+        title: data.title || null,
+        content: data.content,
+        anonymous: data.anonymous === true,
+        author: data.anonymous && !isMine ? null : (authors[data.authorId] || null),
+        isMine,
+        visibility: data.visibility,
+        churchId: data.churchId || null,
+        status: data.status,
+        testimony: data.testimony || null,
+        testimonyMediaId: data.testimonyMediaId || null,
+        answeredAt: formatTimestamp(data.answeredAt),
+        prayingCount: data.prayingCount || 0,
+        encouragementCount: data.encouragementCount || 0,
+        praying: prayingIds.has(doc.id),
+        createdAt: formatTimestamp(data.createdAt)
+    };
+}
+
+/**
+ * Formats a page of prayer request documents for the caller, resolving authors and whether
+ * the caller is praying for each.
+ */
+async function formatPrayerRequests(docs, userId) {
+    const commitmentRefs = docs.map(doc => doc.ref.collection('prayers').doc(userId));
+    const [authors, commitmentDocs] = await Promise.all([
+        fetchUserSummaries(docs.map(doc => doc.data().authorId)),
+        commitmentRefs.length > 0 ? db.getAll(...commitmentRefs) : []
+    ]);
+    const prayingIds = new Set(docs.filter((doc, index) => commitmentDocs[index].exists).map(doc => doc.id));
+    return docs.map(doc => formatPrayerRequest(doc, userId, authors, prayingIds));
+}
+
+/**
+ * Whether a user may see a prayer request, given its visibility. Authors and moderators see
+ * everything; hidden requests and those from blocked users are invisible to everyone else.
+ */
+async function canViewPrayerRequest(data, user) {
+    if (data.authorId === user.uid || isModerator(user)) return true;
+    if (data.hidden) return false;
+    if ((await fetchBlockedUserIds(user.uid)).has(data.authorId)) return false;
+    if (data.visibility === 'public') return true;
+    if (data.visibility === 'church') {
+        const churchDoc = await db.collection('churches').doc(data.churchId).get();
+        return churchDoc.exists && churchRole(churchDoc.data(), user.uid) !== null;
+    }
+    const friendshipDoc = await db.collection('friendships').doc(friendshipId(data.authorId, user.uid)).get();
+    return friendshipDoc.exists;
+}
+
+/**
+ * Loads a prayer request the user may see. Throws a 404 httpError otherwise.
+ */
+async function getVisiblePrayerRequest(requestId, user) {
+    const requestDoc = await db.collection('prayer_requests').doc(requestId).get();
+    if (!requestDoc.exists || !(await canViewPrayerRequest(requestDoc.data(), user))) {
+        throw httpError(404, 'Prayer request not found.');
+    }
+    return requestDoc;
+}
+
+/**
+ * Builds the queries behind the prayer wall for a scope. 'all' combines public requests,
+ * requests in the caller's churches, their friends' requests and their own.
+ */
+async function buildPrayerWallQueries(userId, { scope, churchId, status }, blockedIds) {
+    const requestsRef = db.collection('prayer_requests');
+    const withStatus = query => (status ? query.where('status', '==', status) : query);
+
+    if (scope === 'mine') return [withStatus(requestsRef.where('authorId', '==', userId))];
+    if (scope === 'public') return [withStatus(requestsRef.where('visibility', '==', 'public'))];
+    if (scope === 'church') {
+        const churchDoc = await db.collection('churches').doc(churchId).get();
+        if (!churchDoc.exists) throw httpError(404, 'Church not found.');
+        if (!churchRole(churchDoc.data(), userId)) {
+            throw httpError(403, 'Forbidden: Only church members can see its prayer requests.');
+        }
+        return [withStatus(requestsRef.where('visibility', '==', 'church').where('churchId', '==', churchId))];
+    }
+
+    const [userDoc, friendshipsSnapshot] = await Promise.all([
+        db.collection('users').doc(userId).get(),
+        db.collection('friendships').where('users', 'array-contains', userId).get()
+    ]);
+    const friendIds = friendshipsSnapshot.docs
+        .map(doc => doc.data().users.find(id => id !== userId))
+        .filter(id => !blockedIds.has(id))
+        .slice(0, MAX_FEED_AUTHORS);
+    const friendQueries = chunk(friendIds, FIRESTORE_IN_LIMIT).map(ids => withStatus(
+        requestsRef.where('visibility', '==', 'friends').where('authorId', 'in', ids)
+    ));
+    if (scope === 'friends') return friendQueries;
+
+    const churchQueries = chunk((userDoc.data() || {}).churches || [], FIRESTORE_IN_LIMIT).map(ids => withStatus(
+        requestsRef.where('visibility', '==', 'church').where('churchId', 'in', ids)
+    ));
+    return [
+        withStatus(requestsRef.where('visibility', '==', 'public')),
+        withStatus(requestsRef.where('authorId', '==', userId)),
+        ...churchQueries,
+        ...friendQueries
+    ];
+}
+
+/**
+ * POST /prayer-requests
+ * Posts a prayer request.
+ * Body: { content, title?, anonymous?, visibility?: 'public' | 'church' | 'friends', churchId? }
+ * `churchId` is required for (and only allowed with) 'church' visibility.
+ */
+app.post('/prayer-requests', authenticate, validate({
+    body: {
+        content: schema.string({ required: true, max: MAX_PRAYER_CONTENT_LENGTH }),
+        title: schema.string({ max: MAX_PRAYER_TITLE_LENGTH, nullable: true }),
+        anonymous: schema.boolean(),
+        visibility: schema.string({ oneOf: PRAYER_VISIBILITIES }),
+        churchId: schema.id()
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { content, title, anonymous = false, visibility = 'public', churchId } = req.body;
+    if ((visibility === 'church') !== Boolean(churchId)) {
+        return sendValidationError(res, [{ location: 'body', field: 'churchId', message: "churchId is required for, and only allowed with, 'church' visibility." }]);
+    }
+    try {
+        if (churchId) {
+            const churchDoc = await db.collection('churches').doc(churchId).get();
+            if (!churchDoc.exists) {
+                return res.status(404).json({ success: false, message: 'Church not found.' });
+            }
+            if (!churchRole(churchDoc.data(), req.user.uid)) {
+                return res.status(403).json({ success: false, message: 'Forbidden: You must be a member of this church to post in it.' });
+            }
+        }
+        const requestRef = await db.collection('prayer_requests').add({
+            authorId: req.user.uid,
+            title: title ? title.trim() : null,
+            content: content.trim(),
+            anonymous,
+            visibility,
+            churchId: churchId || null,
+            status: 'open',
+            testimony: null,
+            testimonyMediaId: null,
+            answeredAt: null,
+            prayingCount: 0,
+            encouragementCount: 0,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        res.status(201).json({ success: true, message: 'Prayer request posted.', prayerRequestId: requestRef.id });
+    } catch (error) {
+        console.error("Error creating prayer request:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /prayer-requests?scope=all|public|church|friends|mine&churchId=&status=open|answered&cursor=&limit=
+ * The prayer wall, newest first. `all` (default) shows every request the caller can see:
+ * public ones, those in their churches, their friends' and their own. `church` needs `churchId`.
+ */
+app.get('/prayer-requests', authenticate, validate({
+    query: {
+        scope: schema.string({ oneOf: PRAYER_SCOPES }),
+        churchId: schema.id(),
+        status: schema.string({ oneOf: PRAYER_STATUSES }),
+        ...PAGE_QUERY
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { scope = 'all', churchId, status, cursor } = req.query;
+    if (scope === 'church' && !churchId) {
+        return sendValidationError(res, [{ location: 'query', field: 'churchId', message: "churchId is required for the 'church' scope." }]);
+    }
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const blockedIds = await fetchBlockedUserIds(req.user.uid);
+        const queries = await buildPrayerWallQueries(req.user.uid, { scope, churchId, status }, blockedIds);
+        const page = await paginateMerged(queries, [['createdAt', 'desc']], { cursor, limit });
+        const visibleDocs = page.docs.filter(doc => (
+            doc.data().authorId === req.user.uid || (!doc.data().hidden && !blockedIds.has(doc.data().authorId))
+        ));
+        const prayerRequests = await formatPrayerRequests(visibleDocs, req.user.uid);
+        res.status(200).json({ success: true, prayerRequests, nextCursor: page.nextCursor });
+    } catch (error) {
+        console.error("Error fetching prayer requests:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /prayer-requests/:requestId
+ * Fetches a single prayer request.
+ */
+app.get('/prayer-requests/:requestId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const requestDoc = await getVisiblePrayerRequest(req.params.requestId, req.user);
+        const [prayerRequest] = await formatPrayerRequests([requestDoc], req.user.uid);
+        res.status(200).json({ success: true, prayerRequest });
+    } catch (error) {
+        console.error("Error fetching prayer request:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /prayer-requests/:requestId
+ * Deletes a prayer request with its commitments and encouragements. Author or moderators only.
+ */
+app.delete('/prayer-requests/:requestId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const requestDoc = await getVisiblePrayerRequest(req.params.requestId, req.user);
+        if (requestDoc.data().authorId !== req.user.uid && !isModerator(req.user)) {
+            return res.status(403).json({ success: false, message: 'Forbidden: You can only delete your own prayer requests.' });
+        }
+        await db.recursiveDelete(requestDoc.ref);
+        res.status(200).json({ success: true, message: 'Prayer request deleted.' });
+    } catch (error) {
+        console.error("Error deleting prayer request:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /prayer-requests/:requestId/pray
+ * Commits the caller to praying for a request ("I'm praying"). Each user counts once.
+ */
+app.post('/prayer-requests/:requestId/pray', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const requestDoc = await getVisiblePrayerRequest(req.params.requestId, req.user);
+        const commitmentRef = requestDoc.ref.collection('prayers').doc(req.user.uid);
+        const committed = await db.runTransaction(async (transaction) => {
+            const commitmentDoc = await transaction.get(commitmentRef);
+            if (commitmentDoc.exists) return false;
+            transaction.set(commitmentRef, { userId: req.user.uid, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+            transaction.update(requestDoc.ref, { prayingCount: admin.firestore.FieldValue.increment(1) });
+            return true;
+        });
+
+        if (committed) {
+            await notifyUsers([requestDoc.data().authorId], {
+                type: 'prayer_commitment',
+                title: 'Someone is praying for you',
+                body: name => `${name} is praying for your request.`,
+                data: { prayerRequestId: requestDoc.id },
+                actorId: req.user.uid
+            });
+        }
+        res.status(200).json({ success: true, message: committed ? "You're praying for this request." : "You're already praying for this request." });
+    } catch (error) {
+        console.error("Error committing to pray:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /prayer-requests/:requestId/prayers?cursor=&limit=
+ * Lists who committed to pray for a request, newest first. Author only.
+ */
+app.get('/prayer-requests/:requestId/prayers', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const requestDoc = await getVisiblePrayerRequest(req.params.requestId, req.user);
+        if (requestDoc.data().authorId !== req.user.uid) {
+            return res.status(403).json({ success: false, message: 'Forbidden: Only the author can see who is praying.' });
+        }
+        const limit = parsePageLimit(req.query.limit);
+        const page = await paginate(requestDoc.ref.collection('prayers'), [['createdAt', 'desc']], { cursor: req.query.cursor, limit });
+        const summaries = await fetchUserSummaries(page.docs.map(doc => doc.id));
+        const prayers = page.docs.map(doc => ({
+            ...(summaries[doc.id] || { id: doc.id, name: null, photoUrl: null }),
+            prayingSince: formatTimestamp(doc.data().createdAt)
+        }));
+        res.status(200).json({ success: true, prayingCount: requestDoc.data().prayingCount || 0, prayers, nextCursor: page.nextCursor });
+    } catch (error) {
+        console.error("Error fetching prayer commitments:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /prayer-requests/:requestId/encouragements
+ * Replies to a prayer request with a word of encouragement.
+ * Body: { content }
+ */
+app.post('/prayer-requests/:requestId/encouragements', authenticate, validate({
+    body: {
+        content: schema.string({ required: true, max: MAX_ENCOURAGEMENT_LENGTH })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { content } = req.body;
+    try {
+        const requestDoc = await getVisiblePrayerRequest(req.params.requestId, req.user);
+        const encouragementRef = requestDoc.ref.collection('encouragements').doc();
+        const batch = db.batch();
+        batch.set(encouragementRef, {
+            authorId: req.user.uid,
+            content: content.trim(),
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        batch.update(requestDoc.ref, { encouragementCount: admin.firestore.FieldValue.increment(1) });
+        await batch.commit();
+
+        await notifyUsers([requestDoc.data().authorId], {
+            type: 'prayer_encouragement',
+            title: name => `${name} encouraged you`,
+            body: content.trim(),
+            data: { prayerRequestId: requestDoc.id, encouragementId: encouragementRef.id },
+            actorId: req.user.uid
+        });
+        res.status(201).json({ success: true, message: 'Encouragement posted.', encouragementId: encouragementRef.id });
+    } catch (error) {
+        console.error("Error posting encouragement:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /prayer-requests/:requestId/encouragements?cursor=&limit=
+ * Lists the encouragements on a prayer request, oldest first.
+ */
+app.get('/prayer-requests/:requestId/encouragements', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const requestDoc = await getVisiblePrayerRequest(req.params.requestId, req.user);
+        const limit = parsePageLimit(req.query.limit);
+        const blockedIds = await fetchBlockedUserIds(req.user.uid);
+        const page = await paginate(requestDoc.ref.collection('encouragements'), [['createdAt', 'asc']], { cursor: req.query.cursor, limit });
+        const docs = page.docs.filter(doc => !blockedIds.has(doc.data().authorId));
+        const summaries = await fetchUserSummaries(docs.map(doc => doc.data().authorId));
+        const encouragements = docs.map(doc => ({
+            id: doc.id,
+            author: summaries[doc.data().authorId] || null,
+            content: doc.data().content,
+            createdAt: formatTimestamp(doc.data().createdAt)
+        }));
+        res.status(200).json({ success: true, encouragements, nextCursor: page.nextCursor });
+    } catch (error) {
+        console.error("Error fetching encouragements:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /prayer-requests/:requestId/encouragements/:encouragementId
+ * Deletes an encouragement. Its author, the request's author and moderators can delete it.
+ */
+app.delete('/prayer-requests/:requestId/encouragements/:encouragementId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const requestDoc = await getVisiblePrayerRequest(req.params.requestId, req.user);
+        const encouragementRef = requestDoc.ref.collection('encouragements').doc(req.params.encouragementId);
+        await db.runTransaction(async (transaction) => {
+            const encouragementDoc = await transaction.get(encouragementRef);
+            if (!encouragementDoc.exists) throw httpError(404, 'Encouragement not found.');
+            const canDelete = encouragementDoc.data().authorId === req.user.uid
+                || requestDoc.data().authorId === req.user.uid
+                || isModerator(req.user);
+            if (!canDelete) throw httpError(403, 'Forbidden: You cannot delete this encouragement.');
+            transaction.delete(encouragementRef);
+            transaction.update(requestDoc.ref, { encouragementCount: admin.firestore.FieldValue.increment(-1) });
+        });
+        res.status(200).json({ success: true, message: 'Encouragement deleted.' });
+    } catch (error) {
+        console.error("Error deleting encouragement:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /prayer-requests/:requestId/answered
+ * Marks a prayer request answered, optionally with a testimony, and lets everyone praying
+ * for it know. Calling it again updates the testimony. Author only.
+ * Body: { testimony?, shareAsMedia?: { url, title? } }
+ * `shareAsMedia` also publishes the testimony as a `testimony` media item, once per request.
+ * For anonymous requests neither the media item nor the notifications name the author.
+ */
+app.post('/prayer-requests/:requestId/answered', authenticate, validate({
+    body: {
+        testimony: schema.string({ max: MAX_TESTIMONY_LENGTH, nullable: true }),
+        shareAsMedia: schema.object({
+            url: schema.url({ required: true }),
+            title: schema.string({ max: MAX_MEDIA_TITLE_LENGTH })
+        })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { testimony, shareAsMedia } = req.body;
+    if (shareAsMedia && (!testimony || !testimony.trim())) {
+        return sendValidationError(res, [{ location: 'body', field: 'testimony', message: 'testimony is required to share it as media.' }]);
+    }
+    try {
+        const requestRef = db.collection('prayer_requests').doc(req.params.requestId);
+        const requestDoc = await requestRef.get();
+        if (!requestDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Prayer request not found.' });
+        }
+        const request = requestDoc.data();
+        if (request.authorId !== req.user.uid) {
+            return res.status(403).json({ success: false, message: 'Forbidden: Only the author can mark a prayer request answered.' });
+        }
+        if (shareAsMedia && request.testimonyMediaId) {
+            return res.status(409).json({ success: false, message: 'This testimony has already been shared.', mediaId: request.testimonyMediaId });
+        }
+
+        const updates = { status: 'answered' };
+        if (testimony !== undefined) updates.testimony = testimony ? testimony.trim() : null;
+        if (request.status !== 'answered') updates.answeredAt = admin.firestore.FieldValue.serverTimestamp();
+        if (shareAsMedia) {
+            const mediaRef = await createMediaItem(request.anonymous ? null : req.user.uid, {
+                title: shareAsMedia.title || request.title || 'Answered prayer',
+                description: updates.testimony,
+                url: shareAsMedia.url,
+                mediaType: 'testimony',
+                churchId: request.churchId
+            });
+            updates.testimonyMediaId = mediaRef.id;
+        }
+        await requestRef.update(updates);
+
+        if (request.status !== 'answered') {
+            const prayersSnapshot = await requestRef.collection('prayers').get();
+            await notifyUsers(prayersSnapshot.docs.map(doc => doc.id).filter(id => id !== req.user.uid), {
+                type: 'prayer_answered',
+                title: 'Prayer answered',
+                body: request.title || 'A prayer request you prayed for was answered.',
+                data: { prayerRequestId: requestRef.id },
+                actorId: request.anonymous ? null : req.user.uid
+            });
+        }
+        res.status(200).json({
+            success: true,
+            message: 'Prayer request marked answered.',
+            mediaId: updates.testimonyMediaId || request.testimonyMediaId || null
+        });
+    } catch (error) {
+        console.error("Error marking prayer request answered:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+
+// -------------------------------------------------------------------------
+// BIBLE ROUTES
+// -------------------------------------------------------------------------
+
+// Common abbreviations, written without spaces or dots. Any unambiguous prefix of a book's
+// name (e.g. "gen", "matt", "1cor") is also recognised, so only the rest are listed here.
+const BIBLE_BOOK_ALIASES = {
+    'Genesis': ['gn'], 'Exodus': ['ex'], 'Leviticus': ['lv'], 'Numbers': ['nm', 'nb'],
+    'Deuteronomy': ['dt'], 'Joshua': ['jsh'], 'Judges': ['jdg', 'jg'], 'Ruth': ['rth'],
+    '1 Samuel': ['1sm'], '2 Samuel': ['2sm'], '1 Kings': ['1kgs'], '2 Kings': ['2kgs'],
+    'Job': ['jb'], 'Psalms': ['ps', 'psalm', 'pss'], 'Proverbs': ['pr', 'prv'],
+    'Ecclesiastes': ['eccl', 'qoh'], 'Song of Solomon': ['song', 'sos', 'songofsongs', 'canticles'],
+    'Isaiah': ['is'], 'Jeremiah': ['jr'], 'Ezekiel': ['ezk'], 'Daniel': ['dn'], 'Joel': ['jl'],
+    'Amos': ['am'], 'Obadiah': ['ob'], 'Jonah': ['jnh'], 'Nahum': ['na'], 'Matthew': ['mt'],
+    'Mark': ['mk', 'mrk'], 'Luke': ['lk'], 'John': ['jn', 'jhn'], 'Acts': ['ac'], 'Romans': ['rm'],
+    'Philippians': ['phil', 'php', 'pp'], '1 Timothy': ['1tm'], '2 Timothy': ['2tm'],
+    'Philemon': ['phm', 'phlm'], 'James': ['jas', 'jm'], '1 Peter': ['1pt'], '2 Peter': ['2pt'],
+    '1 John': ['1jn'], '2 John': ['2jn'], '3 John': ['3jn'], 'Revelation': ['rv', 'revelations', 'apocalypse']
+};
+const OLD_TESTAMENT_BOOK_COUNT = 39;
+const MAX_PASSAGE_VERSES = 500;
+const MAX_BIBLE_BOOK_LENGTH = 50;
+const MAX_BIBLE_REFERENCE_LENGTH = 200;
+
+let bible = null;
+
+/**
+ * Loads the bundled public-domain King James Version (api/data/kjv.json) on first use and
+ * builds the lookup tables. Books hold `chapters` as arrays of verse texts.
+ */
+function loadBible() {
+    if (bible) return bible;
+    const data = require('./data/kjv.json');
+    const books = data.books.map((book, index) => ({
+        name: book.name,
+        key: compactBookName(book.name),
+        testament: index < OLD_TESTAMENT_BOOK_COUNT ? 'old' : 'new',
+        chapters: book.chapters
+    }));
+    const aliases = new Map();
+    books.forEach(book => {
+        aliases.set(book.key, book);
+        (BIBLE_BOOK_ALIASES[book.name] || []).forEach(alias => aliases.set(alias, book));
+    });
+    // Normalized text of every verse, padded with spaces for whole-word keyword search
+    const searchableVerses = [];
+    books.forEach(book => book.chapters.forEach((verses, chapterIndex) => verses.forEach((text, verseIndex) => {
+        searchableVerses.push({
+            book,
+            chapter: chapterIndex + 1,
+            verse: verseIndex + 1,
+            words: ` ${tokenizeSearchText(text).join(' ')} `
+        });
+    })));
+    bible = { translation: data.translation, abbreviation: data.abbreviation, books, aliases, searchableVerses };
+    return bible;
+}
+
+/**
+ * Reduces a book name as typed to a lookup key: "I Cor." and "1 cor" both become "1cor".
+ */
+function compactBookName(name) {
+    return name
+        .toLowerCase()
+        .replace(/^(iii|third|3rd)\b/, '3')
+        .replace(/^(ii|second|2nd)\b/, '2')
+        .replace(/^(i|first|1st)\b/, '1')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Finds a book by name, abbreviation or unambiguous prefix. Throws a 404 httpError otherwise.
+ */
+function findBibleBook(name) {
+    const { books, aliases } = loadBible();
+    const key = compactBookName(name || '');
+    if (aliases.has(key)) return aliases.get(key);
+    const matches = key.length >= 2 ? books.filter(book => book.key.startsWith(key)) : [];
+    if (matches.length !== 1) throw httpError(404, `Unknown book of the Bible: "${name}".`);
+    return matches[0];
+}
+
+/**
+ * Parses the chapter/verse part of a reference for one book into segments
+ * { startChapter, startVerse, endChapter, endVerse }. Supports "13", "1-3", "3:16",
+ * "3:16-18", "23:1,4", "3:16-4:2" and, for one-chapter books like Jude, plain verse numbers.
+ */
+function parsePassageSpec(book, spec) {
+    const invalid = () => httpError(400, `Invalid reference: "${book.name} ${spec}".`);
+    const toNumber = value => {
+        if (!/^\d+$/.test(value)) throw invalid();
+        return parseInt(value, 10);
+    };
+    // "3:16" -> [3, 16]; anything but exactly one colon ("3:16:2") is invalid
+    const chapterAndVerse = value => {
+        const parts = value.split(':');
+        if (parts.length !== 2) throw invalid();
+        return parts.map(toNumber);
+    };
+    const verseCount = chapter => {
+        if (chapter < 1 || chapter > book.chapters.length) {
+            throw httpError(404, `${book.name} has ${book.chapters.length} chapter${book.chapters.length === 1 ? '' : 's'}.`);
+        }
+        return book.chapters[chapter - 1].length;
+    };
+    const compact = spec.replace(/\s+/g, '');
+    if (!compact) throw invalid();
+
+    // Without a colon the numbers are chapters, except in one-chapter books
+    let remaining = compact;
+    if (!compact.includes(':')) {
+        if (book.chapters.length > 1) {
+            const [start, end = start] = compact.split('-').map(toNumber);
+            if (compact.split('-').length > 2 || end < start) throw invalid();
+            verseCount(start);
+            return [{ startChapter: start, startVerse: 1, endChapter: end, endVerse: verseCount(end) }];
+        }
+        remaining = `1:${compact}`;
+    }
+
+    const segments = [];
+    let chapter = null;
+    remaining.split(',').forEach(item => {
+        const [from, to] = item.split('-');
+        if (item.split('-').length > 2 || !from) throw invalid();
+        let startVerse;
+        if (from.includes(':')) {
+            [chapter, startVerse] = chapterAndVerse(from);
+        } else {
+            if (chapter === null) throw invalid();
+            startVerse = toNumber(from);
+        }
+        let endChapter = chapter;
+        let endVerse = startVerse;
+        if (to !== undefined) {
+            if (to.includes(':')) {
+                [endChapter, endVerse] = chapterAndVerse(to);
+            } else {
+                endVerse = toNumber(to);
+            }
+        }
+        if (startVerse < 1 || startVerse > verseCount(chapter) || endVerse < 1 || endVerse > verseCount(endChapter)) {
+            throw httpError(404, `Verse not found: ${book.name} ${item}.`);
+        }
+        if (endChapter < chapter || (endChapter === chapter && endVerse < startVerse)) throw invalid();
+        segments.push({ startChapter: chapter, startVerse, endChapter, endVerse });
+        chapter = endChapter;
+    });
+    return segments;
+}
+
+/**
+ * Parses human references such as "Jn 3:16-18", "1 Cor 13", "Psalm 23:1,4" or several
+ * separated by semicolons ("Rom 8:28; 12:1-2" — a reference without a book continues the
+ * previous one). Resolves to [{ book, segments }].
+ */
+function parseBibleReferences(input) {
+    if (!input || typeof input !== 'string' || !input.trim()) {
+        throw httpError(400, 'A Bible reference is required.');
+    }
+    let previousBook = null;
+    return input.split(';').map(part => {
+        const match = part.trim().match(/^((?:[1-3]|i{1,3}|first|second|third)?\s*[a-z][a-z .']*?)?\s*(\d[\d\s:,-]*)$/i);
+        if (!match) throw httpError(400, `Invalid reference: "${part.trim()}".`);
+        const book = match[1] ? findBibleBook(match[1]) : previousBook;
+        if (!book) throw httpError(400, `Invalid reference: "${part.trim()}".`);
+        previousBook = book;
+        return { book, segments: parsePassageSpec(book, match[2]) };
+    });
+}
+
+/**
+ * Formats a parsed reference canonically, e.g. "John 3:16-18" or "Psalms 23:1, 4".
+ */
+function formatBibleReference({ book, segments }) {
+    let lastChapter = null;
+    const parts = segments.map(({ startChapter, startVerse, endChapter, endVerse }) => {
+        const wholeChapters = startVerse === 1 && endVerse === book.chapters[endChapter - 1].length;
+        if (wholeChapters && book.chapters.length > 1) {
+            lastChapter = null;
+            return startChapter === endChapter ? `${startChapter}` : `${startChapter}-${endChapter}`;
+        }
+        const start = startChapter === lastChapter ? `${startVerse}` : `${startChapter}:${startVerse}`;
+        lastChapter = endChapter;
+        if (endChapter !== startChapter) return `${start}-${endChapter}:${endVerse}`;
+        return endVerse === startVerse ? start : `${start}-${endVerse}`;
+    });
+    return `${book.name} ${parts.join(', ')}`;
+}
+
+/**
+ * Looks up the verses of a parsed reference. Throws a 400 httpError past MAX_PASSAGE_VERSES.
+ */
+function lookupPassage(reference) {
+    const { book, segments } = reference;
+    const verses = [];
+    segments.forEach(({ startChapter, startVerse, endChapter, endVerse }) => {
+        for (let chapter = startChapter; chapter <= endChapter; chapter++) {
+            const chapterVerses = book.chapters[chapter - 1];
+            const first = chapter === startChapter ? startVerse : 1;
+            const last = chapter === endChapter ? endVerse : chapterVerses.length;
+            for (let verse = first; verse <= last; verse++) {
+                verses.push({ book: book.name, chapter, verse, text: chapterVerses[verse - 1] });
+                if (verses.length > MAX_PASSAGE_VERSES) {
+                    throw httpError(400, `A passage can have at most ${MAX_PASSAGE_VERSES} verses.`);
+                }
+            }
+        }
+    });
+    return {
+        reference: formatBibleReference(reference),
+        verses,
+        text: verses.map(verse => verse.text).join(' ')
+    };
+}
+
+// Curated verses of the day; the list is walked one verse per (UTC) day
+const VERSES_OF_THE_DAY = [
+    'John 3:16', 'Jeremiah 29:11', 'Philippians 4:13', 'Romans 8:28', 'Proverbs 3:5-6',
+    'Isaiah 41:10', 'Psalm 23:1', 'Matthew 11:28', 'Joshua 1:9', 'Romans 12:2',
+    'Philippians 4:6-7', 'Isaiah 40:31', '2 Corinthians 5:17', 'Galatians 5:22-23', 'Psalm 46:1',
+    'Hebrews 11:1', '1 Corinthians 13:4-5', 'Matthew 6:33', 'Romans 5:8', 'Psalm 119:105',
+    'Ephesians 2:8-9', 'John 14:6', '1 John 1:9', 'Lamentations 3:22-23', 'Psalm 37:4',
+    'Micah 6:8', 'Matthew 5:16', 'John 16:33', 'James 1:5', 'Psalm 27:1',
+    'Romans 15:13', '2 Timothy 1:7', 'Hebrews 13:8', 'Colossians 3:23', 'Isaiah 26:3',
+    'Psalm 34:8', 'Deuteronomy 31:6', 'Zephaniah 3:17', '1 Peter 5:7', 'Matthew 28:19-20',
+    'John 15:5', 'Romans 10:9', 'Psalm 121:1-2', 'Proverbs 18:10', 'Galatians 2:20',
+    'Ephesians 3:20', '1 Thessalonians 5:16-18', 'Numbers 6:24-26', 'Psalm 91:1-2', 'Revelation 21:4'
+];
+
+/**
+ * GET /bible/verse-of-the-day?date=YYYY-MM-DD
+ * The verse of the day (Required for BibleViewModel). It changes every day at midnight UTC;
+ * pass `date` to fetch another day's verse.
+ */
+app.get('/bible/verse-of-the-day', validate({ query: { date: schema.day() } }), async (req, res) => {
+    // This endpoint is public and does not require authentication
+    const { date } = req.query;
+    try {
+        const day = date ? new Date(`${date}T00:00:00Z`) : new Date();
+        const dayNumber = Math.floor(day.getTime() / (24 * 60 * 60 * 1000));
+        const index = ((dayNumber % VERSES_OF_THE_DAY.length) + VERSES_OF_THE_DAY.length) % VERSES_OF_THE_DAY.length;
+        const [reference] = parseBibleReferences(VERSES_OF_THE_DAY[index]);
+        const passage = lookupPassage(reference);
+        const verse = {
+            reference: passage.reference,
+            text: passage.text
+        };
+        res.status(200).json({
+            success: true,
+            date: day.toISOString().slice(0, 10),
+            translation: loadBible().abbreviation,
+            verse
+        });
+    } catch (error) {
+        console.error("Error fetching verse of the day:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /bible/books
+ * Lists the books of the Bible in canonical order with their testament and chapter count.
+ */
+app.get('/bible/books', validate(), (req, res) => {
+    // This endpoint is public and does not require authentication
+    const { translation, abbreviation, books } = loadBible();
+    res.status(200).json({
+        success: true,
+        translation: { name: translation, abbreviation },
+        books: books.map(book => ({
+            name: book.name,
+            testament: book.testament,
+            chapterCount: book.chapters.length
+        }))
+    });
+});
+
+/**
+ * GET /bible/books/:book
+ * Lists a book's chapters with their verse counts. `book` may be a name or abbreviation.
+ */
+app.get('/bible/books/:book', validate({
+    params: {
+        book: schema.string({ required: true, max: MAX_BIBLE_BOOK_LENGTH })
+    }
+}), (req, res) => {
+    // This endpoint is public and does not require authentication
+    try {
+        const book = findBibleBook(req.params.book);
+        res.status(200).json({
+            success: true,
+            book: {
+                name: book.name,
+                testament: book.testament,
+                chapters: book.chapters.map((verses, index) => ({ chapter: index + 1, verseCount: verses.length }))
+            }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /bible/books/:book/chapters/:chapter
+ * Fetches the full text of one chapter.
+ */
+app.get('/bible/books/:book/chapters/:chapter', validate({
+    params: {
+        book: schema.string({ required: true, max: MAX_BIBLE_BOOK_LENGTH }),
+        chapter: schema.integer({ required: true, min: 1 })
+    }
+}), (req, res) => {
+    // This endpoint is public and does not require authentication
+    try {
+        const book = findBibleBook(req.params.book);
+        const { chapter } = req.params;
+        if (chapter > book.chapters.length) {
+            throw httpError(404, `${book.name} has ${book.chapters.length} chapter${book.chapters.length === 1 ? '' : 's'}.`);
+        }
+        const segments = [{ startChapter: chapter, startVerse: 1, endChapter: chapter, endVerse: book.chapters[chapter - 1].length }];
+        res.status(200).json({ success: true, translation: loadBible().abbreviation, passage: lookupPassage({ book, segments }) });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /bible/passage?reference=
+ * Looks up one or more passages from a human reference such as "Jn 3:16-18", "1 Cor 13",
+ * "Psalm 23:1,4" or "Rom 8:28; 12:1-2".
+ */
+app.get('/bible/passage', validate({
+    query: {
+        reference: schema.string({ required: true, max: MAX_BIBLE_REFERENCE_LENGTH })
+    }
+}), (req, res) => {
+    // This endpoint is public and does not require authentication
+    try {
+        const passages = parseBibleReferences(req.query.reference).map(lookupPassage);
+        const verseCount = passages.reduce((count, passage) => count + passage.verses.length, 0);
+        if (verseCount > MAX_PASSAGE_VERSES) {
+            throw httpError(400, `A passage can have at most ${MAX_PASSAGE_VERSES} verses.`);
+        }
+        res.status(200).json({ success: true, translation: loadBible().abbreviation, passages });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /bible/search?q=&book=&testament=old|new&cursor=&limit=
+ * Keyword search: finds verses containing every word of `q` (case-insensitive, whole words),
+ * in canonical order, optionally within one book or testament.
+ */
+app.get('/bible/search', validate({
+    query: {
+        q: schema.string({ required: true, max: MAX_SEARCH_QUERY_LENGTH }),
+        book: schema.string({ max: MAX_BIBLE_BOOK_LENGTH }),
+        testament: schema.string({ oneOf: ['old', 'new'] }),
+        ...PAGE_QUERY
+    }
+}), (req, res) => {
+    // This endpoint is public and does not require authentication
+    const { q, book: bookName, testament, cursor } = req.query;
+    const words = tokenizeSearchText(q);
+    if (words.length === 0) {
+        return sendValidationError(res, [{ location: 'query', field: 'q', message: 'q must contain at least one word.' }]);
+    }
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const book = bookName ? findBibleBook(bookName) : null;
+        const matches = loadBible().searchableVerses.filter(verse =>
+            (!book || verse.book === book)
+            && (!testament || verse.book.testament === testament)
+            && words.every(word => verse.words.includes(` ${word} `))
+        );
+
+        // Results come from bundled data, so the cursor is an offset into the matches
+        const [offset] = cursor ? decodeCursor(cursor) : [0];
+        if (!Number.isInteger(offset) || offset < 0) throw httpError(400, 'Invalid cursor.');
+        const page = matches.slice(offset, offset + limit);
+        const results = page.map(({ book: verseBook, chapter, verse }) => ({
+            reference: `${verseBook.name} ${chapter}:${verse}`,
+            book: verseBook.name,
+            chapter,
+            verse,
+            text: verseBook.chapters[chapter - 1][verse - 1]
+        }));
+        const nextCursor = offset + page.length < matches.length ? encodeCursor([offset + page.length]) : null;
+        res.status(200).json({ success: true, totalCount: matches.length, results, nextCursor });
+    } catch (error) {
+        console.error("Error searching the Bible:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+
+// -------------------------------------------------------------------------
+// BIBLE STUDY ROUTES (BOOKMARKS, HIGHLIGHTS, NOTES & READING PLANS)
+// -------------------------------------------------------------------------
+
+const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink', 'purple', 'orange'];
+const MAX_NOTE_LENGTH = 5000;
+const MAX_BOOKMARK_LABEL_LENGTH = 100;
+
+/**
+ * Parses a reference to a single verse range (e.g. "Jn 3:16" or "Rom 8:28-39") for a
+ * bookmark, highlight or note. Resolves to the fields stored on the document, including
+ * `chapterKeys` ("John 3") so annotations can be fetched per chapter with array-contains.
+ */
+function parseVerseRange(input) {
+    const references = parseBibleReferences(input);
+    if (references.length !== 1 || references[0].segments.length !== 1) {
+        throw httpError(400, 'reference must be a single verse or verse range, e.g. "John 3:16-18".');
+    }
+    const { book, segments: [segment] } = references[0];
+    lookupPassage(references[0]); // Enforces MAX_PASSAGE_VERSES
+    const chapterKeys = [];
+    for (let chapter = segment.startChapter; chapter <= segment.endChapter; chapter++) {
+        chapterKeys.push(`${book.name} ${chapter}`);
+    }
+    return {
+        reference: formatBibleReference(references[0]),
+        book: book.name,
+        ...segment,
+        chapterKeys,
+        // Identifies the range, so the same verses can't be bookmarked or highlighted twice
+        rangeKey: `${compactBookName(book.name)}_${segment.startChapter}_${segment.startVerse}_${segment.endChapter}_${segment.endVerse}`
+    };
+}
+
+/**
+ * Formats a bookmark, highlight or note for the Android client.
+ */
+function formatAnnotation(doc) {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        reference: data.reference,
+        book: data.book,
+        startChapter: data.startChapter,
+        startVerse: data.startVerse,
+        endChapter: data.endChapter,
+        endVerse: data.endVerse,
+        ...(data.label !== undefined && { label: data.label }),
+        ...(data.color !== undefined && { color: data.color }),
+        ...(data.content !== undefined && { content: data.content }),
+        createdAt: formatTimestamp(data.createdAt),
+        updatedAt: formatTimestamp(data.updatedAt)
+    };
+}
+
+/**
+ * Lists one page of the user's annotations in a subcollection (bookmarks, highlights or
+ * notes), newest first, optionally limited to one book or one chapter.
+ */
+async function listAnnotations(userId, collectionName, { book: bookName, chapter, cursor, limit }) {
+    let query = db.collection('users').doc(userId).collection(collectionName);
+    if (bookName) {
+        const book = findBibleBook(bookName);
+        if (chapter !== undefined) {
+            query = query.where('chapterKeys', 'array-contains', `${book.name} ${chapter}`);
+        } else {
+            query = query.where('book', '==', book.name);
+        }
+    }
+    const { docs, nextCursor } = await paginate(query, [['createdAt', 'desc']], { cursor, limit });
+    return { items: docs.map(formatAnnotation), nextCursor };
+}
+
+/**
+ * Registers list and delete routes for one kind of annotation, which all share the same shape.
+ */
+function registerAnnotationRoutes(path, collectionName, label) {
+    /**
+     * GET /bible/{bookmarks|highlights|notes}?book=&chapter=&cursor=&limit=
+     */
+    app.get(path, authenticate, validate({
+        query: {
+            book: schema.string({ max: MAX_BIBLE_BOOK_LENGTH }),
+            chapter: schema.integer({ min: 1 }),
+            ...PAGE_QUERY
+        }
+    }), async (req, res) => {
+        if (!checkDbConnection(res)) return;
+        const { book, chapter, cursor } = req.query;
+        if (chapter !== undefined && !book) {
+            return sendValidationError(res, [{ location: 'query', field: 'chapter', message: 'chapter can only be used together with book.' }]);
+        }
+        try {
+            const limit = parsePageLimit(req.query.limit);
+            const { items, nextCursor } = await listAnnotations(req.user.uid, collectionName, { book, chapter, cursor, limit });
+            res.status(200).json({ success: true, [collectionName]: items, nextCursor });
+        } catch (error) {
+            console.error(`Error fetching ${collectionName}:`, error);
+            res.status(error.status || 500).json({ success: false, message: error.message });
+        }
+    });
+
+    /**
+     * DELETE /bible/{bookmarks|highlights|notes}/:id
+     */
+    app.delete(`${path}/:id`, authenticate, validate(), async (req, res) => {
+        if (!checkDbConnection(res)) return;
+        try {
+            const ref = db.collection('users').doc(req.user.uid).collection(collectionName).doc(req.params.id);
+            const doc = await ref.get();
+            if (!doc.exists) {
+                return res.status(404).json({ success: false, message: `${label} not found.` });
+            }
+            await ref.delete();
+            res.status(200).json({ success: true, message: `${label} deleted.` });
+        } catch (error) {
+            console.error(`Error deleting ${label.toLowerCase()}:`, error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+}
+
+/**
+ * POST /bible/bookmarks
+ * Bookmarks a verse or verse range. Body: { reference, label? }. Bookmarking the same
+ * verses again just updates the label.
+ */
+app.post('/bible/bookmarks', authenticate, validate({
+    body: {
+        reference: schema.string({ required: true, max: MAX_BIBLE_REFERENCE_LENGTH }),
+        label: schema.string({ max: MAX_BOOKMARK_LABEL_LENGTH })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { reference, label = '' } = req.body;
+    try {
+        const { rangeKey, ...range } = parseVerseRange(reference);
+        const bookmarkRef = db.collection('users').doc(req.user.uid).collection('bookmarks').doc(rangeKey);
+        const existing = await bookmarkRef.get();
+        await bookmarkRef.set({
+            ...range,
+            label: label.trim(),
+            createdAt: existing.exists ? existing.data().createdAt : admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        res.status(existing.exists ? 200 : 201).json({ success: true, message: 'Bookmark saved.', bookmarkId: bookmarkRef.id, reference: range.reference });
+    } catch (error) {
+        console.error("Error saving bookmark:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /bible/highlights
+ * Highlights a verse or verse range. Body: { reference, color }. Highlighting the same
+ * verses again changes the color.
+ */
+app.post('/bible/highlights', authenticate, validate({
+    body: {
+        reference: schema.string({ required: true, max: MAX_BIBLE_REFERENCE_LENGTH }),
+        color: schema.string({ required: true, oneOf: HIGHLIGHT_COLORS })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { reference, color } = req.body;
+    try {
+        const { rangeKey, ...range } = parseVerseRange(reference);
+        const highlightRef = db.collection('users').doc(req.user.uid).collection('highlights').doc(rangeKey);
+        const existing = await highlightRef.get();
+        await highlightRef.set({
+            ...range,
+            color,
+            createdAt: existing.exists ? existing.data().createdAt : admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        res.status(existing.exists ? 200 : 201).json({ success: true, message: 'Highlight saved.', highlightId: highlightRef.id, reference: range.reference });
+    } catch (error) {
+        console.error("Error saving highlight:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /bible/notes
+ * Adds a private note on a verse or verse range. Body: { reference, content }.
+ */
+app.post('/bible/notes', authenticate, validate({
+    body: {
+        reference: schema.string({ required: true, max: MAX_BIBLE_REFERENCE_LENGTH }),
+        content: schema.string({ required: true, max: MAX_NOTE_LENGTH })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { reference, content } = req.body;
+    try {
+        const { rangeKey, ...range } = parseVerseRange(reference);
+        const noteRef = await db.collection('users').doc(req.user.uid).collection('notes').add({
+            ...range,
+            content: content.trim(),
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        res.status(201).json({ success: true, message: 'Note saved.', noteId: noteRef.id, reference: range.reference });
+    } catch (error) {
+        console.error("Error saving note:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * PUT /bible/notes/:noteId
+ * Edits the text of one of the caller's notes. Body: { content }.
+ */
+app.put('/bible/notes/:noteId', authenticate, validate({ body: { content: schema.string({ required: true, max: MAX_NOTE_LENGTH }) } }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { content } = req.body;
+    try {
+        const noteRef = db.collection('users').doc(req.user.uid).collection('notes').doc(req.params.noteId);
+        const noteDoc = await noteRef.get();
+        if (!noteDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Note not found.' });
+        }
+        await noteRef.update({ content: content.trim(), updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        res.status(200).json({ success: true, message: 'Note updated.' });
+    } catch (error) {
+        console.error("Error updating note:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+registerAnnotationRoutes('/bible/bookmarks', 'bookmarks', 'Bookmark');
+registerAnnotationRoutes('/bible/highlights', 'highlights', 'Highlight');
+registerAnnotationRoutes('/bible/notes', 'notes', 'Note');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reading plans read whole books in order, spread evenly over `durationDays`
+const READING_PLANS = [
+    {
+        id: 'gospels-30',
+        title: 'Gospels in 30 days',
+        description: 'Walk with Jesus through Matthew, Mark, Luke and John in a month.',
+        books: ['Matthew', 'Mark', 'Luke', 'John'],
+        durationDays: 30
+    },
+    {
+        id: 'proverbs-31',
+        title: 'Proverbs in a month',
+        description: 'One chapter of wisdom for every day of the month.',
+        books: ['Proverbs'],
+        durationDays: 31
+    },
+    {
+        id: 'psalms-60',
+        title: 'Psalms in 60 days',
+        description: 'Pray through all 150 psalms in two months.',
+        books: ['Psalms'],
+        durationDays: 60
+    },
+    {
+        id: 'new-testament-90',
+        title: 'New Testament in 90 days',
+        description: 'Read the whole New Testament, Matthew to Revelation, in three months.',
+        testament: 'new',
+        durationDays: 90
+    },
+    {
+        id: 'bible-in-a-year',
+        title: 'The Bible in a year',
+        description: 'Read the whole Bible, Genesis to Revelation, in 365 days.',
+        durationDays: 365
+    }
+];
+
+/**
+ * Builds a plan's daily readings: its chapters split as evenly as possible over
+ * `durationDays`, with consecutive chapters of a book merged ("Matthew 1-3").
+ * Resolves to an array of days, each an array of references.
+ */
+function buildReadingPlanDays(plan) {
+    const books = loadBible().books.filter(book =>
+        (!plan.books || plan.books.includes(book.name)) && (!plan.testament || book.testament === plan.testament)
+    );
+    const chapters = [];
+    books.forEach(book => book.chapters.forEach((verses, index) => chapters.push({ book, chapter: index + 1 })));
+
+    const days = [];
+    for (let day = 0; day < plan.durationDays; day++) {
+        const dayChapters = chapters.slice(
+            Math.floor(day * chapters.length / plan.durationDays),
+            Math.floor((day + 1) * chapters.length / plan.durationDays)
+        );
+        const readings = [];
+        dayChapters.forEach(({ book, chapter }) => {
+            const last = readings[readings.length - 1];
+            if (last && last.book === book && last.endChapter === chapter - 1) {
+                last.endChapter = chapter;
+            } else {
+                readings.push({ book, startChapter: chapter, endChapter: chapter });
+            }
+        });
+        days.push(readings.map(({ book, startChapter, endChapter }) => {
+            const chapterPart = startChapter === endChapter ? `${startChapter}` : `${startChapter}-${endChapter}`;
+            // One-chapter books (e.g. Jude) are read as their verses
+            return book.chapters.length === 1
+                ? `${book.name} 1:1-${book.chapters[0].length}`
+                : `${book.name} ${chapterPart}`;
+        }));
+    }
+    return days;
+}
+
+/**
+ * Finds a reading plan by ID. Throws a 404 httpError otherwise.
+ */
+function getReadingPlan(planId) {
+    const plan = READING_PLANS.find(candidate => candidate.id === planId);
+    if (!plan) throw httpError(404, 'Reading plan not found.');
+    return plan;
+}
+
+/**
+ * Defaults an optional calendar date (the client's local date, checked by `schema.day()`)
+ * to today in UTC.
+ */
+function calendarDateOrToday(value) {
+    return value || new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from calendar date `from` to `to` (both "YYYY-MM-DD").
+ */
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Summarizes an enrollment on a given date: the scheduled day, how far behind the user is
+ * and which earlier days are still unread (to catch up on).
+ */
+function readingPlanProgress(plan, enrollment, today) {
+    const completedDays = enrollment.completedDays || [];
+    const scheduledDay = Math.min(Math.max(daysBetween(enrollment.startDate, today) + 1, 1), plan.durationDays);
+    const missedDays = [];
+    for (let day = 1; day < scheduledDay; day++) {
+        if (!completedDays.includes(day)) missedDays.push(day);
+    }
+    return {
+        planId: plan.id,
+        title: plan.title,
+        durationDays: plan.durationDays,
+        startDate: enrollment.startDate,
+        status: enrollment.status,
+        scheduledDay,
+        completedDays: [...completedDays].sort((a, b) => a - b),
+        completedCount: completedDays.length,
+        percentComplete: Math.round(completedDays.length / plan.durationDays * 100),
+        behindBy: missedDays.length,
+        missedDays,
+        completedAt: formatTimestamp(enrollment.completedAt)
+    };
+}
+
+/**
+ * Reports a user's reading streak as of `today`: a streak survives until a full day passes
+ * without any reading.
+ */
+function formatReadingStreak(streak, today) {
+    const data = streak || {};
+    const alive = data.lastReadOn && daysBetween(data.lastReadOn, today) <= 1;
+    return {
+        current: alive ? data.current : 0,
+        longest: data.longest || 0,
+        lastReadOn: data.lastReadOn || null
+    };
+}
+
+/**
+ * GET /bible/reading-plans
+ * Lists the available reading plans.
+ */
+app.get('/bible/reading-plans', validate(), (req, res) => {
+    // This endpoint is public and does not require authentication
+    const plans = READING_PLANS.map(({ id, title, description, durationDays }) => ({ id, title, description, durationDays }));
+    res.status(200).json({ success: true, plans });
+});
+
+/**
+ * GET /bible/reading-plans/enrolled?date=
+ * The caller's reading plans with progress, plus their reading streak.
+ */
+app.get('/bible/reading-plans/enrolled', authenticate, validate({ query: { date: schema.day() } }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const today = calendarDateOrToday(req.query.date);
+        const userRef = db.collection('users').doc(req.user.uid);
+        const [userDoc, enrollmentsSnapshot] = await Promise.all([
+            userRef.get(),
+            userRef.collection('reading_plans').get()
+        ]);
+        const plans = enrollmentsSnapshot.docs
+            .filter(doc => READING_PLANS.some(plan => plan.id === doc.id))
+            .map(doc => readingPlanProgress(getReadingPlan(doc.id), doc.data(), today));
+        res.status(200).json({
+            success: true,
+            plans,
+            streak: formatReadingStreak((userDoc.data() || {}).readingStreak, today)
+        });
+    } catch (error) {
+        console.error("Error fetching enrolled reading plans:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /bible/reading-plans/:planId
+ * A reading plan with the readings for every day.
+ */
+app.get('/bible/reading-plans/:planId', validate(), (req, res) => {
+    // This endpoint is public and does not require authentication
+    try {
+        const plan = getReadingPlan(req.params.planId);
+        const days = buildReadingPlanDays(plan).map((readings, index) => ({ day: index + 1, readings }));
+        res.status(200).json({
+            success: true,
+            plan: { id: plan.id, title: plan.title, description: plan.description, durationDays: plan.durationDays, days }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /bible/reading-plans/:planId/enroll
+ * Starts a reading plan. Body: { startDate? } (YYYY-MM-DD, defaults to today). Restarting
+ * a plan that is already active is refused; a finished or abandoned plan starts over.
+ */
+app.post('/bible/reading-plans/:planId/enroll', authenticate, validate({ body: { startDate: schema.day() } }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const plan = getReadingPlan(req.params.planId);
+        const startDate = calendarDateOrToday(req.body.startDate);
+        const enrollmentRef = db.collection('users').doc(req.user.uid).collection('reading_plans').doc(plan.id);
+        await db.runTransaction(async (transaction) => {
+            const enrollmentDoc = await transaction.get(enrollmentRef);
+            if (enrollmentDoc.exists && enrollmentDoc.data().status === 'active') {
+                throw httpError(409, 'You are already following this reading plan.');
+            }
+            transaction.set(enrollmentRef, {
+                planId: plan.id,
+                startDate,
+                status: 'active',
+                completedDays: [],
+                enrolledAt: admin.firestore.FieldValue.serverTimestamp(),
+                completedAt: null
+            });
+        });
+        res.status(201).json({ success: true, message: `Enrolled in "${plan.title}".`, startDate });
+    } catch (error) {
+        console.error("Error enrolling in reading plan:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /bible/reading-plans/:planId/enroll
+ * Leaves a reading plan, discarding its progress. The reading streak is kept.
+ */
+app.delete('/bible/reading-plans/:planId/enroll', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const enrollmentRef = db.collection('users').doc(req.user.uid).collection('reading_plans').doc(req.params.planId);
+        const enrollmentDoc = await enrollmentRef.get();
+        if (!enrollmentDoc.exists) {
+            return res.status(404).json({ success: false, message: 'You are not following this reading plan.' });
+        }
+        await enrollmentRef.delete();
+        res.status(200).json({ success: true, message: 'Left the reading plan.' });
+    } catch (error) {
+        console.error("Error leaving reading plan:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /bible/reading-plans/:planId/today?date=
+ * Today's assignment in a plan the caller follows, with the earlier days they still have
+ * to catch up on.
+ */
+app.get('/bible/reading-plans/:planId/today', authenticate, validate({ query: { date: schema.day() } }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const plan = getReadingPlan(req.params.planId);
+        const today = calendarDateOrToday(req.query.date);
+        const enrollmentDoc = await db.collection('users').doc(req.user.uid).collection('reading_plans').doc(plan.id).get();
+        if (!enrollmentDoc.exists) {
+            return res.status(404).json({ success: false, message: 'You are not following this reading plan.' });
+        }
+        const progress = readingPlanProgress(plan, enrollmentDoc.data(), today);
+        const days = buildReadingPlanDays(plan);
+        res.status(200).json({
+            success: true,
+            progress,
+            today: {
+                day: progress.scheduledDay,
+                readings: days[progress.scheduledDay - 1],
+                completed: progress.completedDays.includes(progress.scheduledDay)
+            },
+            catchUp: progress.missedDays.map(day => ({ day, readings: days[day - 1] }))
+        });
+    } catch (error) {
+        console.error("Error fetching today's reading:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /bible/reading-plans/:planId/days/:day/complete
+ * Marks a day's reading as done and extends the caller's reading streak. Any day up to
+ * today's can be completed, so missed days can be caught up. Body: { date? } — the
+ * client's local date, used for the streak.
+ */
+app.post('/bible/reading-plans/:planId/days/:day/complete', authenticate, validate({
+    params: {
+        day: schema.integer({ required: true, min: 1 })
+    },
+    body: {
+        date: schema.day()
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const plan = getReadingPlan(req.params.planId);
+        const today = calendarDateOrToday(req.body.date);
+        const { day } = req.params;
+        if (day > plan.durationDays) {
+            throw httpError(400, `day must be between 1 and ${plan.durationDays}.`);
+        }
+
+        const userRef = db.collection('users').doc(req.user.uid);
+        const enrollmentRef = userRef.collection('reading_plans').doc(plan.id);
+        const result = await db.runTransaction(async (transaction) => {
+            const [userDoc, enrollmentDoc] = await transaction.getAll(userRef, enrollmentRef);
+            if (!enrollmentDoc.exists) throw httpError(404, 'You are not following this reading plan.');
+            const enrollment = enrollmentDoc.data();
+            if (day > readingPlanProgress(plan, enrollment, today).scheduledDay) {
+                throw httpError(409, 'This day is not scheduled yet.');
+            }
+
+            const completedDays = [...new Set([...(enrollment.completedDays || []), day])];
+            const finished = completedDays.length === plan.durationDays;
+            transaction.update(enrollmentRef, {
+                completedDays,
+                ...(finished && enrollment.status !== 'completed' && {
+                    status: 'completed',
+                    completedAt: admin.firestore.FieldValue.serverTimestamp()
+                })
+            });
+
+            // Reading on consecutive days grows the streak; a gap starts it again at 1. Dates
+            // not after the last reading day (e.g. a client clock set back) leave it alone.
+            const streak = (userDoc.data() || {}).readingStreak || {};
+            let nextStreak = streak;
+            if (!streak.lastReadOn || daysBetween(streak.lastReadOn, today) > 0) {
+                const continues = streak.lastReadOn && daysBetween(streak.lastReadOn, today) === 1;
+                const current = continues ? streak.current + 1 : 1;
+                nextStreak = { current, longest: Math.max(streak.longest || 0, current), lastReadOn: today };
+                transaction.set(userRef, { readingStreak: nextStreak }, { merge: true });
+            }
+            return {
+                progress: readingPlanProgress(plan, { ...enrollment, completedDays, status: finished ? 'completed' : enrollment.status }, today),
+                streak: formatReadingStreak(nextStreak, today)
+            };
+        });
+        res.status(200).json({ success: true, message: 'Reading completed.', ...result });
+    } catch (error) {
+        console.error("Error completing reading plan day:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /bible/reading-plans/:planId/catch-up
+ * Reschedules a plan the caller has fallen behind on so that their first unread day
+ * becomes today's reading. Body: { date? }.
+ */
+app.post('/bible/reading-plans/:planId/catch-up', authenticate, validate({ body: { date: schema.day() } }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const plan = getReadingPlan(req.params.planId);
+        const today = calendarDateOrToday(req.body.date);
+        const enrollmentRef = db.collection('users').doc(req.user.uid).collection('reading_plans').doc(plan.id);
+        const enrollmentDoc = await enrollmentRef.get();
+        if (!enrollmentDoc.exists) {
+            return res.status(404).json({ success: false, message: 'You are not following this reading plan.' });
+        }
+        const enrollment = enrollmentDoc.data();
+        const progress = readingPlanProgress(plan, enrollment, today);
+        if (progress.behindBy === 0) {
+            return res.status(409).json({ success: false, message: 'You are not behind on this plan.' });
+        }
+
+        const firstUnreadDay = progress.missedDays[0];
+        const startDate = new Date(Date.parse(`${today}T00:00:00Z`) - (firstUnreadDay - 1) * DAY_MS).toISOString().slice(0, 10);
+        await enrollmentRef.update({ startDate });
+        res.status(200).json({
+            success: true,
+            message: 'Plan rescheduled.',
+            progress: readingPlanProgress(plan, { ...enrollment, startDate }, today)
+        });
+    } catch (error) {
+        console.error("Error rescheduling reading plan:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// -------------------------------------------------------------------------
+// MUSIC ROUTES (CATALOG, PLAYLISTS & TRENDING)
+// -------------------------------------------------------------------------
+
+const MAX_SONG_TEXT_LENGTH = 200;
+const MAX_GENRE_LENGTH = 50;
+const PLAYLIST_VISIBILITIES = ['private', 'public'];
+const MAX_PLAYLIST_NAME_LENGTH = 100;
+const MAX_PLAYLIST_DESCRIPTION_LENGTH = 500;
+const MAX_PLAYLIST_SONGS = 500;
+// Replays of the same song by the same user within this window count as one play
+const PLAY_DEDUP_WINDOW_MS = 10 * 60 * 1000;
+const TRENDING_WINDOW_DAYS = 7;
+const TRENDING_LIKE_WEIGHT = 3;
+const TRENDING_CHART_SIZE = 50;
+
+/**
+ * Normalises a profile `country` into the key used for per-country play stats and chart IDs,
+ * e.g. "South Africa" -> "south-africa".
+ */
+function musicCountryKey(country) {
+    return tokenizeSearchText(country).join('-') || null;
+}
+
+/**
+ * Normalises the catalog fields of a song from a request body already checked by its schema.
+ * With `partial`, only the fields present are returned (for updates); otherwise missing
+ * optional fields get their defaults.
+ */
+function parseSongFields(body, { partial = false } = {}) {
+    const fields = {};
+    for (const field of ['title', 'artist']) {
+        if (body[field] !== undefined) fields[field] = body[field].trim();
+    }
+    if (fields.artist) fields.artistKey = tokenizeSearchText(fields.artist).join(' ');
+    for (const field of ['album', 'genre']) {
+        if (body[field] !== undefined) {
+            fields[field] = body[field] ? body[field].trim() : null;
+        } else if (!partial) {
+            fields[field] = null;
+        }
+    }
+    if (fields.genre) fields.genre = fields.genre.toLowerCase();
+    if (body.streamUrl !== undefined) fields.streamUrl = body.streamUrl;
+    for (const field of ['artworkUrl', 'durationSeconds']) {
+        if (body[field] !== undefined || !partial) fields[field] = body[field] || null;
+    }
+    for (const field of ['featured', 'published']) {
+        if (body[field] !== undefined) {
+            fields[field] = body[field];
+        } else if (!partial) {
+            fields[field] = field === 'published';
+        }
+    }
+    return fields;
+}
+
+/**
+ * Converts a song document into the response format.
+ */
+function formatSong(doc) {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        title: data.title,
+        artist: data.artist,
+        album: data.album || null,
+        artworkUrl: data.artworkUrl || null,
+        durationSeconds: data.durationSeconds || null,
+        streamUrl: data.streamUrl,
+        genre: data.genre || null,
+        featured: data.featured === true,
+        published: data.published !== false,
+        playCount: data.playCount || 0,
+        likeCount: data.likeCount || 0,
+        createdAt: formatTimestamp(data.createdAt),
+        updatedAt: formatTimestamp(data.updatedAt)
+    };
+}
+
+/**
+ * Fetches songs by ID, preserving order. Missing songs, and unpublished ones unless
+ * `includeUnpublished` is set, are left out.
+ */
+async function fetchSongs(songIds, { includeUnpublished = false } = {}) {
+    if (songIds.length === 0) return [];
+    const docs = await db.getAll(...songIds.map(id => db.collection('songs').doc(id)));
+    return docs.filter(doc => doc.exists && (includeUnpublished || doc.data().published !== false));
+}
+
+/**
+ * Adds `delta` plays or likes to a song's stats for one UTC day, both in total and for the
+ * listener's country. Trending charts are computed from these daily documents.
+ */
+function recordSongStat(transaction, songId, day, metric, delta, countryKey) {
+    const countryField = metric === 'plays' ? 'countryPlays' : 'countryLikes';
+    const stat = { songId, day, [metric]: admin.firestore.FieldValue.increment(delta) };
+    if (countryKey) stat[countryField] = { [countryKey]: admin.firestore.FieldValue.increment(delta) };
+    transaction.set(db.collection('song_daily_stats').doc(`${day}_${songId}`), stat, { merge: true });
+}
+
+/**
+ * Converts a playlist document into the response format.
+ */
+function formatPlaylist(doc) {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        ownerId: data.ownerId,
+        name: data.name,
+        description: data.description || '',
+        visibility: data.visibility,
+        songCount: (data.songIds || []).length,
+        createdAt: formatTimestamp(data.createdAt),
+        updatedAt: formatTimestamp(data.updatedAt)
+    };
+}
+
+/**
+ * Normalises playlist name/description/visibility from a request body already checked by its
+ * schema. With `partial`, only the fields present are returned.
+ */
+function parsePlaylistFields(body, { partial = false } = {}) {
+    const fields = {};
+    if (body.name !== undefined) fields.name = body.name.trim();
+    if (body.description !== undefined || !partial) fields.description = body.description || '';
+    if (body.visibility !== undefined || !partial) fields.visibility = body.visibility || 'private';
+    return fields;
+}
+
+/**
+ * Checks a list of song IDs for a playlist: within MAX_PLAYLIST_SONGS once added to
+ * `existingIds`, and all referring to published songs. Returns the new IDs, deduplicated.
+ */
+async function validatePlaylistSongIds(songIds, existingIds = []) {
+    const newIds = [...new Set(songIds)].filter(id => !existingIds.includes(id));
+    if (existingIds.length + newIds.length > MAX_PLAYLIST_SONGS) {
+        throw httpError(400, `A playlist can hold at most ${MAX_PLAYLIST_SONGS} songs.`);
+    }
+    const songs = await fetchSongs(newIds);
+    if (songs.length !== newIds.length) throw httpError(404, 'One or more songs were not found.');
+    return newIds;
+}
+
+/**
+ * Checks that the caller may see a loaded playlist: their own, or anyone's public playlist.
+ * Pass `ownerOnly` for writes. Throws 404/403 httpErrors; others' private playlists are a 404.
+ */
+function assertPlaylistAccess(playlistDoc, userId, { ownerOnly = false } = {}) {
+    if (!playlistDoc.exists) throw httpError(404, 'Playlist not found.');
+    const { ownerId, visibility } = playlistDoc.data();
+    if (ownerId === userId) return;
+    if (visibility !== 'public') throw httpError(404, 'Playlist not found.');
+    if (ownerOnly) throw httpError(403, 'Forbidden: Only the playlist owner can change it.');
+}
+
+/**
+ * Loads a playlist the caller may see (see assertPlaylistAccess()).
+ */
+async function getAccessiblePlaylist(playlistId, userId, options) {
+    const playlistDoc = await db.collection('playlists').doc(playlistId).get();
+    assertPlaylistAccess(playlistDoc, userId, options);
+    return playlistDoc;
+}
+
+/**
+ * Aggregates the last TRENDING_WINDOW_DAYS of daily song stats into ranked charts: one global
+ * chart and one per listener country. A song's score is its plays plus TRENDING_LIKE_WEIGHT
+ * per like. Charts are written to `music_charts/{global|countryKey}`; stale country charts
+ * are removed. Resolves to the number of charts written.
+ */
+async function computeTrendingCharts() {
+    const windowStart = new Date(Date.now() - (TRENDING_WINDOW_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+    const [statsSnapshot, chartsSnapshot] = await Promise.all([
+        db.collection('song_daily_stats').where('day', '>=', windowStart).get(),
+        db.collection('music_charts').get()
+    ]);
+
+    const totals = { global: {} };
+    const add = (chartId, songId, metric, amount) => {
+        const chart = totals[chartId] || (totals[chartId] = {});
+        const entry = chart[songId] || (chart[songId] = { plays: 0, likes: 0 });
+        entry[metric] += amount || 0;
+    };
+    statsSnapshot.docs.forEach(doc => {
+        const { songId, plays, likes, countryPlays = {}, countryLikes = {} } = doc.data();
+        add('global', songId, 'plays', plays);
+        add('global', songId, 'likes', likes);
+        Object.entries(countryPlays).forEach(([countryKey, count]) => add(countryKey, songId, 'plays', count));
+        Object.entries(countryLikes).forEach(([countryKey, count]) => add(countryKey, songId, 'likes', count));
+    });
+
+    // Songs removed or unpublished since they were played don't chart
+    const allSongIds = Object.keys(totals.global);
+    const liveSongIds = new Set();
+    for (const ids of chunk(allSongIds, BATCH_WRITE_LIMIT)) {
+        (await fetchSongs(ids)).forEach(doc => liveSongIds.add(doc.id));
+    }
+
+    const computedAt = admin.firestore.FieldValue.serverTimestamp();
+    const charts = Object.entries(totals).map(([chartId, songs]) => ({
+        chartId,
+        songs: Object.entries(songs)
+            .filter(([songId]) => liveSongIds.has(songId))
+            .map(([songId, { plays, likes }]) => ({ songId, plays, likes, score: plays + likes * TRENDING_LIKE_WEIGHT }))
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score || b.plays - a.plays || compareFieldValues(a.songId, b.songId))
+            .slice(0, TRENDING_CHART_SIZE)
+    }));
+    const staleChartDocs = chartsSnapshot.docs.filter(doc => !totals[doc.id]);
+
+    await commitInBatches(charts, (batch, { chartId, songs }) => {
+        batch.set(db.collection('music_charts').doc(chartId), {
+            country: chartId === 'global' ? null : chartId,
+            windowDays: TRENDING_WINDOW_DAYS,
+            songs,
+            computedAt
+        });
+    });
+    await commitInBatches(staleChartDocs, (batch, doc) => batch.delete(doc.ref));
+    return charts.length;
+}
+
+/**
+ * POST /music/songs
+ * Adds a song to the catalog. Admins only.
+ * Body: { title, artist, streamUrl, album?, artworkUrl?, durationSeconds?, genre?, featured?, published? }
+ */
+app.post('/music/songs', authenticate, requireAdmin, validate({
+    body: {
+        title: schema.string({ required: true, max: MAX_SONG_TEXT_LENGTH }),
+        artist: schema.string({ required: true, max: MAX_SONG_TEXT_LENGTH }),
+        album: schema.string({ max: MAX_SONG_TEXT_LENGTH, nullable: true }),
+        artworkUrl: schema.url({ nullable: true }),
+        durationSeconds: schema.integer({ min: 1, nullable: true }),
+        streamUrl: schema.url({ required: true }),
+        genre: schema.string({ max: MAX_GENRE_LENGTH, nullable: true }),
+        featured: schema.boolean(),
+        published: schema.boolean()
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const newSong = {
+            ...parseSongFields(req.body),
+            playCount: 0,
+            likeCount: 0,
+            createdBy: req.user.uid,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        const songRef = await db.collection('songs').add(newSong);
+        await syncSearchIndex('song', songRef.id, newSong);
+        res.status(201).json({ success: true, message: 'Song added to the catalog.', songId: songRef.id });
+    } catch (error) {
+        console.error("Error creating song:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * PUT /music/songs/:id
+ * Updates a song's catalog fields, e.g. to feature or unpublish it. Admins only.
+ */
+app.put('/music/songs/:id', authenticate, requireAdmin, validate({
+    body: {
+        title: schema.string({ min: 1, max: MAX_SONG_TEXT_LENGTH }),
+        artist: schema.string({ min: 1, max: MAX_SONG_TEXT_LENGTH }),
+        album: schema.string({ max: MAX_SONG_TEXT_LENGTH, nullable: true }),
+        artworkUrl: schema.url({ nullable: true }),
+        durationSeconds: schema.integer({ min: 1, nullable: true }),
+        streamUrl: schema.url(),
+        genre: schema.string({ max: MAX_GENRE_LENGTH, nullable: true }),
+        featured: schema.boolean(),
+        published: schema.boolean()
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const updates = parseSongFields(req.body, { partial: true });
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ success: false, message: 'No song fields to update.' });
+        }
+        const songRef = db.collection('songs').doc(req.params.id);
+        const songDoc = await songRef.get();
+        if (!songDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Song not found.' });
+        }
+        await songRef.update({ ...updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        await syncSearchIndex('song', songRef.id, { ...songDoc.data(), ...updates });
+        res.status(200).json({ success: true, message: 'Song updated.' });
+    } catch (error) {
+        console.error("Error updating song:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /music/songs/:id
+ * Removes a song from the catalog along with its likes. Playlists that reference it simply
+ * stop showing it. Admins only.
+ */
+app.delete('/music/songs/:id', authenticate, requireAdmin, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const songRef = db.collection('songs').doc(req.params.id);
+        const songDoc = await songRef.get();
+        if (!songDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Song not found.' });
+        }
+        await db.recursiveDelete(songRef);
+        await syncSearchIndex('song', songRef.id, null);
+        res.status(200).json({ success: true, message: 'Song deleted.' });
+    } catch (error) {
+        console.error("Error deleting song:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /music/songs?q=&artist=&genre=&featured=true&cursor=&limit=
+ * Browses the catalog, newest first, or searches it by title, artist and album with `q`.
+ * Admins also see unpublished songs.
+ */
+app.get('/music/songs', authenticate, validate({
+    query: {
+        q: schema.string({ max: MAX_SEARCH_QUERY_LENGTH }),
+        artist: schema.string({ max: MAX_SONG_TEXT_LENGTH }),
+        genre: schema.string({ max: MAX_GENRE_LENGTH }),
+        featured: schema.boolean(),
+        ...PAGE_QUERY
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { q, artist, genre, featured, cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const artistKey = artist ? tokenizeSearchText(artist).join(' ') : null;
+        const genreKey = genre ? genre.trim().toLowerCase() : null;
+        const includeUnpublished = isAdmin(req.user);
+
+        let songDocs;
+        let nextCursor;
+        if (q) {
+            // Search results are filtered in memory, so a page may come back short
+            const page = await runSearch({ q, type: 'song', cursor, limit });
+            songDocs = (await fetchSongs(page.results.map(result => result.id), { includeUnpublished }))
+                .filter(doc => (!artistKey || doc.data().artistKey === artistKey)
+                    && (!genreKey || doc.data().genre === genreKey)
+                    && (!featured || doc.data().featured === true));
+            nextCursor = page.nextCursor;
+        } else {
+            let query = db.collection('songs');
+            if (!includeUnpublished) query = query.where('published', '==', true);
+            if (artistKey) query = query.where('artistKey', '==', artistKey);
+            if (genreKey) query = query.where('genre', '==', genreKey);
+            if (featured) query = query.where('featured', '==', true);
+            const page = await paginate(query, [['createdAt', 'desc']], { cursor, limit });
+            songDocs = page.docs;
+            nextCursor = page.nextCursor;
+        }
+        res.status(200).json({ success: true, songs: songDocs.map(formatSong), nextCursor });
+    } catch (error) {
+        console.error("Error fetching songs:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /music/songs/:id
+ * A single song, with whether the caller has liked it.
+ */
+app.get('/music/songs/:id', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const songRef = db.collection('songs').doc(req.params.id);
+        const [songDoc, likeDoc] = await db.getAll(songRef, songRef.collection('likes').doc(req.user.uid));
+        if (!songDoc.exists || (songDoc.data().published === false && !isAdmin(req.user))) {
+            return res.status(404).json({ success: false, message: 'Song not found.' });
+        }
+        res.status(200).json({ success: true, song: { ...formatSong(songDoc), liked: likeDoc.exists } });
+    } catch (error) {
+        console.error("Error fetching song:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /music/songs/:id/play
+ * Records that the caller started playing a song. Counts towards the song's `playCount` and
+ * the trending charts, except for replays within PLAY_DEDUP_WINDOW_MS.
+ */
+app.post('/music/songs/:id/play', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const songId = req.params.id;
+    try {
+        const songRef = db.collection('songs').doc(songId);
+        const userRef = db.collection('users').doc(req.user.uid);
+        const recentPlayRef = userRef.collection('recent_plays').doc(songId);
+
+        const counted = await db.runTransaction(async (transaction) => {
+            const [songDoc, userDoc, recentPlayDoc] = await transaction.getAll(songRef, userRef, recentPlayRef);
+            if (!songDoc.exists || songDoc.data().published === false) throw httpError(404, 'Song not found.');
+
+            const now = admin.firestore.Timestamp.now();
+            const lastPlayedAt = recentPlayDoc.exists ? recentPlayDoc.data().playedAt : null;
+            const isNewPlay = !lastPlayedAt || now.toMillis() - lastPlayedAt.toMillis() >= PLAY_DEDUP_WINDOW_MS;
+
+            transaction.set(recentPlayRef, { songId, playedAt: now }, { merge: true });
+            if (isNewPlay) {
+                const day = now.toDate().toISOString().slice(0, 10);
+                transaction.update(songRef, { playCount: admin.firestore.FieldValue.increment(1) });
+                recordSongStat(transaction, songId, day, 'plays', 1, musicCountryKey((userDoc.data() || {}).country));
+            }
+            return isNewPlay;
+        });
+
+        res.status(200).json({ success: true, message: counted ? 'Play recorded.' : 'Replay not counted.', counted });
+    } catch (error) {
+        console.error("Error recording play:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /music/songs/:id/like
+ * Likes a song. Liking an already-liked song is a no-op.
+ */
+app.post('/music/songs/:id/like', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const songId = req.params.id;
+    try {
+        const songRef = db.collection('songs').doc(songId);
+        const userRef = db.collection('users').doc(req.user.uid);
+        const likeRef = songRef.collection('likes').doc(req.user.uid);
+
+        const liked = await db.runTransaction(async (transaction) => {
+            const [songDoc, userDoc, likeDoc] = await transaction.getAll(songRef, userRef, likeRef);
+            if (!songDoc.exists || songDoc.data().published === false) throw httpError(404, 'Song not found.');
+            if (likeDoc.exists) return false;
+
+            // Remember where the like was counted so unliking can take it back out of the same stats
+            const day = new Date().toISOString().slice(0, 10);
+            const countryKey = musicCountryKey((userDoc.data() || {}).country);
+            transaction.set(likeRef, { userId: req.user.uid, day, countryKey, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+            transaction.update(songRef, { likeCount: admin.firestore.FieldValue.increment(1) });
+            recordSongStat(transaction, songId, day, 'likes', 1, countryKey);
+            return true;
+        });
+
+        res.status(200).json({ success: true, message: liked ? 'Song liked.' : 'Song already liked.' });
+    } catch (error) {
+        console.error("Error liking song:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /music/songs/:id/like
+ * Removes the caller's like from a song.
+ */
+app.delete('/music/songs/:id/like', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const songId = req.params.id;
+    try {
+        const songRef = db.collection('songs').doc(songId);
+        const likeRef = songRef.collection('likes').doc(req.user.uid);
+
+        const removed = await db.runTransaction(async (transaction) => {
+            const [songDoc, likeDoc] = await transaction.getAll(songRef, likeRef);
+            if (!songDoc.exists) throw httpError(404, 'Song not found.');
+            if (!likeDoc.exists) return false;
+
+            const { day, countryKey } = likeDoc.data();
+            transaction.delete(likeRef);
+            transaction.update(songRef, { likeCount: admin.firestore.FieldValue.increment(-1) });
+            recordSongStat(transaction, songId, day, 'likes', -1, countryKey);
+            return true;
+        });
+
+        res.status(200).json({ success: true, message: removed ? 'Like removed.' : 'Song was not liked.' });
+    } catch (error) {
+        console.error("Error unliking song:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /music/recently-played?cursor=&limit=
+ * Songs the caller played, most recent first.
+ */
+app.get('/music/recently-played', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const query = db.collection('users').doc(req.user.uid).collection('recent_plays');
+        const page = await paginate(query, [['playedAt', 'desc']], { cursor: req.query.cursor, limit });
+
+        const songsById = {};
+        (await fetchSongs(page.docs.map(doc => doc.id))).forEach(doc => { songsById[doc.id] = formatSong(doc); });
+        const songs = page.docs
+            .filter(doc => songsById[doc.id])
+            .map(doc => ({ ...songsById[doc.id], playedAt: formatTimestamp(doc.data().playedAt) }));
+        res.status(200).json({ success: true, songs, nextCursor: page.nextCursor });
+    } catch (error) {
+        console.error("Error fetching recently played songs:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /music/playlists
+ * Creates a playlist owned by the caller.
+ * Body: { name, description?, visibility?: 'private' | 'public', songIds? }
+ */
+app.post('/music/playlists', authenticate, validate({
+    body: {
+        name: schema.string({ required: true, max: MAX_PLAYLIST_NAME_LENGTH }),
+        description: schema.string({ max: MAX_PLAYLIST_DESCRIPTION_LENGTH }),
+        visibility: schema.string({ oneOf: PLAYLIST_VISIBILITIES }),
+        songIds: schema.array(schema.id(), { max: MAX_PLAYLIST_SONGS })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const fields = parsePlaylistFields(req.body);
+        const songIds = req.body.songIds === undefined ? [] : await validatePlaylistSongIds(req.body.songIds);
+        const playlistRef = await db.collection('playlists').add({
+            ...fields,
+            ownerId: req.user.uid,
+            songIds,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        res.status(201).json({ success: true, message: 'Playlist created.', playlistId: playlistRef.id });
+    } catch (error) {
+        console.error("Error creating playlist:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /music/playlists?cursor=&limit=
+ * The caller's own playlists, most recently updated first.
+ */
+app.get('/music/playlists', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const query = db.collection('playlists').where('ownerId', '==', req.user.uid);
+        const page = await paginate(query, [['updatedAt', 'desc']], { cursor: req.query.cursor, limit });
+        res.status(200).json({ success: true, playlists: page.docs.map(formatPlaylist), nextCursor: page.nextCursor });
+    } catch (error) {
+        console.error("Error fetching playlists:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /music/users/:userId/playlists?cursor=&limit=
+ * Another user's public playlists.
+ */
+app.get('/music/users/:userId/playlists', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        const query = db.collection('playlists')
+            .where('ownerId', '==', req.params.userId)
+            .where('visibility', '==', 'public');
+        const page = await paginate(query, [['updatedAt', 'desc']], { cursor: req.query.cursor, limit });
+        res.status(200).json({ success: true, playlists: page.docs.map(formatPlaylist), nextCursor: page.nextCursor });
+    } catch (error) {
+        console.error("Error fetching user playlists:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /music/playlists/:id
+ * A playlist with its songs in order. Private playlists are only visible to their owner.
+ */
+app.get('/music/playlists/:id', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const playlistDoc = await getAccessiblePlaylist(req.params.id, req.user.uid);
+        const { ownerId, songIds = [] } = playlistDoc.data();
+        const [songDocs, owners] = await Promise.all([fetchSongs(songIds), fetchUserSummaries([ownerId])]);
+        res.status(200).json({
+            success: true,
+            playlist: {
+                ...formatPlaylist(playlistDoc),
+                owner: owners[ownerId] || null,
+                songs: songDocs.map(formatSong)
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching playlist:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * PUT /music/playlists/:id
+ * Renames, describes or shares a playlist. Passing `songIds` replaces the song list, e.g. to
+ * reorder it. Owner only.
+ */
+app.put('/music/playlists/:id', authenticate, validate({
+    body: {
+        name: schema.string({ min: 1, max: MAX_PLAYLIST_NAME_LENGTH }),
+        description: schema.string({ max: MAX_PLAYLIST_DESCRIPTION_LENGTH }),
+        visibility: schema.string({ oneOf: PLAYLIST_VISIBILITIES }),
+        songIds: schema.array(schema.id(), { max: MAX_PLAYLIST_SONGS })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const playlistDoc = await getAccessiblePlaylist(req.params.id, req.user.uid, { ownerOnly: true });
+        const updates = parsePlaylistFields(req.body, { partial: true });
+        if (req.body.songIds !== undefined) {
+            updates.songIds = await validatePlaylistSongIds(req.body.songIds);
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ success: false, message: 'No playlist fields to update.' });
+        }
+        await playlistDoc.ref.update({ ...updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        res.status(200).json({ success: true, message: 'Playlist updated.' });
+    } catch (error) {
+        console.error("Error updating playlist:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /music/playlists/:id
+ * Deletes a playlist. Owner only.
+ */
+app.delete('/music/playlists/:id', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const playlistDoc = await getAccessiblePlaylist(req.params.id, req.user.uid, { ownerOnly: true });
+        await playlistDoc.ref.delete();
+        res.status(200).json({ success: true, message: 'Playlist deleted.' });
+    } catch (error) {
+        console.error("Error deleting playlist:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /music/playlists/:id/songs
+ * Appends songs to a playlist, skipping ones already in it. Owner only.
+ * Body: { songIds: [...] }
+ */
+app.post('/music/playlists/:id/songs', authenticate, validate({
+    body: {
+        songIds: schema.array(schema.id(), { required: true, min: 1, max: MAX_PLAYLIST_SONGS })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const playlistRef = db.collection('playlists').doc(req.params.id);
+        const addedCount = await db.runTransaction(async (transaction) => {
+            const playlistDoc = await transaction.get(playlistRef);
+            assertPlaylistAccess(playlistDoc, req.user.uid, { ownerOnly: true });
+            const existingIds = playlistDoc.data().songIds || [];
+            const newIds = await validatePlaylistSongIds(req.body.songIds, existingIds);
+            transaction.update(playlistRef, {
+                songIds: [...existingIds, ...newIds],
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return newIds.length;
+        });
+        res.status(200).json({ success: true, message: `${addedCount} song(s) added to the playlist.`, addedCount });
+    } catch (error) {
+        console.error("Error adding songs to playlist:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /music/playlists/:id/songs/:songId
+ * Removes a song from a playlist. Owner only.
+ */
+app.delete('/music/playlists/:id/songs/:songId', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const playlistDoc = await getAccessiblePlaylist(req.params.id, req.user.uid, { ownerOnly: true });
+        await playlistDoc.ref.update({
+            songIds: admin.firestore.FieldValue.arrayRemove(req.params.songId),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        res.status(200).json({ success: true, message: 'Song removed from the playlist.' });
+    } catch (error) {
+        console.error("Error removing song from playlist:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /music/trending?country=&limit=
+ * The trending chart: songs ranked by plays and likes over the last TRENDING_WINDOW_DAYS.
+ * Pass `country` for that country's chart, built from listeners' profile countries.
+ * Charts are refreshed by the /cron/music/trending job.
+ */
+app.get('/music/trending', validate({
+    query: {
+        country: schema.string({ max: MAX_COUNTRY_LENGTH }),
+        limit: schema.integer({ min: 1 })
+    }
+}), async (req, res) => {
+    // This endpoint is public and does not require authentication
+    if (!checkDbConnection(res)) return;
+    try {
+        const limit = Math.min(parsePageLimit(req.query.limit), TRENDING_CHART_SIZE);
+        const chartId = req.query.country ? musicCountryKey(req.query.country) : 'global';
+        if (!chartId) {
+            return sendValidationError(res, [{ location: 'query', field: 'country', message: 'country must contain letters or digits.' }]);
+        }
+        // Until the cron job has built a chart for this country it is simply empty
+        const chartDoc = await db.collection('music_charts').doc(chartId).get();
+        const entries = chartDoc.exists ? chartDoc.data().songs.slice(0, limit) : [];
+        const songsById = {};
+        (await fetchSongs(entries.map(entry => entry.songId))).forEach(doc => { songsById[doc.id] = formatSong(doc); });
+        const songs = entries
+            .filter(entry => songsById[entry.songId])
+            .map((entry, index) => ({
+                ...songsById[entry.songId],
+                rank: index + 1,
+                score: entry.score,
+                recentPlays: entry.plays,
+                recentLikes: entry.likes
+            }));
+        res.status(200).json({
+            success: true,
+            country: chartId === 'global' ? null : chartId,
+            windowDays: TRENDING_WINDOW_DAYS,
+            computedAt: chartDoc.exists ? formatTimestamp(chartDoc.data().computedAt) : null,
+            songs
+        });
+    } catch (error) {
+        console.error("Error fetching trending songs:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /cron/music/trending
+ * Scheduled job (see `crons` in vercel.json) that recomputes the trending charts.
+ */
+app.get('/cron/music/trending', authenticateCron, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const chartCount = await computeTrendingCharts();
+        console.log(`[Backend Log] Recomputed ${chartCount} trending music charts.`);
+        res.status(200).json({ success: true, chartCount });
+    } catch (error) {
+        console.error("Error computing trending charts:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+
+// -------------------------------------------------------------------------
+// NOTIFICATIONS ROUTES
+// -------------------------------------------------------------------------
+
+const DEVICE_PLATFORMS = ['android', 'ios', 'web'];
+// FCM tokens are used as document IDs, which Firestore caps at 1500 bytes
+const MAX_DEVICE_TOKEN_LENGTH = 1500;
+
+// PUT /notifications/preferences accepts { [type]: { inApp?, push? } } for any notification type
+const NOTIFICATION_PREFERENCES_FIELDS = Object.fromEntries(NOTIFICATION_TYPES.map(type => [
+    type,
+    schema.object({ inApp: schema.boolean(), push: schema.boolean() })
+]));
+
+/**
+ * Formats a notification document for the Android client.
+ */
+function formatNotification(doc) {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        type: data.type,
+        title: data.title,
+        body: data.body,
+        data: data.data || {},
+        actorId: data.actorId || null,
+        read: data.read || false,
+        createdAt: formatTimestamp(data.createdAt)
+    };
+}
+
+/**
+ * GET /notifications?unreadOnly=true&cursor=&limit=
+ * Lists the caller's notifications, newest first.
+ */
+app.get('/notifications', authenticate, validate({
+    query: {
+        unreadOnly: schema.boolean(),
+        ...PAGE_QUERY
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { unreadOnly, cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        let query = db.collection('notifications').where('userId', '==', req.user.uid);
+        if (unreadOnly) query = query.where('read', '==', false);
+        const { docs, nextCursor } = await paginate(query, [['createdAt', 'desc']], { cursor, limit });
+        res.status(200).json({ success: true, notifications: docs.map(formatNotification), nextCursor });
+    } catch (error) {
+        console.error("Error fetching notifications:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /notifications/unread-count
+ * Counts the caller's unread notifications (for the app's badge).
+ */
+app.get('/notifications/unread-count', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const snapshot = await db.collection('notifications')
+            .where('userId', '==', req.user.uid)
+            .where('read', '==', false)
+            .count()
+            .get();
+        res.status(200).json({ success: true, unreadCount: snapshot.data().count });
+    } catch (error) {
+        console.error("Error counting unread notifications:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /notifications/read-all
+ * Marks all of the caller's notifications as read.
+ */
+app.post('/notifications/read-all', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const unreadSnapshot = await db.collection('notifications')
+            .where('userId', '==', req.user.uid)
+            .where('read', '==', false)
+            .get();
+        await commitInBatches(unreadSnapshot.docs, (batch, doc) => {
+            batch.update(doc.ref, { read: true, readAt: admin.firestore.FieldValue.serverTimestamp() });
+        });
+        res.status(200).json({ success: true, message: 'All notifications marked as read.', updatedCount: unreadSnapshot.size });
+    } catch (error) {
+        console.error("Error marking notifications read:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /notifications/:notificationId/read
+ * Marks one of the caller's notifications as read.
+ */
+app.post('/notifications/:notificationId/read', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { notificationId } = req.params;
+    try {
+        const notificationRef = db.collection('notifications').doc(notificationId);
+        const notificationDoc = await notificationRef.get();
+        if (!notificationDoc.exists || notificationDoc.data().userId !== req.user.uid) {
+            return res.status(404).json({ success: false, message: 'Notification not found.' });
+        }
+        if (!notificationDoc.data().read) {
+            await notificationRef.update({ read: true, readAt: admin.firestore.FieldValue.serverTimestamp() });
+        }
+        res.status(200).json({ success: true, message: 'Notification marked as read.' });
+    } catch (error) {
+        console.error("Error marking notification read:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /notifications/preferences
+ * Returns the caller's { inApp, push } setting for every notification type.
+ */
+app.get('/notifications/preferences', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const userDoc = await db.collection('users').doc(req.user.uid).get();
+        const preferences = {};
+        NOTIFICATION_TYPES.forEach(type => {
+            preferences[type] = notificationSettings(userDoc.data() || {}, type);
+        });
+        res.status(200).json({ success: true, preferences, mandatoryTypes: MANDATORY_NOTIFICATION_TYPES });
+    } catch (error) {
+        console.error("Error fetching notification preferences:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * PUT /notifications/preferences
+ * Updates per-type settings, e.g. { "chat_message": { "push": false } }. Types not included
+ * are left unchanged; mandatory types can't be turned off.
+ */
+app.put('/notifications/preferences', authenticate, validate({ body: NOTIFICATION_PREFERENCES_FIELDS }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const updates = {};
+    const errors = [];
+    Object.entries(req.body).forEach(([type, setting]) => {
+        if (MANDATORY_NOTIFICATION_TYPES.includes(type)) {
+            errors.push({ location: 'body', field: type, message: `${type} notifications can't be turned off.` });
+            return;
+        }
+        ['inApp', 'push'].forEach(channel => {
+            if (setting[channel] !== undefined) {
+                updates[`notificationPreferences.${type}.${channel}`] = setting[channel];
+            }
+        });
+    });
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    try {
+        const userRef = db.collection('users').doc(req.user.uid);
+        if (Object.keys(updates).length > 0) {
+            await userRef.update(updates);
+        }
+        res.status(200).json({ success: true, message: 'Notification preferences updated.' });
+    } catch (error) {
+        console.error("Error updating notification preferences:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /notifications/devices
+ * Registers a push token for the caller's device. Body: { token, platform: android|ios|web }.
+ */
+app.post('/notifications/devices', authenticate, validate({
+    body: {
+        token: schema.id({ required: true, max: MAX_DEVICE_TOKEN_LENGTH }),
+        platform: schema.string({ oneOf: DEVICE_PLATFORMS })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { token, platform = 'android' } = req.body;
+    try {
+        // The token is the document ID, so re-registering a device just refreshes it
+        await db.collection('users').doc(req.user.uid).collection('devices').doc(token).set({
+            token,
+            platform,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        res.status(201).json({ success: true, message: 'Device registered.' });
+    } catch (error) {
+        console.error("Error registering device:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /notifications/devices/:token
+ * Unregisters a device token, e.g. on sign-out.
+ */
+app.delete('/notifications/devices/:token', authenticate, validate({
+    params: {
+        token: schema.id({ required: true, max: MAX_DEVICE_TOKEN_LENGTH })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        await db.collection('users').doc(req.user.uid).collection('devices').doc(req.params.token).delete();
+        res.status(200).json({ success: true, message: 'Device unregistered.' });
+    } catch (error) {
+        console.error("Error unregistering device:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /cron/notifications
+ * Scheduled job (see `crons` in vercel.json) that finishes the notifications queued by
+ * fanOutNotification(), oldest first, at most NOTIFICATION_JOB_PAGES_PER_RUN pages per run.
+ * Each page is claimed in a transaction before it is sent, so overlapping runs can't
+ * notify anyone twice.
+ */
+app.get('/cron/notifications', authenticateCron, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const jobsSnapshot = await db.collection('notification_jobs')
+            .orderBy('createdAt', 'asc')
+            .limit(NOTIFICATION_JOB_PAGES_PER_RUN)
+            .get();
+
+        let pageCount = 0;
+        let recipientCount = 0;
+        for (const jobDoc of jobsSnapshot.docs) {
+            while (pageCount < NOTIFICATION_JOB_PAGES_PER_RUN) {
+                const claimed = await db.runTransaction(async (transaction) => {
+                    const currentDoc = await transaction.get(jobDoc.ref);
+                    if (!currentDoc.exists) return null;
+                    const { recipientIds, nextIndex, notification } = currentDoc.data();
+                    const end = nextIndex + NOTIFICATION_JOB_PAGE_SIZE;
+                    if (end >= recipientIds.length) {
+                        transaction.delete(jobDoc.ref);
+                    } else {
+                        transaction.update(jobDoc.ref, { nextIndex: end });
+                    }
+                    return { userIds: recipientIds.slice(nextIndex, end), notification, done: end >= recipientIds.length };
+                });
+                if (!claimed) break;
+                await notifyUsers(claimed.userIds, claimed.notification);
+                pageCount++;
+                recipientCount += claimed.userIds.length;
+                if (claimed.done) break;
+            }
+        }
+        res.status(200).json({ success: true, pageCount, recipientCount });
+    } catch (error) {
+        console.error("Error sending queued notifications:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+
+// -------------------------------------------------------------------------
+// REPORTS & MODERATION ROUTES
+// -------------------------------------------------------------------------
+
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'violence', 'sexual_content', 'misinformation', 'impersonation', 'other'];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+const MAX_REPORT_DETAILS_LENGTH = 1000;
+const MAX_MODERATION_REASON_LENGTH = 500;
+const MAX_SUSPENSION_DAYS = 3650;
+
+/**
+ * Everything that can be reported. `ref` locates the target from the request fields, which
+ * include `parentField` when set (comments also need `postId`, messages `chatId`); `ownerId`
+ * names the user responsible for it and `remove` permanently deletes it, given the same
+ * request fields. Users can't be hidden or removed — moderators warn or suspend them instead.
+ */
+const MODERATION_TARGETS = {
+    post: {
+        ref: ({ targetId }) => db.collection('posts').doc(targetId),
+        ownerId: data => data.authorId,
+        preview: data => data.content,
+        remove: async (doc) => {
+            await db.recursiveDelete(doc.ref);
+            await syncSearchIndex('post', doc.id, null);
+        }
+    },
+    comment: {
+        parentField: 'postId',
+        ref: ({ targetId, postId }) => db.collection('posts').doc(postId).collection('comments').doc(targetId),
+        ownerId: data => data.authorId,
+        preview: data => data.content,
+        remove: (doc, { postId }) => deleteComment(db.collection('posts').doc(postId), doc.id, () => true)
+    },
+    message: {
+        parentField: 'chatId',
+        ref: ({ targetId, chatId }) => db.collection('chats').doc(chatId).collection('messages').doc(targetId),
+        ownerId: data => data.senderId,
+        preview: data => messagePreview(data.content, data.attachments),
+        remove: (doc, { chatId }) => db.runTransaction(async (transaction) => {
+            const chatDoc = await transaction.get(db.collection('chats').doc(chatId));
+            if (!chatDoc.exists) throw httpError(404, 'Chat not found.');
+            deleteMessageForEveryone(transaction, chatDoc, doc.ref);
+        })
+    },
+    user: {
+        ref: ({ targetId }) => db.collection('users').doc(targetId),
+        ownerId: (data, doc) => doc.id,
+        preview: data => data.name
+    },
+    church: {
+        ref: ({ targetId }) => db.collection('churches').doc(targetId),
+        ownerId: data => data.createdBy,
+        preview: data => `${data.name}\n${data.description || ''}`.trim(),
+        remove: doc => deleteChurch(doc)
+    },
+    media: {
+        ref: ({ targetId }) => db.collection('media').doc(targetId),
+        ownerId: data => data.uploaderId,
+        preview: data => `${data.title}\n${data.description || ''}`.trim(),
+        remove: async (doc) => {
+            await db.recursiveDelete(doc.ref);
+            await syncSearchIndex('media', doc.id, null);
+        }
+    },
+    prayer_request: {
+        ref: ({ targetId }) => db.collection('prayer_requests').doc(targetId),
+        ownerId: data => data.authorId,
+        preview: data => `${data.title || ''}\n${data.content}`.trim(),
+        remove: doc => db.recursiveDelete(doc.ref)
+    }
+};
+
+/**
+ * The validation errors for a report or moderation body whose target needs a parent ID
+ * (see `parentField`) that wasn't sent.
+ */
+function moderationTargetErrors(body) {
+    const { parentField } = MODERATION_TARGETS[body.targetType];
+    if (!parentField || body[parentField]) return [];
+    return [{ location: 'body', field: parentField, message: `${parentField} is required for ${body.targetType}s.` }];
+}
+
+/**
+ * Loads the document a report or moderation action refers to.
+ * Throws a 404 httpError if it doesn't exist; resolves to { target, doc }.
+ */
+async function getModerationTarget({ targetType, targetId, postId, chatId }) {
+    const target = MODERATION_TARGETS[targetType];
+    const doc = await target.ref({ targetId, postId, chatId }).get();
+    if (!doc.exists) throw httpError(404, `The reported ${targetType} was not found.`);
+    return { target, doc };
+}
+
+/**
+ * Formats a report document for moderators.
+ */
+function formatReport(doc) {
+    const data = doc.data();
+    return {
+        id: doc.id,
+        targetType: data.targetType,
+        targetId: data.targetId,
+        postId: data.postId || null,
+        chatId: data.chatId || null,
+        targetOwnerId: data.targetOwnerId || null,
+        targetPreview: data.targetPreview || '',
+        reporterId: data.reporterId,
+        reason: data.reason,
+        details: data.details || '',
+        status: data.status,
+        resolution: data.resolution || null,
+        resolvedBy: data.resolvedBy || null,
+        resolvedAt: formatTimestamp(data.resolvedAt),
+        createdAt: formatTimestamp(data.createdAt)
+    };
+}
+
+/**
+ * Writes an entry to the moderation audit log and closes the reports the action settles:
+ * `reportId` if one was given, plus — when `resolveTargetReports` is set — every other open
+ * report against the same target.
+ */
+async function recordModerationAction(moderatorId, action, {
+    targetType, targetId, targetPath, reportId, reason, resolveTargetReports = false, reportStatus = 'resolved'
+}) {
+    const reportRefs = new Map();
+    if (reportId) {
+        const reportDoc = await db.collection('reports').doc(reportId).get();
+        if (!reportDoc.exists) throw httpError(404, 'Report not found.');
+        reportRefs.set(reportDoc.id, reportDoc.ref);
+    }
+    if (resolveTargetReports && targetPath) {
+        const openReports = await db.collection('reports')
+            .where('targetPath', '==', targetPath)
+            .where('status', '==', 'open')
+            .get();
+        openReports.docs.forEach(doc => reportRefs.set(doc.id, doc.ref));
+    }
+
+    await commitInBatches([...reportRefs.values()], (batch, reportRef) => {
+        batch.update(reportRef, {
+            status: reportStatus,
+            resolution: action,
+            resolvedBy: moderatorId,
+            resolvedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    });
+    await db.collection('moderation_actions').add({
+        action,
+        moderatorId,
+        targetType,
+        targetId,
+        targetPath: targetPath || null,
+        reportIds: [...reportRefs.keys()],
+        reason: reason || '',
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return reportRefs.size;
+}
+
+/**
+ * POST /reports
+ * Reports a post, comment, message, user, church, media item or prayer request to the moderators.
+ * Body: { targetType, targetId, postId?, chatId?, reason, details? }. A user can have only one
+ * open report per target.
+ */
+app.post('/reports', authenticate, validate({
+    body: {
+        targetType: schema.string({ required: true, oneOf: Object.keys(MODERATION_TARGETS) }),
+        targetId: schema.id({ required: true }),
+        postId: schema.id(),
+        chatId: schema.id(),
+        reason: schema.string({ required: true, oneOf: REPORT_REASONS }),
+        details: schema.string({ max: MAX_REPORT_DETAILS_LENGTH })
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { targetType, targetId, postId, chatId, reason, details } = req.body;
+    const reporterId = req.user.uid;
+    const errors = moderationTargetErrors(req.body);
+    if (errors.length > 0) return sendValidationError(res, errors);
+    if (targetType === 'user' && targetId === reporterId) {
+        return res.status(400).json({ success: false, message: 'You cannot report yourself.' });
+    }
+
+    try {
+        // Only participants can see a conversation, so only they can report its messages.
+        // Checked first so that non-participants can't probe which messages exist.
+        if (targetType === 'message') {
+            await getChatForParticipant(chatId, reporterId);
+        }
+        const { target, doc } = await getModerationTarget({ targetType, targetId, postId, chatId });
+
+        const reportRef = db.collection('reports').doc();
+        await db.runTransaction(async (transaction) => {
+            const existing = await transaction.get(db.collection('reports')
+                .where('targetPath', '==', doc.ref.path)
+                .where('reporterId', '==', reporterId)
+                .where('status', '==', 'open')
+                .limit(1));
+            if (!existing.empty) {
+                throw httpError(409, 'You have already reported this.');
+            }
+            transaction.set(reportRef, {
+                targetType,
+                targetId,
+                postId: targetType === 'comment' ? postId : null,
+                chatId: targetType === 'message' ? chatId : null,
+                targetPath: doc.ref.path,
+                targetOwnerId: target.ownerId(doc.data(), doc) || null,
+                // Kept so moderators can still see what was reported if the content changes
+                targetPreview: (target.preview(doc.data()) || '').slice(0, 500),
+                reporterId,
+                reason,
+                details: details || '',
+                status: 'open',
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+        res.status(201).json({ success: true, message: 'Report submitted. Thank you for helping keep the community safe.', reportId: reportRef.id });
+    } catch (error) {
+        console.error("Error creating report:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /moderation/reports?status=open|resolved|dismissed&targetType=&cursor=&limit=
+ * The moderation queue, oldest report first. Moderators only.
+ */
+app.get('/moderation/reports', authenticate, requireModerator, validate({
+    query: {
+        status: schema.string({ oneOf: REPORT_STATUSES }),
+        targetType: schema.string({ oneOf: Object.keys(MODERATION_TARGETS) }),
+        ...PAGE_QUERY
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { status = 'open', targetType, cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        let query = db.collection('reports').where('status', '==', status);
+        if (targetType) query = query.where('targetType', '==', targetType);
+        const { docs, nextCursor } = await paginate(query, [['createdAt', 'asc']], { cursor, limit });
+        res.status(200).json({ success: true, reports: docs.map(formatReport), nextCursor });
+    } catch (error) {
+        console.error("Error fetching moderation reports:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /moderation/reports/:reportId
+ * A single report with the current state of its target and how many open reports it has.
+ * Moderators only.
+ */
+app.get('/moderation/reports/:reportId', authenticate, requireModerator, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { reportId } = req.params;
+    try {
+        const reportDoc = await db.collection('reports').doc(reportId).get();
+        if (!reportDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Report not found.' });
+        }
+        const { targetPath } = reportDoc.data();
+        const [targetDoc, openReportsSnapshot] = await Promise.all([
+            db.doc(targetPath).get(),
+            db.collection('reports').where('targetPath', '==', targetPath).where('status', '==', 'open').get()
+        ]);
+        const targetData = targetDoc.data() || {};
+        res.status(200).json({
+            success: true,
+            report: formatReport(reportDoc),
+            target: {
+                exists: targetDoc.exists,
+                hidden: targetData.hidden || false,
+                preview: targetDoc.exists ? MODERATION_TARGETS[reportDoc.data().targetType].preview(targetData) || '' : null,
+                openReportCount: openReportsSnapshot.size
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching moderation report:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /moderation/reports/:reportId/dismiss
+ * Closes a report without acting on its target. Body: { reason? }. Moderators only.
+ */
+app.post('/moderation/reports/:reportId/dismiss', authenticate, requireModerator, validate({ body: { reason: schema.string({ max: MAX_MODERATION_REASON_LENGTH }) } }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { reportId } = req.params;
+    try {
+        const reportDoc = await db.collection('reports').doc(reportId).get();
+        if (!reportDoc.exists) {
+            return res.status(404).json({ success: false, message: 'Report not found.' });
+        }
+        const report = reportDoc.data();
+        await recordModerationAction(req.user.uid, 'dismiss', {
+            targetType: report.targetType,
+            targetId: report.targetId,
+            targetPath: report.targetPath,
+            reportId,
+            reason: req.body.reason,
+            reportStatus: 'dismissed'
+        });
+        res.status(200).json({ success: true, message: 'Report dismissed.' });
+    } catch (error) {
+        console.error("Error dismissing report:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /moderation/content/:action  (action: hide | unhide | remove)
+ * Hides content from feeds, lists and search, restores hidden content, or deletes it for good.
+ * Body: { targetType, targetId, postId?, chatId?, reason?, reportId? }. Hiding or removing
+ * resolves every open report against the target. Moderators only.
+ */
+app.post('/moderation/content/:action', authenticate, requireModerator, validate({
+    params: {
+        action: schema.string({ required: true, max: MAX_ID_LENGTH })
+    },
+    body: {
+        targetType: schema.string({ required: true, oneOf: Object.keys(MODERATION_TARGETS) }),
+        targetId: schema.id({ required: true }),
+        postId: schema.id(),
+        chatId: schema.id(),
+        reason: schema.string({ max: MAX_MODERATION_REASON_LENGTH }),
+        reportId: schema.id()
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { action } = req.params;
+    const { targetType, targetId, postId, chatId, reason, reportId } = req.body;
+    if (!['hide', 'unhide', 'remove'].includes(action)) {
+        return res.status(404).json({ success: false, message: 'Unknown moderation action.' });
+    }
+    if (targetType === 'user') {
+        return res.status(400).json({ success: false, message: 'Users cannot be hidden or removed; warn or suspend them instead.' });
+    }
+    const errors = moderationTargetErrors(req.body);
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    try {
+        const { target, doc } = await getModerationTarget({ targetType, targetId, postId, chatId });
+        const targetPath = doc.ref.path;
+
+        if (action === 'remove') {
+            await target.remove(doc, { postId, chatId });
+        } else {
+            const hidden = action === 'hide';
+            await doc.ref.update({
+                hidden,
+                hiddenBy: hidden ? req.user.uid : admin.firestore.FieldValue.delete(),
+                hiddenAt: hidden ? admin.firestore.FieldValue.serverTimestamp() : admin.firestore.FieldValue.delete()
+            });
+            if (SEARCH_SOURCES[targetType]) {
+                await syncSearchIndex(targetType, targetId, { ...doc.data(), hidden });
+            }
+        }
+
+        const resolvedReportCount = await recordModerationAction(req.user.uid, action, {
+            targetType,
+            targetId,
+            targetPath,
+            reportId,
+            reason,
+            resolveTargetReports: action !== 'unhide'
+        });
+        const outcome = { hide: 'hidden', unhide: 'restored', remove: 'removed' }[action];
+        res.status(200).json({ success: true, message: `Content ${outcome}.`, resolvedReportCount });
+    } catch (error) {
+        console.error(`Error applying moderation action ${action}:`, error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /moderation/users/:userId/warn
+ * Warns a user: increments their `warningCount` and leaves them a notification.
+ * Body: { reason, reportId? }. Moderators only.
+ */
+app.post('/moderation/users/:userId/warn', authenticate, requireModerator, validate({
+    body: {
+        reason: schema.string({ required: true, max: MAX_MODERATION_REASON_LENGTH }),
+        reportId: schema.id()
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { userId } = req.params;
+    const { reason, reportId } = req.body;
+    try {
+        const userRef = db.collection('users').doc(userId);
+        const userDoc = await userRef.get();
+        if (!userDoc.exists) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+
+        await userRef.update({ warningCount: admin.firestore.FieldValue.increment(1) });
+        await notifyUsers([userId], {
+            type: 'moderation_warning',
+            title: 'Community guidelines warning',
+            body: reason
+        });
+
+        await recordModerationAction(req.user.uid, 'warn', {
+            targetType: 'user', targetId: userId, targetPath: userRef.path, reportId, reason
+        });
+        res.status(200).json({ success: true, message: 'User warned.' });
+    } catch (error) {
+        console.error("Error warning user:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /moderation/users/:userId/suspend
+ * Suspends a user, who is then refused by `authenticate`. Body: { reason, durationDays?, reportId? };
+ * without `durationDays` the suspension lasts until lifted. Moderators only.
+ */
+app.post('/moderation/users/:userId/suspend', authenticate, requireModerator, validate({
+    body: {
+        reason: schema.string({ required: true, max: MAX_MODERATION_REASON_LENGTH }),
+        durationDays: schema.integer({ min: 1, max: MAX_SUSPENSION_DAYS }),
+        reportId: schema.id()
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { userId } = req.params;
+    const { reason, durationDays, reportId } = req.body;
+    if (userId === req.user.uid) {
+        return res.status(400).json({ success: false, message: 'You cannot suspend yourself.' });
+    }
+    try {
+        const userRef = db.collection('users').doc(userId);
+        const userDoc = await userRef.get();
+        if (!userDoc.exists) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+
+        const until = durationDays
+            ? admin.firestore.Timestamp.fromMillis(Date.now() + durationDays * 24 * 60 * 60 * 1000)
+            : null;
+        await userRef.update({
+            suspension: {
+                reason,
+                until,
+                suspendedBy: req.user.uid,
+                suspendedAt: admin.firestore.FieldValue.serverTimestamp()
+            }
+        });
+        await recordModerationAction(req.user.uid, 'suspend', {
+            targetType: 'user',
+            targetId: userId,
+            targetPath: userRef.path,
+            reportId,
+            reason,
+            resolveTargetReports: true
+        });
+        res.status(200).json({ success: true, message: 'User suspended.', suspendedUntil: formatTimestamp(until) });
+    } catch (error) {
+        console.error("Error suspending user:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /moderation/users/:userId/suspension
+ * Lifts a user's suspension. Body: { reason? }. Moderators only.
+ */
+app.delete('/moderation/users/:userId/suspension', authenticate, requireModerator, validate({ body: { reason: schema.string({ max: MAX_MODERATION_REASON_LENGTH }) } }), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { userId } = req.params;
+    try {
+        const userRef = db.collection('users').doc(userId);
+        const userDoc = await userRef.get();
+        if (!userDoc.exists || !userDoc.data().suspension) {
+            return res.status(404).json({ success: false, message: 'This user is not suspended.' });
+        }
+        await userRef.update({ suspension: admin.firestore.FieldValue.delete() });
+        await recordModerationAction(req.user.uid, 'unsuspend', {
+            targetType: 'user', targetId: userId, targetPath: userRef.path, reason: req.body.reason
+        });
+        res.status(200).json({ success: true, message: 'Suspension lifted.' });
+    } catch (error) {
+        console.error("Error lifting suspension:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /moderation/moderators/:userId  and  DELETE /moderation/moderators/:userId
+ * Grants or revokes the `moderator` custom claim. Takes effect when the user's ID token
+ * is next refreshed. Moderators only.
+ */
+async function setModeratorClaim(req, res, grant) {
+    if (!checkDbConnection(res)) return;
+    const { userId } = req.params;
+    if (!grant && userId === req.user.uid) {
+        return res.status(400).json({ success: false, message: 'You cannot revoke your own moderator access.' });
+    }
+    try {
+        const userRecord = await admin.auth().getUser(userId);
+        const claims = { ...(userRecord.customClaims || {}) };
+        if (grant) {
+            claims.moderator = true;
+        } else {
+            delete claims.moderator;
+        }
+        await admin.auth().setCustomUserClaims(userId, claims);
+        await recordModerationAction(req.user.uid, grant ? 'grant_moderator' : 'revoke_moderator', {
+            targetType: 'user', targetId: userId, targetPath: db.collection('users').doc(userId).path
+        });
+        res.status(200).json({ success: true, message: grant ? 'Moderator access granted.' : 'Moderator access revoked.' });
+    } catch (error) {
+        console.error("Error updating moderator claim:", error);
+        const status = error.code === 'auth/user-not-found' ? 404 : (error.status || 500);
+        res.status(status).json({ success: false, message: error.message });
+    }
+}
+
+app.post('/moderation/moderators/:userId', authenticate, requireModerator, validate(), (req, res) => setModeratorClaim(req, res, true));
+app.delete('/moderation/moderators/:userId', authenticate, requireModerator, validate(), (req, res) => setModeratorClaim(req, res, false));
+
+/**
+ * GET /moderation/audit-log?moderatorId=&targetType=&cursor=&limit=
+ * Moderation actions, newest first. Moderators only.
+ */
+app.get('/moderation/audit-log', authenticate, requireModerator, validate({
+    query: {
+        moderatorId: schema.id(),
+        targetType: schema.string({ oneOf: Object.keys(MODERATION_TARGETS) }),
+        ...PAGE_QUERY
+    }
+}), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    const { moderatorId, targetType, cursor } = req.query;
+    try {
+        const limit = parsePageLimit(req.query.limit);
+        let query = db.collection('moderation_actions');
+        if (moderatorId) query = query.where('moderatorId', '==', moderatorId);
+        if (targetType) query = query.where('targetType', '==', targetType);
+        const { docs, nextCursor } = await paginate(query, [['createdAt', 'desc']], { cursor, limit });
+        const actions = docs.map(doc => {
+            const data = doc.data();
+            return {
+                id: doc.id,
+                action: data.action,
+                moderatorId: data.moderatorId,
+                targetType: data.targetType,
+                targetId: data.targetId,
+                reportIds: data.reportIds || [],
+                reason: data.reason || '',
+                createdAt: formatTimestamp(data.createdAt)
+            };
+        });
+        res.status(200).json({ success: true, actions, nextCursor });
+    } catch (error) {
+        console.error("Error fetching moderation audit log:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+// -------------------------------------------------------------------------
+// ACCOUNT DATA ROUTES (EXPORT & DELETION)
+// -------------------------------------------------------------------------
+
+const ACCOUNT_DELETION_GRACE_DAYS = 30;
+const ACCOUNT_DELETIONS_PER_RUN = 5;
+const DELETED_USER_NAME = 'Deleted user';
+
+/**
+ * Everything a user owns or wrote outside their own `users/{uid}` document, by export section.
+ * Subcollections of the user document (bookmarks, notes, reading plans, devices, ...) are
+ * exported separately by listing them, so new ones are picked up without changes here.
+ */
+const ACCOUNT_EXPORT_QUERIES = {
+    posts: userId => db.collection('posts').where('authorId', '==', userId),
+    statuses: userId => db.collection('statuses').where('authorId', '==', userId),
+    comments: userId => db.collectionGroup('comments').where('authorId', '==', userId),
+    reactions: userId => db.collectionGroup('reactions').where('userId', '==', userId),
+    chats: userId => db.collection('chats').where('participants', 'array-contains', userId),
+    messages: userId => db.collectionGroup('messages').where('senderId', '==', userId),
+    sentFriendRequests: userId => db.collection('friend_requests').where('from', '==', userId),
+    receivedFriendRequests: userId => db.collection('friend_requests').where('to', '==', userId),
+    friendships: userId => db.collection('friendships').where('users', 'array-contains', userId),
+    following: userId => db.collection('follows').where('followerId', '==', userId),
+    followers: userId => db.collection('follows').where('followeeId', '==', userId),
+    blockedUsers: userId => db.collection('blocks').where('blockerId', '==', userId),
+    churchesCreated: userId => db.collection('churches').where('createdBy', '==', userId),
+    churchMemberships: userId => db.collection('churches').where('members', 'array-contains', userId),
+    eventRsvps: userId => db.collectionGroup('rsvps').where('userId', '==', userId),
+    media: userId => db.collection('media').where('uploaderId', '==', userId),
+    likes: userId => db.collectionGroup('likes').where('userId', '==', userId),
+    prayerRequests: userId => db.collection('prayer_requests').where('authorId', '==', userId),
+    prayerCommitments: userId => db.collectionGroup('prayers').where('userId', '==', userId),
+    encouragements: userId => db.collectionGroup('encouragements').where('authorId', '==', userId),
+    playlists: userId => db.collection('playlists').where('ownerId', '==', userId),
+    notifications: userId => db.collection('notifications').where('userId', '==', userId)
+};
+
+/**
+ * Converts stored values for the export archive, turning Timestamps (at any depth) into ISO strings.
+ */
+function exportValue(value) {
+    if (value instanceof admin.firestore.Timestamp) return value.toDate().toISOString();
+    if (Array.isArray(value)) return value.map(exportValue);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, exportValue(inner)]));
+    }
+    return value;
+}
+
+/**
+ * Formats a document for the export archive. `path` says where it lives, which matters for
+ * subcollection entries such as comments and reactions.
+ */
+function exportDoc(doc) {
+    return { id: doc.id, path: doc.ref.path, ...exportValue(doc.data()) };
+}
+
+/**
+ * Builds the data export archive for a user. Throws a 404 httpError if they have no profile.
+ */
+async function buildAccountExport(userId) {
+    const userRef = db.collection('users').doc(userId);
+    const userDoc = await userRef.get();
+    if (!userDoc.exists) throw httpError(404, 'User profile not found.');
+
+    const sections = Object.entries(ACCOUNT_EXPORT_QUERIES);
+    const snapshots = await Promise.all(sections.map(([, buildQuery]) => buildQuery(userId).get()));
+    const archive = {
+        exportedAt: new Date().toISOString(),
+        userId,
+        profile: exportValue(userDoc.data()),
+        profileCollections: {}
+    };
+    sections.forEach(([section], index) => {
+        archive[section] = snapshots[index].docs.map(exportDoc);
+    });
+
+    const subcollections = await userRef.listCollections();
+    const subSnapshots = await Promise.all(subcollections.map(collectionRef => collectionRef.get()));
+    subcollections.forEach((collectionRef, index) => {
+        archive.profileCollections[collectionRef.id] = subSnapshots[index].docs.map(exportDoc);
+    });
+    return archive;
+}
+
+/**
+ * Formats the `deletion` field of a user document for the client.
+ */
+function formatAccountDeletion(deletion) {
+    return {
+        scheduled: Boolean(deletion),
+        requestedAt: deletion ? formatTimestamp(deletion.requestedAt) : null,
+        scheduledFor: deletion ? formatTimestamp(deletion.scheduledFor) : null
+    };
+}
+
+/**
+ * Deletes every document a query matches, in batches.
+ */
+async function deleteQueryResults(query) {
+    const snapshot = await query.get();
+    await commitInBatches(snapshot.docs, (batch, doc) => batch.delete(doc.ref));
+    return snapshot.docs;
+}
+
+/**
+ * Takes a departing owner out of a church they created. Ownership passes to the
+ * longest-standing admin, or failing that the longest-standing member; a church with
+ * nobody else left is deleted.
+ */
+async function removeChurchOwner(churchRef, ownerId) {
+    const abandonedDoc = await db.runTransaction(async (transaction) => {
+        const churchDoc = await transaction.get(churchRef);
+        if (!churchDoc.exists) return null;
+        const churchData = churchDoc.data();
+
+        const members = (churchData.members || []).filter(id => id !== ownerId);
+        const admins = (churchData.admins || []).filter(id => id !== ownerId);
+        const successor = admins[0] || members[0];
+        if (!successor) return churchDoc;
+
+        transaction.update(churchRef, {
+            createdBy: successor,
+            members,
+            admins: admins.includes(successor) ? admins : [successor, ...admins],
+            ...((churchData.members || []).includes(ownerId) && {
+                followerCount: admin.firestore.FieldValue.increment(-1)
+            })
+        });
+        return null;
+    });
+    if (abandonedDoc) await deleteChurch(abandonedDoc);
+}
+
+/**
+ * Permanently removes a user's account. Content that is only theirs (posts, statuses, media,
+ * prayer requests, playlists, their profile and its subcollections) is deleted; comments and
+ * messages in other people's threads and chats are kept as anonymous tombstones so those
+ * conversations still make sense. Reactions, RSVPs and encouragements are withdrawn with
+ * their counters; likes, views and prayer commitments stay counted but no longer say who.
+ * Every step tolerates having run before, so a deletion interrupted part-way can be retried.
+ * The Firebase Auth user is deleted last.
+ */
+async function deleteAccount(userId) {
+    const userRef = db.collection('users').doc(userId);
+    // A pending name or photo sync would otherwise write them back onto the anonymized copies
+    await db.collection('profile_sync_jobs').doc(userId).delete();
+
+    // Churches: hand over the ones they own, leave the rest
+    const [ownedChurches, memberChurches] = await Promise.all([
+        ACCOUNT_EXPORT_QUERIES.churchesCreated(userId).get(),
+        ACCOUNT_EXPORT_QUERIES.churchMemberships(userId).get()
+    ]);
+    for (const churchDoc of ownedChurches.docs) {
+        await removeChurchOwner(churchDoc.ref, userId);
+    }
+    for (const churchDoc of memberChurches.docs) {
+        if (churchDoc.data().createdBy === userId) continue;
+        await removeChurchMember(churchDoc.id, userId, userId);
+    }
+
+    // Unfollow everyone and drop their followers, keeping the other users' counters right
+    const [following, followers] = await Promise.all([
+        ACCOUNT_EXPORT_QUERIES.following(userId).get(),
+        ACCOUNT_EXPORT_QUERIES.followers(userId).get()
+    ]);
+    // set-merge like removeFollows(): a missing user document must not abort the whole batch
+    await commitInBatches(following.docs, (batch, doc) => {
+        batch.delete(doc.ref);
+        batch.set(db.collection('users').doc(doc.data().followeeId), {
+            followerCount: admin.firestore.FieldValue.increment(-1)
+        }, { merge: true });
+    }, 2);
+    await commitInBatches(followers.docs, (batch, doc) => {
+        batch.delete(doc.ref);
+        batch.set(db.collection('users').doc(doc.data().followerId), {
+            followingCount: admin.firestore.FieldValue.increment(-1)
+        }, { merge: true });
+    }, 2);
+
+    // Content only they own
+    const [posts, statuses, media, prayerRequests] = await Promise.all([
+        ACCOUNT_EXPORT_QUERIES.posts(userId).get(),
+        ACCOUNT_EXPORT_QUERIES.statuses(userId).get(),
+        ACCOUNT_EXPORT_QUERIES.media(userId).get(),
+        ACCOUNT_EXPORT_QUERIES.prayerRequests(userId).get()
+    ]);
+    // Testimonies shared from anonymous requests carry no uploader, only the request links them
+    const testimonyRefs = prayerRequests.docs
+        .filter(doc => doc.data().anonymous && doc.data().testimonyMediaId)
+        .map(doc => db.collection('media').doc(doc.data().testimonyMediaId));
+    const mediaRefs = [...media.docs.map(doc => doc.ref), ...testimonyRefs];
+    for (const ref of [...[...posts.docs, ...statuses.docs, ...prayerRequests.docs].map(doc => doc.ref), ...mediaRefs]) {
+        await db.recursiveDelete(ref);
+    }
+    await Promise.all([
+        ...posts.docs.map(doc => syncSearchIndex('post', doc.id, null)),
+        ...mediaRefs.map(ref => syncSearchIndex('media', ref.id, null))
+    ]);
+    await deleteQueryResults(ACCOUNT_EXPORT_QUERIES.playlists(userId));
+
+    // Their contributions to other people's content
+    const reactions = await ACCOUNT_EXPORT_QUERIES.reactions(userId).get();
+    for (const doc of reactions.docs) {
+        await setReaction(doc.ref.parent.parent, userId, null, 'Reaction target').catch(error => {
+            if (error.status !== 404) throw error;
+        });
+    }
+    const rsvps = await ACCOUNT_EXPORT_QUERIES.eventRsvps(userId).get();
+    for (const doc of rsvps.docs) {
+        await setEventRsvp(doc.ref.parent.parent, userId, null).catch(error => {
+            if (error.status !== 404) throw error;
+        });
+    }
+    const encouragements = await ACCOUNT_EXPORT_QUERIES.encouragements(userId).get();
+    await commitInBatches(encouragements.docs, (batch, doc) => {
+        batch.delete(doc.ref);
+        batch.set(doc.ref.parent.parent, { encouragementCount: admin.firestore.FieldValue.increment(-1) }, { merge: true });
+    }, 2);
+    await deleteQueryResults(ACCOUNT_EXPORT_QUERIES.likes(userId));
+    await deleteQueryResults(ACCOUNT_EXPORT_QUERIES.prayerCommitments(userId));
+    await deleteQueryResults(db.collectionGroup('viewers').where('userId', '==', userId));
+    await deleteQueryResults(db.collectionGroup('views').where('viewerId', '==', userId));
+
+    const comments = await ACCOUNT_EXPORT_QUERIES.comments(userId).get();
+    await commitInBatches(comments.docs, (batch, doc) => {
+        batch.update(doc.ref, { authorName: DELETED_USER_NAME, authorPhotoUrl: null, content: '', deleted: true });
+    });
+
+    // Chats: messages become tombstones, groups lose the member, direct chats keep a placeholder name
+    const messages = await ACCOUNT_EXPORT_QUERIES.messages(userId).get();
+    await commitInBatches(messages.docs, (batch, doc) => {
+        batch.update(doc.ref, {
+            content: '',
+            attachments: [],
+            deletedForEveryone: true,
+            deletedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    });
+    const chats = await ACCOUNT_EXPORT_QUERIES.chats(userId).get();
+    for (const chatDoc of chats.docs.filter(doc => doc.data().type === 'group')) {
+        await removeGroupMember(chatDoc.ref, userId, userId);
+    }
+    const chatRefs = new Map(chats.docs.map(doc => [doc.id, doc.ref]));
+    messages.docs.forEach(doc => chatRefs.set(doc.ref.parent.parent.id, doc.ref.parent.parent));
+    const chatDocs = chatRefs.size > 0 ? await db.getAll(...chatRefs.values()) : [];
+    await commitInBatches(chatDocs.filter(doc => doc.exists), (batch, chatDoc) => {
+        const chatData = chatDoc.data();
+        const updates = {};
+        if (chatData.lastMessageSenderId === userId) updates.lastMessage = DELETED_MESSAGE_PREVIEW;
+        if (chatData.type !== 'group' && chatData.participants.includes(userId)) {
+            updates[`participantNames.${userId}`] = DELETED_USER_NAME;
+        }
+        if (Object.keys(updates).length > 0) batch.update(chatDoc.ref, updates);
+    });
+
+    // Relationships and notifications
+    await deleteQueryResults(ACCOUNT_EXPORT_QUERIES.sentFriendRequests(userId));
+    await deleteQueryResults(ACCOUNT_EXPORT_QUERIES.receivedFriendRequests(userId));
+    await deleteQueryResults(ACCOUNT_EXPORT_QUERIES.friendships(userId));
+    await deleteQueryResults(db.collection('blocks').where('blockerId', '==', userId));
+    await deleteQueryResults(db.collection('blocks').where('blockedId', '==', userId));
+    await deleteQueryResults(ACCOUNT_EXPORT_QUERIES.notifications(userId));
+    await deleteQueryResults(db.collection('notifications').where('actorId', '==', userId));
+    await deleteQueryResults(db.collection('notification_jobs').where('actorId', '==', userId));
+
+    // Finally the profile itself and the sign-in account
+    await syncSearchIndex('user', userId, null);
+    await db.recursiveDelete(userRef);
+    try {
+        await admin.auth().deleteUser(userId);
+    } catch (error) {
+        if (error.code !== 'auth/user-not-found') throw error;
+    }
+}
+
+/**
+ * GET /account/export
+ * Downloads everything the caller has on LonyiChat as a single JSON archive: profile and its
+ * subcollections, posts, statuses, comments, reactions, chats and the messages they sent,
+ * friend requests, friendships, follows, blocks, churches created and joined, event RSVPs, media,
+ * likes, prayer requests, playlists and notifications.
+ */
+app.get('/account/export', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const archive = await buildAccountExport(req.user.uid);
+        const day = archive.exportedAt.slice(0, 10);
+        res.set('Content-Disposition', `attachment; filename="lonyichat-export-${day}.json"`);
+        res.status(200).json(archive);
+    } catch (error) {
+        console.error("Error exporting account data:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * POST /account/deletion
+ * Schedules the caller's account for deletion after a grace period of
+ * ACCOUNT_DELETION_GRACE_DAYS days. The account keeps working until then and the request
+ * can be cancelled with DELETE /account/deletion.
+ */
+app.post('/account/deletion', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const userRef = db.collection('users').doc(req.user.uid);
+        const deletion = await db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+            if (!userDoc.exists) throw httpError(404, 'User profile not found.');
+            if (userDoc.data().deletion) throw httpError(409, 'Account deletion is already scheduled.');
+
+            const now = Date.now();
+            const scheduled = {
+                requestedAt: admin.firestore.Timestamp.fromMillis(now),
+                scheduledFor: admin.firestore.Timestamp.fromMillis(now + ACCOUNT_DELETION_GRACE_DAYS * DAY_MS)
+            };
+            transaction.update(userRef, { deletion: scheduled });
+            return scheduled;
+        });
+        res.status(200).json({
+            success: true,
+            message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days unless you cancel.`,
+            deletion: formatAccountDeletion(deletion)
+        });
+    } catch (error) {
+        console.error("Error scheduling account deletion:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /account/deletion
+ * Whether the caller's account is scheduled for deletion, and when.
+ */
+app.get('/account/deletion', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const userDoc = await db.collection('users').doc(req.user.uid).get();
+        if (!userDoc.exists) {
+            return res.status(404).json({ success: false, message: 'User profile not found.' });
+        }
+        res.status(200).json({ success: true, deletion: formatAccountDeletion(userDoc.data().deletion) });
+    } catch (error) {
+        console.error("Error fetching account deletion status:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * DELETE /account/deletion
+ * Cancels a scheduled account deletion during the grace period.
+ */
+app.delete('/account/deletion', authenticate, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const userRef = db.collection('users').doc(req.user.uid);
+        await db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+            if (!userDoc.exists || !userDoc.data().deletion) {
+                throw httpError(404, 'No account deletion is scheduled.');
+            }
+            transaction.update(userRef, { deletion: admin.firestore.FieldValue.delete() });
+        });
+        res.status(200).json({ success: true, message: 'Account deletion cancelled.' });
+    } catch (error) {
+        console.error("Error cancelling account deletion:", error);
+        res.status(error.status || 500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * GET /cron/account-deletions
+ * Scheduled job (see `crons` in vercel.json) that deletes accounts whose grace period is over,
+ * a few per run. A failed deletion is logged and retried on the next run.
+ */
+app.get('/cron/account-deletions', authenticateCron, validate(), async (req, res) => {
+    if (!checkDbConnection(res)) return;
+    try {
+        const dueSnapshot = await db.collection('users')
+            .where('deletion.scheduledFor', '<=', admin.firestore.Timestamp.now())
+            .limit(ACCOUNT_DELETIONS_PER_RUN)
+            .get();
+
+        let deletedCount = 0;
+        let failedCount = 0;
+        for (const userDoc of dueSnapshot.docs) {
+            try {
+                await deleteAccount(userDoc.id);
+                deletedCount++;
+            } catch (error) {
+                console.error(`Error deleting account ${userDoc.id}:`, error);
+                failedCount++;
+            }
+        }
+        res.status(200).json({ success: true, deletedCount, failedCount });
+    } catch (error) {
+        console.error("Error processing account deletions:", error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// ----------------------------------------------------------------------
+// FALLBACK HANDLERS
+// ----------------------------------------------------------------------
+
+/**
+ * Unknown routes answer with the same JSON envelope as every other endpoint.
+ */
+app.use((req, res) => {
+    res.status(404).json({ success: false, message: `Route not found: ${req.method} ${req.path}` });
+});
+
+/**
+ * Final error handler. Body-parser failures (malformed or oversized JSON) are client errors;
+ * anything else is logged and reported as a generic 500 so no stack trace leaks to clients.
+ */
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ success: false, message: 'Malformed JSON body.' });
+    }
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ success: false, message: 'Request body is too large.' });
+    }
+    console.error("Unhandled error:", error);
+    res.status(error.status || 500).json({ success: false, message: 'Internal server error.' });
 });
 
 // Export the Express app as the Vercel serverless function entry point